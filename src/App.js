@@ -3,18 +3,30 @@ import NavigationTabs from './components/navigationTabs';
 import CalendarPage from './components/calendarPage';
 import EventSubmissionForm from './components/eventSubmissionForm';
 import AboutPage from './components/aboutPage';
+import EventDetailPage from './components/eventDetailPage';
+import MyEventsPage from './components/myEventsPage';
+import AdminPage from './components/adminPage';
+import RequireAdmin from './components/requireAdmin';
+import { I18nProvider } from './i18n/i18nContext';
+import { getSubmitEventPath } from './utils/routes';
+import { FIRST_STEP } from './utils/submissionSteps';
 
 /**
  * App - Main application component with routing
  * 
  * Sets up the primary navigation structure using React Router.
- * Provides a tabbed interface with three main pages: About, Calendar, and Event Submission.
- * Includes automatic redirect for unknown routes.
+ * Provides a tabbed interface with four main pages: About, Calendar, My Events, and Event Submission.
+ * Includes automatic redirect for unknown routes. Everything is wrapped in
+ * the I18nProvider so the language switcher applies to every page.
  * 
  * Routes:
  * - /about - About page (default route)
- * - /calendar - Calendar view page
- * - /submit-event - Event submission form
+ * - /calendar - Calendar view page (current month)
+ * - /calendar/:year/:month - Calendar view page for a specific month
+ * - /events/:id - Shareable detail page for a single event
+ * - /my-events - Events the user has starred
+ * - /submit-event/:step - Event submission form, one step at a time (/submit-event opens the first)
+ * - /admin - Moderation queue for submitted events (moderators only, not in the tabs)
  * - /* - Any other path redirects to /about
  * 
  * @component
@@ -27,28 +39,41 @@ import AboutPage from './components/aboutPage';
  */
 export default function App() {
   return (
-    <Router>
-      <div className="app-container">
-        {/* Global navigation - appears on all pages */}
-        <NavigationTabs />
-        
-        {/* Main content area - changes based on current route */}
-        <div className="page-content">
-          <Routes>
-            {/* About page - landing/info page */}
-            <Route path="/about" element={<AboutPage />} />
-            
-            {/* Calendar page - displays events in calendar format */}
-            <Route path="/calendar" element={<CalendarPage />} />
-            
-            {/* Event submission page - form for creating new events */}
-            <Route path="/submit-event" element={<EventSubmissionForm />} />
-            
-            {/* Catch-all route - redirects unknown paths to about page */}
-            <Route path="*" element={<Navigate to="/about" replace />} />
-          </Routes>
+    <I18nProvider>
+      <Router>
+        <div className="app-container">
+          {/* Global navigation - appears on all pages */}
+          <NavigationTabs />
+          
+          {/* Main content area - changes based on current route */}
+          <div className="page-content">
+            <Routes>
+              {/* About page - landing/info page */}
+              <Route path="/about" element={<AboutPage />} />
+              
+              {/* Calendar page - displays events in calendar format */}
+              <Route path="/calendar" element={<CalendarPage />} />
+              <Route path="/calendar/:year/:month" element={<CalendarPage />} />
+              
+              {/* Event detail page - one event as a full, shareable page */}
+              <Route path="/events/:id" element={<EventDetailPage />} />
+              
+              {/* My events page - the user's starred events */}
+              <Route path="/my-events" element={<MyEventsPage />} />
+              
+              {/* Event submission page - form for creating new events, one step per path */}
+              <Route path="/submit-event" element={<Navigate to={getSubmitEventPath(FIRST_STEP)} replace />} />
+              <Route path="/submit-event/:step" element={<EventSubmissionForm />} />
+              
+              {/* Admin page - moderation queue, behind the moderator sign-in */}
+              <Route path="/admin" element={<RequireAdmin><AdminPage /></RequireAdmin>} />
+              
+              {/* Catch-all route - redirects unknown paths to about page */}
+              <Route path="*" element={<Navigate to="/about" replace />} />
+            </Routes>
+          </div>
         </div>
-      </div>
-    </Router>
+      </Router>
+    </I18nProvider>
   );
 }
\ No newline at end of file
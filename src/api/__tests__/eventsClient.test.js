@@ -0,0 +1,307 @@
+import {
+  getEvents,
+  submitEvent,
+  clearEventsCache,
+  normalizeEvent,
+  unwrapEnvelope,
+  groupEventsByDate,
+  getPendingSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  moderateSubmissions,
+  mergeEvents,
+  CACHE_TTL_MS
+} from '../eventsClient';
+import { createStaticTokenProvider, getTokenProvider, setTokenProvider } from '../../auth/tokenProvider';
+
+const rawEvents = [
+  { name: 'Pottery Night', date: '2025-06-14', time: '18:30:00', price: '25', kids: true, business: 'Clay Studio' },
+  { name: 'Craft Fair', date: '2025-06-14', time: null, price: null }
+];
+
+const envelope = (events) => ({ body: JSON.stringify({ found_events: events }) });
+
+const jsonResponse = (data, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data)
+});
+
+describe('eventsClient', () => {
+  beforeEach(() => {
+    clearEventsCache();
+    global.fetch = jest.fn();
+    // Run retry delays immediately
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+      callback();
+      return 0;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('unwrapEnvelope', () => {
+    it('parses string bodies, passes object bodies and bare payloads through', () => {
+      expect(unwrapEnvelope({ body: '{"found_events":[]}' })).toEqual({ found_events: [] });
+      expect(unwrapEnvelope({ body: { found_events: [] } })).toEqual({ found_events: [] });
+      expect(unwrapEnvelope({ found_events: [] })).toEqual({ found_events: [] });
+    });
+  });
+
+  describe('normalizeEvent', () => {
+    it('parses the date, time and price once', () => {
+      const event = normalizeEvent(rawEvents[0]);
+      expect(event.time).toBe('18:30');
+      expect(event.price).toBe(25);
+      expect(event.kids).toBe(true);
+      expect(event.start).toEqual(new Date(2025, 5, 14, 18, 30));
+      expect(event.id).toMatch(/^2025-06-14-pottery-night-/);
+    });
+
+    it('uses null for missing values', () => {
+      const event = normalizeEvent(rawEvents[1]);
+      expect(event.time).toBeNull();
+      expect(event.price).toBeNull();
+      expect(event.kids).toBeNull();
+      expect(event.start).toEqual(new Date(2025, 5, 14));
+    });
+
+    it('keeps only image URLs that are safe to show', () => {
+      expect(normalizeEvent({ ...rawEvents[0], image: 'https://example.com/flyer.jpg' }).image)
+        .toBe('https://example.com/flyer.jpg');
+      expect(normalizeEvent({ ...rawEvents[0], image: 'ftp://example.com/flyer.jpg' }).image).toBeNull();
+      expect(normalizeEvent(rawEvents[0]).image).toBeNull();
+    });
+
+    it('resolves the craft and keeps valid craft tags', () => {
+      const other = normalizeEvent({ ...rawEvents[0], craft: 'other', craft_other: ' Bookbinding ', craft_tags: ['jewelry', 'lace'] });
+      expect(other.craft).toBe('Bookbinding');
+      expect(other.craft_tags).toEqual(['jewelry']);
+      expect(normalizeEvent({ ...rawEvents[0], craft: 'Fiber Arts' }).craft).toBe('fiber-arts');
+      expect(normalizeEvent(rawEvents[1]).craft).toBeNull();
+      expect(normalizeEvent(rawEvents[1]).craft_tags).toEqual([]);
+    });
+  });
+
+  describe('getEvents', () => {
+    it('unwraps the envelope and normalizes events', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope(rawEvents)));
+      const result = await getEvents();
+      expect(result.events.map(event => event.name)).toEqual(['Pottery Night', 'Craft Fair']);
+      expect(result.fromCache).toBe(false);
+      expect(result.stale).toBe(false);
+    });
+
+    it('skips events without a valid date', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope([
+        { name: 'No Date', time: '18:00:00' },
+        { name: 'Bad Date', date: 20250614 },
+        null,
+        rawEvents[0]
+      ])));
+      expect((await getEvents()).events.map(event => event.name)).toEqual(['Pottery Night']);
+    });
+
+    it('treats a missing found_events list as no events', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ body: '{}' }));
+      expect((await getEvents()).events).toEqual([]);
+    });
+
+    it('serves a fresh cache without refetching', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      const cached = await getEvents();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(cached.fromCache).toBe(true);
+    });
+
+    it('shares one request between concurrent callers', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope(rawEvents)));
+      await Promise.all([getEvents(), getEvents()]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('refetches once the cache has expired', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope(rawEvents)));
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await getEvents();
+      Date.now.mockReturnValue(now + CACHE_TTL_MS + 1);
+      await getEvents();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries transient failures', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(jsonResponse({}, 503))
+        .mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      const result = await getEvents();
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(result.events).toHaveLength(2);
+    });
+
+    it('does not retry client errors', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ message: 'Not allowed' }, 403));
+      await expect(getEvents()).rejects.toThrow('Not allowed');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to stale cached events when the backend fails', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      global.fetch.mockResolvedValue(jsonResponse({}, 500));
+      const result = await getEvents({ forceRefresh: true });
+      expect(result.stale).toBe(true);
+      expect(result.fromCache).toBe(true);
+      expect(result.events).toHaveLength(2);
+    });
+
+    it('restores the cache from sessionStorage', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      const stored = sessionStorage.getItem('dc-craft-events:events');
+      clearEventsCache();
+      sessionStorage.setItem('dc-craft-events:events', stored);
+      const result = await getEvents();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.fromCache).toBe(true);
+    });
+  });
+
+  describe('submitEvent', () => {
+    it('posts JSON and clears the cache', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      global.fetch.mockResolvedValueOnce(jsonResponse({ body: '{"message":"created"}' }, 201));
+      const response = await submitEvent({ name: 'New' });
+      expect(response).toEqual({ message: 'created' });
+      expect(global.fetch).toHaveBeenLastCalledWith(undefined, expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ name: 'New' })
+      }));
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      expect((await getEvents()).fromCache).toBe(false);
+    });
+
+    it('reports a submission as queued when the service worker takes it offline', async () => {
+      Object.defineProperty(navigator, 'serviceWorker', {
+        configurable: true,
+        value: { controller: {} }
+      });
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      await expect(submitEvent({ name: 'New' })).resolves.toEqual({ queued: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      delete navigator.serviceWorker;
+    });
+
+    it('does not retry server errors that may have created the event', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({}, 500));
+      await expect(submitEvent({ name: 'New' })).rejects.toThrow('Server error: 500');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('admin requests', () => {
+    const defaultProvider = getTokenProvider();
+    let provider;
+
+    beforeEach(() => {
+      provider = createStaticTokenProvider('secret');
+      setTokenProvider(provider);
+    });
+
+    afterEach(() => {
+      setTokenProvider(defaultProvider);
+    });
+
+    const rawSubmissions = [
+      { id: 7, status: 'pending', submitted_at: '2025-06-02T15:00:00Z', name: 'Knit Night', date: '2025-06-20', organization: 'Yarn Shop', location: 'Back room', email: 'yarn@example.com' },
+      { id: 3, status: 'pending', submitted_at: '2025-06-01T09:00:00Z', name: 'Pottery Night', date: '2025-06-14', time: '18:30', organization: 'Clay Studio', email: 'clay@example.com' }
+    ];
+
+    it('loads pending submissions oldest first with a bearer token', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ body: JSON.stringify({ found_submissions: rawSubmissions }) }));
+      const submissions = await getPendingSubmissions();
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/submissions\?status=pending$/),
+        expect.objectContaining({ method: 'GET', headers: { Authorization: 'Bearer secret' } })
+      );
+      expect(submissions.map(submission => submission.id)).toEqual(['3', '7']);
+      expect(submissions[0].submittedAt).toEqual(new Date('2025-06-01T09:00:00Z'));
+      expect(submissions[0].fields.email).toBe('clay@example.com');
+      // Previewed like a feed event
+      expect(submissions[0].event.business).toBe('Clay Studio');
+      expect(submissions[1].event.location_name).toBe('Back room');
+      expect(submissions[0].event.start).toEqual(new Date(2025, 5, 14, 18, 30));
+    });
+
+    it('does not send requests while signed out', async () => {
+      provider.signOut();
+      await expect(getPendingSubmissions()).rejects.toMatchObject({ status: 401 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('signs out when the token is rejected', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ message: 'Invalid token' }, 401));
+      await expect(getPendingSubmissions()).rejects.toThrow('Invalid token');
+      await expect(provider.getToken()).resolves.toBeNull();
+    });
+
+    it('approves with the moderator\'s changes and clears the events cache', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      global.fetch.mockResolvedValueOnce(jsonResponse({}));
+      await approveSubmission('3', { name: 'Pottery Night (all levels)' });
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringMatching(/\/submissions\/3\/approve$/),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ changes: { name: 'Pottery Night (all levels)' } })
+        })
+      );
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      expect((await getEvents()).fromCache).toBe(false);
+    });
+
+    it('rejects with a reason', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({}));
+      await rejectSubmission('7', 'Not a craft event');
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/submissions\/7\/reject$/),
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ reason: 'Not a craft event' }) })
+      );
+    });
+
+    it('reports which submissions a bulk action could not update', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}, 404));
+      await expect(moderateSubmissions(['3', '7'], 'reject', { reason: 'Duplicate' }))
+        .resolves.toEqual({ succeeded: ['3'], failed: ['7'] });
+    });
+
+    it('merges duplicate events and clears the events cache', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      await getEvents();
+      global.fetch.mockResolvedValueOnce(jsonResponse({}));
+      await mergeEvents('fair-1', ['fair-2']);
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringMatching(/\/events\/merge$/),
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ keep: 'fair-1', duplicates: ['fair-2'] }) })
+      );
+      global.fetch.mockResolvedValueOnce(jsonResponse(envelope(rawEvents)));
+      expect((await getEvents()).fromCache).toBe(false);
+    });
+  });
+
+  describe('groupEventsByDate', () => {
+    it('groups events under their date key', () => {
+      const grouped = groupEventsByDate(rawEvents.map(normalizeEvent));
+      expect(Object.keys(grouped)).toEqual(['2025-06-14']);
+      expect(grouped['2025-06-14']).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Backend URLs.
+ *
+ * They come from the build environment. When the mock API is turned on
+ * (REACT_APP_USE_MOCK_API=true, see src/mocks) and a URL is not set, it
+ * falls back to a local path the mock answers, so the app runs without any
+ * backend configured.
+ */
+
+// Paths the mock API answers when no backend URL is configured
+export const MOCK_CALENDAR_URL = '/mock-api/calendar';
+export const MOCK_ADMIN_URL = '/mock-api/admin';
+
+/**
+ * Reports whether the mock API was asked for.
+ * @returns {boolean} True when REACT_APP_USE_MOCK_API is "true"
+ */
+export const isMockApiEnabled = () => process.env.REACT_APP_USE_MOCK_API === 'true';
+
+/**
+ * URL of the events feed, which also takes new submissions.
+ * @returns {string|undefined} The configured URL, or the mock path in mock mode
+ */
+export const getCalendarUrl = () =>
+  process.env.REACT_APP_CALENDAR_URL || (isMockApiEnabled() ? MOCK_CALENDAR_URL : undefined);
+
+/**
+ * Base URL of the moderators' admin API.
+ * @returns {string|undefined} The configured URL, or the mock path in mock mode
+ */
+export const getAdminUrl = () =>
+  process.env.REACT_APP_ADMIN_URL || (isMockApiEnabled() ? MOCK_ADMIN_URL : undefined);
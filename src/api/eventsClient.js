@@ -0,0 +1,501 @@
+import { getEventId } from '../utils/eventIdentity';
+import { isValidDateKey, parseTime, toLocalDateTime } from '../utils/dateTime';
+import { normalizeRecurrence } from '../utils/recurrence';
+import { isImageUrl } from '../utils/eventImage';
+import { normalizeCraft, normalizeCraftTags } from '../utils/craftTaxonomy';
+import { getTokenProvider } from '../auth/tokenProvider';
+import { getAdminUrl, getCalendarUrl } from './endpoints';
+
+/**
+ * Events API client
+ *
+ * Single place where the app talks to the calendar backend. Every page reads
+ * and writes events through this module, which:
+ * - unwraps the Lambda-style envelope (`{ body: "<json>" }` with `found_events`)
+ * - normalizes raw events into one consistent shape, parsing dates once,
+ *   and drops malformed ones so a bad row cannot break every page
+ * - retries transient failures with exponential backoff
+ * - caches the feed in memory and sessionStorage, and falls back to the
+ *   cached copy (flagged as stale) when the backend cannot be reached
+ * - cooperates with the service worker, which may answer from its own cache
+ *   (see X-Cached-At) and queues submissions made while offline
+ * - sends moderators' requests to the admin API with a bearer token from
+ *   the current token provider (see auth/tokenProvider)
+ *
+ * @typedef {Object} CalendarEvent
+ * @property {string} id - Stable identity (see getEventId)
+ * @property {string} name - Event name
+ * @property {string} date - Event date, YYYY-MM-DD
+ * @property {string|null} time - Start time, 24-hour HH:MM, or null when unknown
+ * @property {Date} start - Local Date of the start (midnight when there is no time)
+ * @property {string|null} end_time - End time, 24-hour HH:MM, or null; at or before time when the event runs past midnight
+ * @property {string|null} end_date - Last day of a multi-day event, YYYY-MM-DD, or null (see utils/multiDay)
+ * @property {string} [business] - Organizer name
+ * @property {string|null} craft - Craft: a category id, or free text when none fits (see utils/craftTaxonomy)
+ * @property {string[]} craft_tags - Secondary crafts, as category ids
+ * @property {string} [description] - Free-text description
+ * @property {number|null} price - Price in dollars, or null when unknown
+ * @property {boolean|null} kids - Kid-friendly flag, or null when unknown
+ * @property {string} [location_name] - Venue name
+ * @property {string} [address] - Street address ('NAMER' when missing)
+ * @property {string} [city] - City
+ * @property {string} [state] - State
+ * @property {string} [zip] - ZIP code
+ * @property {string} [link] - Event website
+ * @property {string|null} image - Flyer or photo URL, or null when there is none (see utils/eventImage)
+ * @property {{rrule: string, exdates: string[]}|null} recurrence - Repeat rule, or null for one-off events (see utils/recurrence)
+ *
+ * @typedef {Object} EventsResult
+ * @property {CalendarEvent[]} events - Normalized events
+ * @property {Date} fetchedAt - When the events were fetched from the backend
+ * @property {boolean} fromCache - True when served from the cache
+ * @property {boolean} stale - True when the cache was used because the backend failed
+ *
+ * @typedef {Object} Submission
+ * @property {string} id - Backend id of the submission
+ * @property {string} status - 'pending', 'approved' or 'rejected'
+ * @property {Date|null} submittedAt - When the event was submitted, or null when unknown
+ * @property {Object} fields - The submitted data, in the shape submitEvent sends
+ * @property {CalendarEvent} event - The submission as it would appear on the calendar
+ */
+
+const CACHE_KEY = 'dc-craft-events:events';
+
+// How long a fetched feed is considered fresh
+export const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Retry settings for transient failures
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Submissions are only retried when the server says it did not process them
+const RETRYABLE_SUBMIT_STATUSES = [429, 503];
+
+// Set by the service worker on feed responses it serves from its cache
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+let memoryCache = null;
+let inFlightRequest = null;
+
+/**
+ * Waits before the next retry attempt.
+ * @param {number} ms - Delay in milliseconds
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reports whether a service worker controls this page.
+ * @returns {boolean} True when requests pass through the service worker
+ */
+const hasServiceWorker = () =>
+  typeof navigator !== 'undefined' &&
+  Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+
+/**
+ * Performs a fetch, retrying network errors and retryable HTTP statuses with
+ * exponential backoff and a little jitter. Network errors are not retried
+ * while the browser reports being offline.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {Object} retry - Retry settings
+ * @param {number[]} retry.retryStatuses - HTTP statuses worth retrying
+ * @param {boolean} [retry.retryNetworkErrors=true] - Whether to retry when fetch rejects
+ * @returns {Promise<Response>} The final response (may still be non-OK)
+ */
+const fetchWithRetry = async (url, options, { retryStatuses, retryNetworkErrors = true }) => {
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt >= MAX_RETRIES;
+    try {
+      const response = await fetch(url, options);
+      if (isLastAttempt || !retryStatuses.includes(response.status)) {
+        return response;
+      }
+    } catch (error) {
+      // fetch only rejects on network failures
+      if (isLastAttempt || !retryNetworkErrors || !navigator.onLine) throw error;
+    }
+    await wait(BASE_RETRY_DELAY_MS * 2 ** attempt + Math.random() * 100);
+  }
+};
+
+/**
+ * Builds an Error carrying the HTTP status and the backend's message, if any.
+ *
+ * @param {Response} response - Non-OK response
+ * @returns {Promise<Error>} Error describing the failure
+ */
+const toHttpError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.message || `Server error: ${response.status}`);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Unwraps the Lambda-style envelope. The body may arrive as a JSON string,
+ * as an already-parsed object, or without an envelope at all.
+ *
+ * @param {Object} data - Parsed response JSON
+ * @returns {Object} The inner body
+ */
+export const unwrapEnvelope = (data) => {
+  if (data && typeof data.body === 'string') return JSON.parse(data.body);
+  if (data && data.body && typeof data.body === 'object') return data.body;
+  return data || {};
+};
+
+/**
+ * Checks that a raw feed event can be shown: the calendar places every
+ * event by its date.
+ *
+ * @param {*} raw - Event as sent by the backend
+ * @returns {boolean} True when it has a valid YYYY-MM-DD date
+ */
+const isDisplayableEvent = (raw) => Boolean(raw) && isValidDateKey(raw.date);
+
+/**
+ * Converts a raw feed event into a CalendarEvent.
+ *
+ * @param {Object} raw - Event as sent by the backend, with a valid date
+ * @returns {CalendarEvent} Normalized event
+ */
+export const normalizeEvent = (raw) => {
+  const time = parseTime(raw.time);
+  const start = toLocalDateTime(raw.date, time);
+
+  const price = raw.price === null || raw.price === undefined || raw.price === ''
+    ? null
+    : Number(raw.price);
+
+  const craft = normalizeCraft(raw.craft, raw.craft_other);
+
+  return {
+    ...raw,
+    id: getEventId(raw),
+    time,
+    start,
+    price: isNaN(price) ? null : price,
+    kids: typeof raw.kids === 'boolean' ? raw.kids : null,
+    end_time: time ? parseTime(raw.end_time) : null,
+    end_date: isValidDateKey(raw.end_date) && raw.end_date > raw.date ? raw.end_date : null,
+    recurrence: normalizeRecurrence(raw.recurrence),
+    image: isImageUrl(raw.image) ? raw.image.trim() : null,
+    craft,
+    craft_tags: normalizeCraftTags(raw.craft_tags, craft)
+  };
+};
+
+/**
+ * Reads the cached feed from sessionStorage.
+ * @returns {{rawEvents: Object[], fetchedAt: number}|null} The cache entry, if any
+ */
+const readSessionCache = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CACHE_KEY));
+    return stored && Array.isArray(stored.rawEvents) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Stores the feed in memory and sessionStorage.
+ * @param {{rawEvents: Object[], fetchedAt: number}} entry - Cache entry
+ */
+const writeCache = (entry) => {
+  memoryCache = entry;
+  try {
+    sessionStorage.setItem(CACHE_KEY, JSON.stringify(entry));
+  } catch {
+    // Storage may be full or disabled; the memory cache still works
+  }
+};
+
+/**
+ * Empties both caches so the next getEvents call goes to the backend.
+ */
+export const clearEventsCache = () => {
+  memoryCache = null;
+  try {
+    sessionStorage.removeItem(CACHE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+};
+
+/**
+ * Turns a cache entry into the result handed to callers.
+ *
+ * @param {{rawEvents: Object[], fetchedAt: number}} entry - Cache entry
+ * @param {boolean} fromCache - Whether the entry came from the cache
+ * @param {boolean} stale - Whether the entry is a fallback after a failure
+ * @returns {EventsResult} Normalized events with their provenance
+ */
+const toResult = (entry, fromCache, stale) => ({
+  events: entry.rawEvents.filter(isDisplayableEvent).map(normalizeEvent),
+  fetchedAt: new Date(entry.fetchedAt),
+  fromCache,
+  stale
+});
+
+/**
+ * Downloads the feed from the backend and caches it.
+ * @returns {Promise<{rawEvents: Object[], fetchedAt: number}>} The new cache entry
+ */
+const downloadEvents = async () => {
+  const response = await fetchWithRetry(
+    getCalendarUrl(),
+    {},
+    { retryStatuses: RETRYABLE_STATUSES }
+  );
+  if (!response.ok) throw await toHttpError(response);
+
+  const body = unwrapEnvelope(await response.json());
+  // A copy served by the service worker is as old as the moment it was cached
+  const cachedAt = response.headers ? Date.parse(response.headers.get(CACHED_AT_HEADER)) : NaN;
+  const entry = {
+    rawEvents: Array.isArray(body.found_events) ? body.found_events : [],
+    fetchedAt: isNaN(cachedAt) ? Date.now() : cachedAt
+  };
+  writeCache(entry);
+  return entry;
+};
+
+/**
+ * Loads every published event. Serves a fresh cache when there is one,
+ * otherwise fetches from the backend; concurrent callers share one request.
+ * If the backend fails but an older copy is cached, that copy is returned
+ * with `stale: true` instead of throwing.
+ *
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.forceRefresh=false] - Skip a fresh cache
+ * @returns {Promise<EventsResult>} The events and where they came from
+ * @throws {Error} When the backend fails and nothing is cached
+ */
+export const getEvents = async ({ forceRefresh = false } = {}) => {
+  const cached = memoryCache || readSessionCache();
+  if (cached && !forceRefresh && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    memoryCache = cached;
+    return toResult(cached, true, false);
+  }
+
+  if (!inFlightRequest) {
+    inFlightRequest = downloadEvents().finally(() => {
+      inFlightRequest = null;
+    });
+  }
+
+  try {
+    return toResult(await inFlightRequest, false, false);
+  } catch (error) {
+    if (cached) return toResult(cached, true, true);
+    throw error;
+  }
+};
+
+/**
+ * Groups events by their YYYY-MM-DD date.
+ *
+ * @param {CalendarEvent[]} events - Normalized events
+ * @returns {Object<string, CalendarEvent[]>} Events keyed by date
+ */
+export const groupEventsByDate = (events) => {
+  const processedEvents = {};
+  events.forEach((event) => {
+    const dateKey = event.date;
+    if (!processedEvents[dateKey]) processedEvents[dateKey] = [];
+    processedEvents[dateKey].push(event);
+  });
+  return processedEvents;
+};
+
+/**
+ * Submits a new event to the backend. The cached feed is cleared afterwards
+ * so the next load reflects the change.
+ *
+ * When a service worker controls the page, a submission that fails for lack
+ * of a connection is queued by the worker and replayed later. In that case
+ * this resolves with `{ queued: true }` instead of throwing, and the request
+ * is not retried here (each retry would be queued again).
+ *
+ * @param {Object} payload - Sanitized submission data
+ * @returns {Promise<Object>} The backend's response body, or `{ queued: true }`
+ * @throws {Error} When the submission is rejected or cannot be sent
+ */
+export const submitEvent = async (payload) => {
+  const queuedByServiceWorker = hasServiceWorker();
+  let response;
+  try {
+    response = await fetchWithRetry(
+      getCalendarUrl(),
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload)
+      },
+      { retryStatuses: RETRYABLE_SUBMIT_STATUSES, retryNetworkErrors: !queuedByServiceWorker }
+    );
+  } catch (error) {
+    if (queuedByServiceWorker) return { queued: true };
+    throw error;
+  }
+
+  if (!response.ok) throw await toHttpError(response);
+
+  clearEventsCache();
+  return unwrapEnvelope(await response.json().catch(() => ({})));
+};
+
+/**
+ * Sends an authorized request to the admin API (see getAdminUrl).
+ * A 401 response signs the moderator out, since their token is no longer
+ * accepted.
+ *
+ * @param {string} path - Path below the admin URL, e.g. "/submissions"
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object>} The unwrapped response body
+ * @throws {Error} With status 401 when signed out, or the HTTP error of a failed request
+ */
+const adminRequest = async (path, { method = 'GET', body } = {}) => {
+  const provider = getTokenProvider();
+  const token = await provider.getToken();
+  if (!token) {
+    const error = new Error('Not signed in');
+    error.status = 401;
+    throw error;
+  }
+
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body) headers['Content-Type'] = 'application/json';
+  const response = await fetchWithRetry(
+    `${getAdminUrl()}${path}`,
+    { method, headers, body: body ? JSON.stringify(body) : undefined },
+    { retryStatuses: method === 'GET' ? RETRYABLE_STATUSES : RETRYABLE_SUBMIT_STATUSES }
+  );
+  if (response.status === 401) provider.signOut();
+  if (!response.ok) throw await toHttpError(response);
+  return unwrapEnvelope(await response.json().catch(() => ({})));
+};
+
+/**
+ * Shows submitted fields as a CalendarEvent, the way the calendar will show
+ * the event once it is published.
+ *
+ * @param {Object} fields - A submission, in the shape submitEvent sends
+ * @returns {CalendarEvent} The event
+ */
+export const submissionToEvent = (fields) =>
+  normalizeEvent({ ...fields, business: fields.organization, location_name: fields.location });
+
+/**
+ * Converts a raw submission from the admin API into a Submission. The
+ * submitted fields are also normalized into a CalendarEvent, so they can be
+ * previewed like any other event.
+ *
+ * @param {Object} raw - `{ id, status, submitted_at, ...fields }` as sent by the backend
+ * @returns {Submission} Normalized submission
+ */
+export const normalizeSubmission = (raw) => {
+  const { id, status, submitted_at: submittedAt, ...fields } = raw;
+  const submitted = submittedAt ? new Date(submittedAt) : null;
+  return {
+    id: String(id),
+    status: status || 'pending',
+    submittedAt: submitted && !isNaN(submitted) ? submitted : null,
+    fields,
+    event: submissionToEvent(fields)
+  };
+};
+
+/**
+ * Loads the submissions waiting for review, oldest first.
+ *
+ * @returns {Promise<Submission[]>} Pending submissions
+ * @throws {Error} When signed out or the request fails
+ */
+export const getPendingSubmissions = async () => {
+  const body = await adminRequest('/submissions?status=pending');
+  const submissions = Array.isArray(body.found_submissions) ? body.found_submissions : [];
+  return submissions
+    .map(normalizeSubmission)
+    .sort((a, b) => (a.submittedAt || 0) - (b.submittedAt || 0));
+};
+
+/**
+ * Publishes a submission on the calendar. Changes made by the moderator are
+ * published in place of the submitted values. The cached feed is cleared so
+ * the next load includes the new event.
+ *
+ * @param {string} id - Submission id
+ * @param {Object} [changes] - Edited fields, in the shape submitEvent sends
+ * @returns {Promise<Object>} The backend's response body
+ * @throws {Error} When signed out or the request fails
+ */
+export const approveSubmission = async (id, changes) => {
+  const result = await adminRequest(`/submissions/${encodeURIComponent(id)}/approve`, {
+    method: 'POST',
+    body: changes ? { changes } : {}
+  });
+  clearEventsCache();
+  return result;
+};
+
+/**
+ * Rejects a submission. The reason is kept with the submission so the
+ * organizer can be told why.
+ *
+ * @param {string} id - Submission id
+ * @param {string} reason - Why the submission was rejected
+ * @returns {Promise<Object>} The backend's response body
+ * @throws {Error} When signed out or the request fails
+ */
+export const rejectSubmission = (id, reason) =>
+  adminRequest(`/submissions/${encodeURIComponent(id)}/reject`, {
+    method: 'POST',
+    body: { reason }
+  });
+
+/**
+ * Approves or rejects several submissions at once. Each submission is sent
+ * separately, so one failure does not stop the rest.
+ *
+ * @param {string[]} ids - Submission ids
+ * @param {string} action - 'approve' or 'reject'
+ * @param {Object} [options] - Action options
+ * @param {string} [options.reason] - Rejection reason, used for every submission
+ * @returns {Promise<{succeeded: string[], failed: string[]}>} Ids by outcome
+ */
+export const moderateSubmissions = async (ids, action, { reason } = {}) => {
+  const results = await Promise.allSettled(ids.map(id =>
+    action === 'approve' ? approveSubmission(id) : rejectSubmission(id, reason)
+  ));
+  return {
+    succeeded: ids.filter((_, index) => results[index].status === 'fulfilled'),
+    failed: ids.filter((_, index) => results[index].status === 'rejected')
+  };
+};
+
+/**
+ * Merges published events that are the same event (see
+ * utils/duplicateDetection). The kept event stays on the calendar and the
+ * duplicates are removed from the feed. The cached feed is cleared so the
+ * next load reflects the merge.
+ *
+ * @param {string} keepId - Id of the event to keep (see getEventId)
+ * @param {string[]} duplicateIds - Ids of the events to remove
+ * @returns {Promise<Object>} The backend's response body
+ * @throws {Error} When signed out or the request fails
+ */
+export const mergeEvents = async (keepId, duplicateIds) => {
+  const result = await adminRequest('/events/merge', {
+    method: 'POST',
+    body: { keep: keepId, duplicates: duplicateIds }
+  });
+  clearEventsCache();
+  return result;
+};
@@ -0,0 +1,66 @@
+import { createSessionTokenProvider, createStaticTokenProvider } from '../tokenProvider';
+
+describe('tokenProvider', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  it('keeps a pasted token for the session and notifies subscribers', async () => {
+    const provider = createSessionTokenProvider();
+    const listener = jest.fn();
+    const unsubscribe = provider.subscribe(listener);
+
+    await expect(provider.getToken()).resolves.toBeNull();
+    await provider.signIn({ token: '  abc123 ' });
+    await expect(provider.getToken()).resolves.toBe('abc123');
+    await expect(createSessionTokenProvider().getToken()).resolves.toBe('abc123');
+
+    provider.signOut();
+    await expect(provider.getToken()).resolves.toBeNull();
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    await provider.signIn({ token: 'again' });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses an empty token', async () => {
+    const provider = createSessionTokenProvider();
+    await expect(provider.signIn({ token: '   ' })).rejects.toThrow('A token is required');
+    await expect(provider.getToken()).resolves.toBeNull();
+  });
+
+  it('uses a fixed token until signed out', async () => {
+    const provider = createStaticTokenProvider('dev-token');
+    await expect(provider.getToken()).resolves.toBe('dev-token');
+    provider.signOut();
+    await expect(provider.getToken()).resolves.toBeNull();
+    await provider.signIn();
+    await expect(provider.getToken()).resolves.toBe('dev-token');
+  });
+
+  describe('default provider', () => {
+    const env = process.env;
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    const loadDefaultProvider = (overrides) => {
+      process.env = { ...env, REACT_APP_ADMIN_TOKEN: 'dev-token', ...overrides };
+      let provider;
+      jest.isolateModules(() => {
+        provider = require('../tokenProvider').getTokenProvider();
+      });
+      return provider;
+    };
+
+    it('uses REACT_APP_ADMIN_TOKEN in development', async () => {
+      await expect(loadDefaultProvider({ NODE_ENV: 'development' }).getToken()).resolves.toBe('dev-token');
+    });
+
+    it('ignores REACT_APP_ADMIN_TOKEN in production builds', async () => {
+      await expect(loadDefaultProvider({ NODE_ENV: 'production' }).getToken()).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Admin authentication.
+ *
+ * Admin requests carry a bearer token, but the admin pages never deal with
+ * credentials themselves: they go through the current token provider. A
+ * provider is any object with:
+ * - getToken() - resolves with the current token, or null when signed out
+ * - signIn(credentials) - signs in; rejects when the credentials are unusable
+ * - signOut() - forgets the token
+ * - subscribe(listener) - calls listener whenever the token changes, and
+ *   returns a function that stops the calls
+ *
+ * Swap providers with setTokenProvider, e.g. to sign in through an identity
+ * service, or to a static token when running against a local stand-in
+ * backend.
+ */
+
+const TOKEN_STORAGE_KEY = 'dc-craft-events:admin-token';
+
+/**
+ * Creates the listener list shared by the built-in providers.
+ *
+ * @returns {{subscribe: Function, notify: Function}} Subscribe and notify functions
+ */
+const createListeners = () => {
+  const listeners = new Set();
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    notify: () => listeners.forEach(listener => listener())
+  };
+};
+
+/**
+ * Provider for access tokens that moderators paste in, e.g. an API key
+ * issued by the backend. The token lasts for the browser session.
+ *
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.storageKey] - sessionStorage key for the token
+ * @returns {Object} Token provider; signIn takes `{ token }`
+ */
+export const createSessionTokenProvider = ({ storageKey = TOKEN_STORAGE_KEY } = {}) => {
+  const { subscribe, notify } = createListeners();
+
+  return {
+    getToken: async () => {
+      try {
+        return sessionStorage.getItem(storageKey);
+      } catch {
+        return null;
+      }
+    },
+    signIn: async ({ token } = {}) => {
+      const trimmed = (token || '').trim();
+      if (!trimmed) throw new Error('A token is required');
+      try {
+        sessionStorage.setItem(storageKey, trimmed);
+      } catch {
+        throw new Error('The token could not be saved');
+      }
+      notify();
+    },
+    signOut: () => {
+      try {
+        sessionStorage.removeItem(storageKey);
+      } catch {
+        // Nothing to forget
+      }
+      notify();
+    },
+    subscribe
+  };
+};
+
+/**
+ * Provider that always uses the same token, for development against a local
+ * stand-in backend. Signing out lasts until the next reload.
+ *
+ * @param {string} token - Token to send
+ * @returns {Object} Token provider; signIn ignores its credentials
+ */
+export const createStaticTokenProvider = (token) => {
+  const { subscribe, notify } = createListeners();
+  let signedIn = true;
+
+  return {
+    getToken: async () => (signedIn ? token : null),
+    signIn: async () => {
+      signedIn = true;
+      notify();
+    },
+    signOut: () => {
+      signedIn = false;
+      notify();
+    },
+    subscribe
+  };
+};
+
+// REACT_APP_* values are built into the public bundle, so a fixed token is
+// only used in development: a production build always asks moderators to
+// sign in. The check is spelled out here so production builds leave the
+// token out entirely.
+let currentProvider = process.env.NODE_ENV !== 'production' && process.env.REACT_APP_ADMIN_TOKEN
+  ? createStaticTokenProvider(process.env.REACT_APP_ADMIN_TOKEN)
+  : createSessionTokenProvider();
+
+/**
+ * Returns the provider admin requests get their token from.
+ *
+ * @returns {Object} The current token provider
+ */
+export const getTokenProvider = () => currentProvider;
+
+/**
+ * Replaces the token provider. Call before rendering the app.
+ *
+ * @param {Object} provider - Token provider, see the module description
+ */
+export const setTokenProvider = (provider) => {
+  currentProvider = provider;
+};
@@ -0,0 +1,85 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router';
+import CalendarPage from '../calendarPage';
+import { clearEventsCache } from '../../api/eventsClient';
+
+// Shows the current path, to follow the month in the URL
+const LocationProbe = () => <output data-testid="location">{useLocation().pathname}</output>;
+
+const renderCalendar = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/calendar/:year/:month" element={<><CalendarPage /><LocationProbe /></>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+// Day cells are labelled like "Wednesday, January 1, no events"
+const getDay = (monthDay) => screen.getByRole('gridcell', { name: new RegExp(`, ${monthDay},`) });
+
+// The week row holding a day cell
+const getWeek = (cell) =>
+  screen.getAllByRole('row').find(row => within(row).queryAllByRole('gridcell').includes(cell));
+
+describe('CalendarPage keyboard navigation', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearEventsCache();
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ found_events: [] })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves focus from the end of one week to the start of the next', async () => {
+    renderCalendar('/calendar/2025/01');
+    expect(await screen.findByRole('grid', { name: 'January 2025' })).toBeInTheDocument();
+
+    const first = getDay('January 1');
+    expect(first).toHaveAttribute('tabindex', '0');
+    first.focus();
+
+    userEvent.keyboard('{End}');
+    const weekEnd = screen.getAllByRole('gridcell').find(cell => cell.getAttribute('tabindex') === '0');
+    expect(weekEnd).toHaveFocus();
+    expect(getWeek(weekEnd)).toBe(getWeek(first));
+
+    userEvent.keyboard('{ArrowRight}');
+    const nextWeekStart = screen.getAllByRole('gridcell').find(cell => cell.getAttribute('tabindex') === '0');
+    expect(nextWeekStart).toHaveFocus();
+    expect(getWeek(nextWeekStart)).not.toBe(getWeek(weekEnd));
+    expect(weekEnd).toHaveAttribute('tabindex', '-1');
+
+    userEvent.keyboard('{ArrowLeft}');
+    expect(weekEnd).toHaveFocus();
+  });
+
+  it('moves focus across the end of the month into the next month and back', async () => {
+    renderCalendar('/calendar/2025/01');
+    expect(await screen.findByRole('grid', { name: 'January 2025' })).toBeInTheDocument();
+    getDay('January 1').focus();
+
+    userEvent.keyboard('{Control>}{End}{/Control}');
+    expect(getDay('January 31')).toHaveFocus();
+
+    userEvent.keyboard('{ArrowRight}');
+    expect(screen.getByRole('grid', { name: 'February 2025' })).toBeInTheDocument();
+    expect(getDay('February 1')).toHaveFocus();
+    expect(screen.getByTestId('location')).toHaveTextContent('/calendar/2025/02');
+
+    userEvent.keyboard('{ArrowUp}');
+    expect(screen.getByRole('grid', { name: 'January 2025' })).toBeInTheDocument();
+    expect(getDay('January 25')).toHaveFocus();
+    expect(screen.getByTestId('location')).toHaveTextContent('/calendar/2025/01');
+
+    userEvent.keyboard('{PageDown}');
+    expect(getDay('February 25')).toHaveFocus();
+    expect(screen.getByTestId('location')).toHaveTextContent('/calendar/2025/02');
+  });
+});
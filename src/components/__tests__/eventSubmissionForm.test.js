@@ -0,0 +1,121 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router';
+import EventSubmissionForm from '../eventSubmissionForm';
+import { clearEventsCache } from '../../api/eventsClient';
+import { addDays, getToday, toDateKey } from '../../utils/dateTime';
+
+const DRAFTS_KEY = 'dc-craft-events:drafts';
+
+// A complete draft, saved for the given date
+const saveDraft = (date, changes = {}) => {
+  const formData = {
+    name: 'Felting Circle',
+    price: '',
+    description: '',
+    link: 'https://example.com/felting',
+    kids: null,
+    location: 'Wool Shop',
+    date,
+    endDate: '',
+    time: '2:00 PM',
+    endTime: '',
+    organization: 'Wool Co',
+    email: 'hello@example.com',
+    craft: 'fiber-arts',
+    craftOther: '',
+    craftTags: [],
+    ...changes
+  };
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify({
+    draft: { id: 'draft', formData, recurrence: null, savedAt: new Date().toISOString() }
+  }));
+};
+
+const renderForm = () => render(
+  <MemoryRouter initialEntries={['/submit-event/basics']}>
+    <Routes>
+      <Route path="/submit-event/:step" element={<EventSubmissionForm />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+// Resumes the saved draft and moves on from the basics to the date step
+const resumeToDateStep = () => {
+  fireEvent.click(screen.getByRole('button', { name: /^Resume/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByText('Step 2 of 5: When')).toBeInTheDocument();
+};
+
+// Resumes the saved draft and steps through to the review
+const resumeToReview = () => {
+  resumeToDateStep();
+  ['Where', 'Details', 'Review'].forEach((title, index) => {
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText(`Step ${index + 3} of 5: ${title}`)).toBeInTheDocument();
+  });
+};
+
+describe('EventSubmissionForm', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearEventsCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('warns about a published event with the same name, apostrophes included', async () => {
+    const date = toDateKey(addDays(getToday(), 3));
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({
+        found_events: [{ name: 'The Makers\' Fair', date, time: '14:00:00', location_name: 'Joe\'s Wool Shop' }]
+      })
+    });
+    saveDraft(date, { name: 'Makers\' Fair', location: 'Joe\'s Wool Shop' });
+    renderForm();
+    resumeToReview();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+    expect(await screen.findByText('This event may already be on the calendar')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // The warning is for the values it was shown for
+    fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('Step 5 of 5: Review')).toBeInTheDocument();
+    expect(screen.queryByText('This event may already be on the calendar')).not.toBeInTheDocument();
+  });
+
+  it('previews the event with the text as typed', () => {
+    saveDraft(toDateKey(addDays(getToday(), 3)), { name: 'Mugs & "More"', organization: 'Joe\'s Pottery' });
+    renderForm();
+    resumeToReview();
+
+    expect(screen.getAllByText('Mugs & "More"').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('Joe\'s Pottery').length).toBeGreaterThan(0);
+    expect(screen.queryByText(/&#039;|&amp;|&quot;/)).not.toBeInTheDocument();
+  });
+
+  it('stops a resumed draft whose date has passed', () => {
+    saveDraft(toDateKey(addDays(getToday(), -3)));
+    renderForm();
+    resumeToDateStep();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText(/This date has passed/)).toBeInTheDocument();
+    expect(screen.getByText('Step 2 of 5: When')).toBeInTheDocument();
+  });
+
+  it('accepts a resumed draft for today', () => {
+    saveDraft(toDateKey(getToday()));
+    renderForm();
+    resumeToDateStep();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.queryByText(/This date has passed/)).not.toBeInTheDocument();
+    expect(screen.getByText('Step 3 of 5: Where')).toBeInTheDocument();
+  });
+});
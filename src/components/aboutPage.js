@@ -1,5 +1,8 @@
+import useI18n from '../hooks/useI18n';
 import './style/aboutPage.css';
 
+const CONTACT_EMAIL = 'korynwebsite@gmail.com';
+
 /**
  * AboutPage Component
  * 
@@ -11,39 +14,40 @@ import './style/aboutPage.css';
  *                        usage instructions, and contact information
  */
 export default function AboutPage() {
+  const { t } = useI18n();
+
   return (
     <div className="about-container">
       {/* Main page title */}
-      <h1 className="about-title">About The Craft Event Calendar</h1>
+      <h1 className="about-title">{t('about.title')}</h1>
       
       <div className="about-section">
-        <h2 className="about-section-title">Welcome to The Community Calendar</h2>
+        <h2 className="about-section-title">{t('about.welcomeTitle')}</h2>
         <p className="about-text">
-          This calendar application serves as a central hub for all craft related community events and activities. 
-          Browse upcoming events  and submit your own events to share with the community.
+          {t('about.welcomeText')}
         </p>
       </div>
       
 
       <div className="usage-section">
-        <h2 className="usage-section-title">How to Use This Application</h2>
+        <h2 className="usage-section-title">{t('about.usageTitle')}</h2>
         <p className="usage-text">
-          Navigate through the tabs above to access different features:
+          {t('about.usageIntro')}
         </p>
         <ul className="usage-list">
-          <li><strong>About:</strong> Learn about the purpose and features of this application</li>
-          <li><strong>Calendar:</strong> View all upcoming craft events in a calendar format</li>
-          <li><strong>Submit Event:</strong> Add your own craft event to the community calendar</li>
+          <li><strong>{`${t('nav.about')}:`}</strong> {t('about.usageAbout')}</li>
+          <li><strong>{`${t('nav.calendar')}:`}</strong> {t('about.usageCalendar')}</li>
+          <li><strong>{`${t('nav.submitEvent')}:`}</strong> {t('about.usageSubmit')}</li>
         </ul>
       </div>
       
       {/* Contact information section */}
       <div className="contact-section">
-        <h2 className="contact-section-title">Contact Information</h2>
+        <h2 className="contact-section-title">{t('about.contactTitle')}</h2>
         <p className="contact-text">
-          If you have any questions or need assistance with the calendar, please contact us at:
+          {t('about.contactText')}
           <br />
-          Email: korynwebsite@gmail.com
+          {t('about.email', { email: CONTACT_EMAIL })}
           <br />
         </p>
       </div>
@@ -0,0 +1,423 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { RefreshCw, LogOut } from 'lucide-react';
+import {
+  getEvents,
+  getPendingSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  moderateSubmissions
+} from '../api/eventsClient';
+import {
+  DEFAULT_SUBMISSION_FILTERS,
+  matchesSubmissionFilters,
+  hasActiveSubmissionFilters
+} from '../utils/submissionFilters';
+import { findDuplicates } from '../utils/duplicateDetection';
+import useAdminAuth from '../hooks/useAdminAuth';
+import useI18n from '../hooks/useI18n';
+import DuplicateEvents from './duplicateEvents';
+import EventDetails from './eventDetails';
+import SubmissionEditor from './submissionEditor';
+import './style/adminPage.css';
+
+// Submission times, e.g. "Jun 14, 2025, 6:30 PM"
+const SUBMITTED_FORMAT = {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+};
+
+/**
+ * AdminPage Component
+ *
+ * Moderation queue for submitted events, reached through /admin behind
+ * RequireAdmin. Moderators can:
+ * - preview a submission as it would appear on the calendar
+ * - approve it, or edit it first and publish the corrected version
+ * - reject it with a reason for the organizer
+ * - select several submissions and approve or reject them together
+ * - filter the queue by submission date and organizer email
+ * - spot submissions that likely duplicate a published event, and merge
+ *   duplicates already in the feed (see DuplicateEvents)
+ *
+ * Handled submissions leave the queue straight away. A request rejected
+ * with 401 signs the moderator out, which brings back the sign-in form.
+ *
+ * @returns {JSX.Element} The rendered moderation queue
+ */
+export default function AdminPage() {
+  const { signOut } = useAdminAuth();
+  const { t, formatDate } = useI18n();
+  const [submissions, setSubmissions] = useState([]);
+  // 'loading' | 'ready' | 'error'
+  const [status, setStatus] = useState('loading');
+  const [filters, setFilters] = useState(DEFAULT_SUBMISSION_FILTERS);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Submission with an open panel, and which one: 'preview' | 'edit' | 'reject'
+  const [openPanel, setOpenPanel] = useState(null);
+  // Whether the rejection form applies to the selected submissions
+  const [bulkRejecting, setBulkRejecting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Outcome of the last action: { type: 'success' | 'error', text }
+  const [notice, setNotice] = useState(null);
+  // Published events, to check submissions against and to find duplicates in
+  const [feedEvents, setFeedEvents] = useState([]);
+  // 'loading' | 'ready' | 'error'
+  const [feedStatus, setFeedStatus] = useState('loading');
+
+  const loadFeedEvents = useCallback(() => {
+    setFeedStatus('loading');
+    getEvents({ forceRefresh: true })
+      .then(({ events }) => {
+        setFeedEvents(events);
+        setFeedStatus('ready');
+      })
+      .catch((error) => {
+        console.error('Error loading events:', error);
+        setFeedStatus('error');
+      });
+  }, []);
+
+  const loadSubmissions = useCallback(() => {
+    setStatus('loading');
+    getPendingSubmissions()
+      .then((pending) => {
+        setSubmissions(pending);
+        setStatus('ready');
+      })
+      .catch((error) => {
+        console.error('Error loading submissions:', error);
+        setStatus('error');
+      });
+  }, []);
+
+  /**
+   * Effect to load the queue and the published events on mount
+   */
+  useEffect(() => {
+    loadSubmissions();
+    loadFeedEvents();
+  }, [loadSubmissions, loadFeedEvents]);
+
+  const visibleSubmissions = useMemo(
+    () => submissions.filter(submission => matchesSubmissionFilters(submission, filters)),
+    [submissions, filters]
+  );
+
+  // Only act on selected submissions that are still shown
+  const visibleSelectedIds = selectedIds.filter(id => visibleSubmissions.some(submission => submission.id === id));
+  const allSelected = visibleSubmissions.length > 0 && visibleSelectedIds.length === visibleSubmissions.length;
+
+  const updateFilter = (name, value) => setFilters(current => ({ ...current, [name]: value }));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id]));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : visibleSubmissions.map(submission => submission.id));
+  };
+
+  const closePanels = () => {
+    setOpenPanel(null);
+    setBulkRejecting(false);
+    setReason('');
+    setReasonError('');
+  };
+
+  const togglePanel = (id, panel) => {
+    const isOpen = openPanel && openPanel.id === id && openPanel.panel === panel;
+    closePanels();
+    if (!isOpen) setOpenPanel({ id, panel });
+  };
+
+  // Drops handled submissions from the queue and the selection
+  const removeSubmissions = (ids) => {
+    setSubmissions(current => current.filter(submission => !ids.includes(submission.id)));
+    setSelectedIds(current => current.filter(id => !ids.includes(id)));
+  };
+
+  // Runs a single-submission action, reporting its outcome
+  const runAction = async (submission, action, successKey) => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      await action();
+      removeSubmissions([submission.id]);
+      closePanels();
+      setNotice({ type: 'success', text: t(successKey, { name: submission.fields.name }) });
+    } catch (error) {
+      console.error('Error moderating submission:', error);
+      setNotice({ type: 'error', text: t('admin.actionError') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runBulkAction = async (action) => {
+    setBusy(true);
+    setNotice(null);
+    const { succeeded, failed } = await moderateSubmissions(visibleSelectedIds, action, { reason: reason.trim() });
+    removeSubmissions(succeeded);
+    closePanels();
+    setNotice(failed.length > 0
+      ? { type: 'error', text: t('admin.bulkFailed', { count: failed.length }) }
+      : { type: 'success', text: t(action === 'approve' ? 'admin.bulkApproved' : 'admin.bulkRejected', { count: succeeded.length }) });
+    setBusy(false);
+  };
+
+  // Checks the reason before rejecting; returns false when it is missing
+  const checkReason = () => {
+    if (reason.trim()) return true;
+    setReasonError(t('admin.rejectReasonRequired'));
+    return false;
+  };
+
+  const renderRejectForm = (onConfirm, count) => (
+    <form
+      className="admin-reject-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (checkReason()) onConfirm();
+      }}
+      noValidate
+    >
+      <label htmlFor="admin-reject-reason">{t('admin.rejectReason')}</label>
+      <textarea
+        id="admin-reject-reason"
+        rows={3}
+        value={reason}
+        placeholder={t('admin.rejectReasonPlaceholder')}
+        onChange={(e) => {
+          setReason(e.target.value);
+          setReasonError('');
+        }}
+        aria-invalid={Boolean(reasonError)}
+        aria-describedby={reasonError ? 'admin-reject-reason-error' : undefined}
+        autoFocus
+      />
+      {reasonError && <span id="admin-reject-reason-error" className="admin-field-error">{reasonError}</span>}
+      <div className="admin-actions">
+        <button type="submit" className="admin-button danger" disabled={busy}>
+          {t('admin.confirmReject', { count })}
+        </button>
+        <button type="button" className="admin-button" onClick={closePanels} disabled={busy}>
+          {t('admin.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="admin-container">
+      <div className="admin-header">
+        <h1 className="admin-title">{t('admin.title')}</h1>
+        <div className="admin-header-actions">
+          <button
+            type="button"
+            className="admin-button"
+            onClick={() => {
+              loadSubmissions();
+              loadFeedEvents();
+            }}
+            disabled={status === 'loading'}
+          >
+            <RefreshCw size={14} aria-hidden="true" />
+            {t('admin.refresh')}
+          </button>
+          <button type="button" className="admin-button" onClick={signOut}>
+            <LogOut size={14} aria-hidden="true" />
+            {t('admin.signOut')}
+          </button>
+        </div>
+      </div>
+
+      <fieldset className="admin-filters">
+        <legend>{t('admin.filters.label')}</legend>
+        <label>
+          {t('admin.filters.submittedFrom')}
+          <input
+            type="date"
+            value={filters.submittedFrom}
+            max={filters.submittedTo || undefined}
+            onChange={(e) => updateFilter('submittedFrom', e.target.value)}
+          />
+        </label>
+        <label>
+          {t('admin.filters.submittedTo')}
+          <input
+            type="date"
+            value={filters.submittedTo}
+            min={filters.submittedFrom || undefined}
+            onChange={(e) => updateFilter('submittedTo', e.target.value)}
+          />
+        </label>
+        <label>
+          {t('admin.filters.email')}
+          <input
+            type="search"
+            value={filters.email}
+            placeholder={t('admin.filters.emailPlaceholder')}
+            onChange={(e) => updateFilter('email', e.target.value)}
+          />
+        </label>
+        {hasActiveSubmissionFilters(filters) && (
+          <button type="button" className="admin-button" onClick={() => setFilters(DEFAULT_SUBMISSION_FILTERS)}>
+            {t('admin.filters.clear')}
+          </button>
+        )}
+      </fieldset>
+
+      {notice && (
+        <p className={`admin-notice ${notice.type}`} role={notice.type === 'error' ? 'alert' : 'status'}>
+          {notice.text}
+        </p>
+      )}
+
+      {status === 'loading' && <p className="admin-status">{t('admin.loading')}</p>}
+      {status === 'error' && <p className="admin-status" role="alert">{t('admin.loadError')}</p>}
+
+      {status === 'ready' && (
+        <>
+          <p className="admin-status">{t('admin.pendingCount', { count: submissions.length })}</p>
+
+          {visibleSubmissions.length === 0 ? (
+            <p className="admin-status">
+              {hasActiveSubmissionFilters(filters) ? t('admin.emptyFiltered') : t('admin.empty')}
+            </p>
+          ) : (
+            <>
+              <div className="admin-bulk-bar">
+                <label className="admin-select-all">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label={t('admin.selectAll')} />
+                  {t('admin.selectedCount', { count: visibleSelectedIds.length })}
+                </label>
+                <button
+                  type="button"
+                  className="admin-button primary"
+                  disabled={busy || visibleSelectedIds.length === 0}
+                  onClick={() => runBulkAction('approve')}
+                >
+                  {t('admin.approveSelected')}
+                </button>
+                <button
+                  type="button"
+                  className="admin-button danger"
+                  disabled={busy || visibleSelectedIds.length === 0}
+                  onClick={() => {
+                    closePanels();
+                    setBulkRejecting(true);
+                  }}
+                >
+                  {t('admin.rejectSelected')}
+                </button>
+              </div>
+              {bulkRejecting && visibleSelectedIds.length > 0 &&
+                renderRejectForm(() => runBulkAction('reject'), visibleSelectedIds.length)}
+
+              <ul className="admin-queue">
+                {visibleSubmissions.map((submission) => {
+                  const { id, fields, event, submittedAt } = submission;
+                  const panel = openPanel && openPanel.id === id ? openPanel.panel : null;
+                  const [duplicate] = findDuplicates(event, feedEvents);
+                  return (
+                    <li key={id} className="admin-submission">
+                      <div className="admin-submission-summary">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(id)}
+                          onChange={() => toggleSelected(id)}
+                          aria-label={t('admin.select', { name: fields.name })}
+                        />
+                        <div className="admin-submission-info">
+                          <span className="admin-submission-name">{fields.name}</span>
+                          <span className="admin-submission-meta">
+                            {[
+                              !isNaN(event.start) && formatDate(event.start, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+                              fields.organization,
+                              fields.email
+                            ].filter(Boolean).join(' · ')}
+                          </span>
+                          <span className="admin-submission-meta">
+                            {submittedAt
+                              ? t('admin.submittedOn', { date: formatDate(submittedAt, SUBMITTED_FORMAT) })
+                              : t('admin.submittedUnknown')}
+                          </span>
+                          {duplicate && (
+                            <span className="admin-submission-duplicate">
+                              {t('admin.possibleDuplicate', { name: duplicate.event.name })}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="admin-actions">
+                        <button
+                          type="button"
+                          className="admin-button primary"
+                          disabled={busy}
+                          onClick={() => runAction(submission, () => approveSubmission(id), 'admin.approved')}
+                        >
+                          {t('admin.approve')}
+                        </button>
+                        <button
+                          type="button"
+                          className="admin-button"
+                          aria-expanded={panel === 'edit'}
+                          onClick={() => togglePanel(id, 'edit')}
+                        >
+                          {t('admin.edit')}
+                        </button>
+                        <button
+                          type="button"
+                          className="admin-button danger"
+                          aria-expanded={panel === 'reject'}
+                          onClick={() => togglePanel(id, 'reject')}
+                        >
+                          {t('admin.reject')}
+                        </button>
+                        <button
+                          type="button"
+                          className="admin-button"
+                          aria-expanded={panel === 'preview'}
+                          onClick={() => togglePanel(id, 'preview')}
+                        >
+                          {panel === 'preview' ? t('admin.hidePreview') : t('admin.preview')}
+                        </button>
+                      </div>
+
+                      {panel === 'preview' && (
+                        <div className="admin-preview">
+                          <EventDetails event={event} variant="modal" showActions={false} />
+                        </div>
+                      )}
+                      {panel === 'edit' && (
+                        <SubmissionEditor
+                          submission={submission}
+                          saving={busy}
+                          onCancel={closePanels}
+                          onSave={changes => runAction(
+                            submission,
+                            () => approveSubmission(id, Object.keys(changes).length > 0 ? changes : undefined),
+                            'admin.approved'
+                          )}
+                        />
+                      )}
+                      {panel === 'reject' &&
+                        renderRejectForm(() => runAction(submission, () => rejectSubmission(id, reason.trim()), 'admin.rejected'), 1)}
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+
+      <DuplicateEvents events={feedEvents} status={feedStatus} onMerged={loadFeedEvents} />
+    </div>
+  );
+}
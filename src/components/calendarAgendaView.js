@@ -0,0 +1,77 @@
+import { getTodayKey, parseDateKey } from '../utils/dateTime';
+import { getCraftStyle } from '../utils/craftTaxonomy';
+import useI18n from '../hooks/useI18n';
+import './style/calendarAgendaView.css';
+
+/**
+ * CalendarAgendaView Component
+ *
+ * Chronological list of upcoming events, grouped by day. Past days are left
+ * out. This is the default view on small screens, where a seven-column
+ * month grid is too cramped to read.
+ *
+ * @param {Object} props - Component props
+ * @param {Object<string, Object[]>} props.eventsByDate - Filtered events keyed by YYYY-MM-DD
+ * @param {Function} props.onSelectEvent - Called with an event when it is clicked
+ * @returns {JSX.Element} The rendered agenda list
+ */
+export default function CalendarAgendaView({ eventsByDate, onSelectEvent }) {
+  const { t, formatDate, formatTime, formatTimeRange } = useI18n();
+  const todayKey = getTodayKey();
+  const upcomingDates = Object.keys(eventsByDate)
+    .filter(dateKey => dateKey >= todayKey && eventsByDate[dateKey].length > 0)
+    .sort();
+
+  if (upcomingDates.length === 0) {
+    return <p className="agenda-empty">{t('calendar.agendaEmpty')}</p>;
+  }
+
+  return (
+    <ol className="agenda-list">
+      {upcomingDates.map(dateKey => (
+        <li key={dateKey} className="agenda-day">
+          <h2 className="agenda-date">
+            {formatDate(parseDateKey(dateKey), {
+              weekday: 'long',
+              month: 'long',
+              day: 'numeric'
+            })}
+            {dateKey === todayKey && <span className="agenda-today">{t('common.today')}</span>}
+          </h2>
+          <ul className="agenda-events">
+            {[...eventsByDate[dateKey]]
+              .sort((a, b) => (a.time || '').localeCompare(b.time || ''))
+              .map((event, index) => (
+                <li key={index}>
+                  <button
+                    type="button"
+                    className="agenda-event"
+                    style={getCraftStyle(event.craft)}
+                    onClick={() => onSelectEvent(event)}
+                  >
+                    <span className="agenda-event-time">
+                      {event.time ? formatTime(event.time) : t('common.allDay')}
+                    </span>
+                    <span className="agenda-event-details">
+                      <span className="agenda-event-name">{event.name}</span>
+                      {event.end_time && (
+                        <span className="agenda-event-meta">{formatTimeRange(event.time, event.end_time)}</span>
+                      )}
+                      {event.spanDay && (
+                        <span className="agenda-event-span">{t('common.dayOfSpan', { day: event.spanDay, length: event.spanLength })}</span>
+                      )}
+                      {(event.business || event.location_name) && (
+                        <span className="agenda-event-meta">
+                          {[event.business, event.location_name].filter(Boolean).join(' · ')}
+                        </span>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  );
+}
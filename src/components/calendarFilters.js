@@ -0,0 +1,143 @@
+import { DEFAULT_FILTERS, hasActiveFilters } from '../utils/eventFilters';
+import { getCraftLabel } from '../utils/craftTaxonomy';
+import useI18n from '../hooks/useI18n';
+import './style/calendarFilters.css';
+
+/**
+ * CalendarFilters Component
+ *
+ * Filter panel displayed above the calendar grid. Lets users narrow the
+ * events shown by craft, kid-friendliness, price and organizer. The panel is
+ * fully controlled: it never filters anything itself, it only reports the
+ * next filter object to its parent.
+ *
+ * @param {Object} props - Component props
+ * @param {import('../utils/eventFilters').EventFilters} props.filters - Active filters
+ * @param {{crafts: string[], organizers: string[]}} props.options - Available choices
+ * @param {Function} props.onChange - Called with the updated filters object
+ * @returns {JSX.Element} The rendered filter panel
+ */
+export default function CalendarFilters({ filters, options, onChange }) {
+  const { t } = useI18n();
+
+  /**
+   * Merges a partial update into the current filters and reports it.
+   * @param {Object} changes - Filter fields to update
+   */
+  const updateFilters = (changes) => {
+    onChange({ ...filters, ...changes });
+  };
+
+  /**
+   * Adds or removes a craft from the multi-select.
+   * @param {string} craft - The craft that was toggled
+   */
+  const toggleCraft = (craft) => {
+    const crafts = filters.crafts.includes(craft)
+      ? filters.crafts.filter(selected => selected !== craft)
+      : [...filters.crafts, craft];
+    updateFilters({ crafts });
+  };
+
+  return (
+    <section className="calendar-filters" aria-label={t('filters.label')}>
+      {/* Craft multi-select */}
+      {options.crafts.length > 0 && (
+        <div className="filter-group">
+          <span className="filter-label" id="craft-filter-label">{t('filters.craft')}</span>
+          <div className="craft-options" role="group" aria-labelledby="craft-filter-label">
+            {options.crafts.map((craft) => (
+              <button
+                key={craft}
+                type="button"
+                className={`craft-chip ${filters.crafts.includes(craft) ? 'active' : ''}`}
+                aria-pressed={filters.crafts.includes(craft)}
+                onClick={() => toggleCraft(craft)}
+              >
+                {getCraftLabel(craft, t)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="filter-row">
+        {/* Kid-friendly toggle */}
+        <label className="filter-toggle">
+          <input
+            type="checkbox"
+            checked={filters.kidsOnly}
+            onChange={(e) => updateFilters({ kidsOnly: e.target.checked })}
+          />
+          {t('filters.kidsOnly')}
+        </label>
+
+        {/* Price control */}
+        <div className="filter-group inline">
+          <label className="filter-label" htmlFor="price-filter">{t('filters.price')}</label>
+          <select
+            id="price-filter"
+            className="filter-select"
+            value={filters.price}
+            onChange={(e) => updateFilters({ price: e.target.value })}
+          >
+            <option value="any">{t('filters.anyPrice')}</option>
+            <option value="free">{t('filters.free')}</option>
+            <option value="range">{t('filters.priceRange')}</option>
+          </select>
+          {filters.price === 'range' && (
+            <span className="price-range">
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="filter-price-input"
+                aria-label={t('filters.minPrice')}
+                placeholder={t('filters.min')}
+                value={filters.minPrice}
+                onChange={(e) => updateFilters({ minPrice: e.target.value })}
+              />
+              <span aria-hidden="true">–</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="filter-price-input"
+                aria-label={t('filters.maxPrice')}
+                placeholder={t('filters.max')}
+                value={filters.maxPrice}
+                onChange={(e) => updateFilters({ maxPrice: e.target.value })}
+              />
+            </span>
+          )}
+        </div>
+
+        {/* Organizer picker */}
+        <div className="filter-group inline">
+          <label className="filter-label" htmlFor="organizer-filter">{t('filters.organizer')}</label>
+          <select
+            id="organizer-filter"
+            className="filter-select"
+            value={filters.organizer}
+            onChange={(e) => updateFilters({ organizer: e.target.value })}
+          >
+            <option value="">{t('filters.allOrganizers')}</option>
+            {options.organizers.map((organizer) => (
+              <option key={organizer} value={organizer}>{organizer}</option>
+            ))}
+          </select>
+        </div>
+
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            className="filter-reset"
+            onClick={() => onChange(DEFAULT_FILTERS)}
+          >
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -1,14 +1,101 @@
-import { useState, useEffect, useCallback } from 'react';
-import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router';
+import { ChevronLeft, ChevronRight, Download, AlertCircle, RefreshCw, WifiOff } from 'lucide-react';
+import CalendarFilters from './calendarFilters';
+import EventSearch from './eventSearch';
+import CalendarTimeGrid from './calendarTimeGrid';
+import CalendarAgendaView from './calendarAgendaView';
+import CalendarSkeleton from './calendarSkeleton';
+import CalendarSettings from './calendarSettings';
+import CraftLegend from './craftLegend';
+import EventDetails from './eventDetails';
+import { DEFAULT_FILTERS, matchesFilters, getFilterOptions, hasActiveFilters } from '../utils/eventFilters';
+import {
+  addDays,
+  addMonths,
+  startOfWeek,
+  orderWeekdays,
+  getISOWeek,
+  parseDateKey,
+  toDateKey,
+  getToday,
+  getTodayKey
+} from '../utils/dateTime';
+import { buildCalendar, downloadCalendar } from '../utils/ics';
+import { getCalendarPath } from '../utils/routes';
+import { expandRecurringEvents } from '../utils/recurrence';
+import { getCoveredDates, isMultiDay, layoutSpanningEvents, spreadMultiDayEvents } from '../utils/multiDay';
+import { trapFocus } from '../utils/focus';
+import { getCraftStyle } from '../utils/craftTaxonomy';
+import { getEvents, groupEventsByDate } from '../api/eventsClient';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useI18n from '../hooks/useI18n';
+import useCalendarSettings from '../hooks/useCalendarSettings';
 import './style/calendarPage.css';
 
+// Labelled by calendar.views.<id> in the message catalogs
+const VIEWS = ['month', 'week', 'day', 'agenda'];
+
+// Month shown by /calendar/:year/:month, or null when the URL has none or an invalid one
+const parseMonthParams = (yearParam, monthParam) => {
+  if (!/^\d{4}$/.test(yearParam || '') || !/^\d{1,2}$/.test(monthParam || '')) return null;
+  const month = Number(monthParam);
+  if (month < 1 || month > 12) return null;
+  return new Date(Number(yearParam), month - 1, 1);
+};
+
+// After this long, a pending load is probably a backend cold start
+const SLOW_LOAD_MS = 4000;
+
+const formatFetchedAt = (date, { intlLocale }) =>
+  date.toLocaleString(intlLocale, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const isSameMonth = (a, b) =>
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+
+// Recurring events are expanded this far past the start of the visible period,
+// enough for the agenda and for finding the next month with events
+const RECURRENCE_WINDOW_DAYS = 366;
+
 export default function CalendarPage() {
-  const [currentDate, setCurrentDate] = useState(new Date());
-  const [allEvents, setAllEvents] = useState({});
+  const { year: yearParam, month: monthParam } = useParams();
+  const navigate = useNavigate();
+  const i18n = useI18n();
+  const { t, formatDate, formatTimeRange } = i18n;
+  const { weekStartsOn, settings: { showWeekNumbers } } = useCalendarSettings();
+  const [currentDate, setCurrentDate] = useState(
+    () => parseMonthParams(yearParam, monthParam) || getToday()
+  );
+  const [feedEvents, setFeedEvents] = useState([]);
   const [filteredEvents, setFilteredEvents] = useState({});
   const [hoveredEvent, setHoveredEvent] = useState(null);
   const [modalEvent, setModalEvent] = useState(null);
+  // Date key of the day whose events are listed in the day dialog
+  const [dayDialogKey, setDayDialogKey] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [highlightedDate, setHighlightedDate] = useState(null);
+  // 'loading' | 'ready' | 'error'
+  const [loadStatus, setLoadStatus] = useState('loading');
+  const [isSlowLoad, setIsSlowLoad] = useState(false);
+  // Set when cached events are shown because the backend could not be reached
+  const [staleSince, setStaleSince] = useState(null);
+  const [fetchedAt, setFetchedAt] = useState(null);
+  const isOnline = useOnlineStatus();
   const [isMobile, setIsMobile] = useState(() => window.innerWidth <= 640);
+  // The agenda list reads better than a squeezed month grid on small screens
+  const [view, setView] = useState(() => (window.innerWidth <= 640 ? 'agenda' : 'month'));
+
+  // Follow the URL when it changes underneath us (back/forward, pasted links)
+  useEffect(() => {
+    const urlMonth = parseMonthParams(yearParam, monthParam) || getToday();
+    setCurrentDate(prev => (isSameMonth(prev, urlMonth) ? prev : urlMonth));
+  }, [yearParam, monthParam]);
+
+  // Move to a new date, adding a history entry whenever the month changes
+  const changeDate = (date) => {
+    setCurrentDate(date);
+    if (!isSameMonth(date, currentDate)) navigate(getCalendarPath(date));
+  };
 
   useEffect(() => {
     const handleResize = () => setIsMobile(window.innerWidth <= 640);
@@ -17,219 +104,612 @@ export default function CalendarPage() {
   }, []);
 
   const handleOverlayClick = useCallback((e) => {
-    if (e.target === e.currentTarget) setModalEvent(null);
+    if (e.target !== e.currentTarget) return;
+    setModalEvent(null);
+    setDayDialogKey(null);
   }, []);
 
   useEffect(() => {
-    const handleKey = (e) => { if (e.key === 'Escape') setModalEvent(null); };
+    const handleKey = (e) => {
+      if (e.key !== 'Escape') return;
+      setModalEvent(null);
+      setDayDialogKey(null);
+    };
     window.addEventListener('keydown', handleKey);
     return () => window.removeEventListener('keydown', handleKey);
   }, []);
 
+  const dialogRef = useRef(null);
+  const returnFocusRef = useRef(null);
+  const openDialog = modalEvent ? 'event' : dayDialogKey && 'day';
+
+  // Move focus into a dialog when it opens, and back to whatever opened it
+  // (such as a day cell) when it closes
+  useEffect(() => {
+    if (!openDialog) return undefined;
+    returnFocusRef.current = document.activeElement;
+    if (dialogRef.current) dialogRef.current.focus();
+    return () => {
+      const opener = returnFocusRef.current;
+      if (opener && opener.isConnected) opener.focus();
+    };
+  }, [openDialog]);
+
+  const gridRef = useRef(null);
+  // Set when the keyboard moves to another day, so the new cell takes focus
+  const focusDayRef = useRef(false);
+
+  useEffect(() => {
+    if (!focusDayRef.current || !gridRef.current) return;
+    focusDayRef.current = false;
+    const cell = gridRef.current.querySelector(`[data-date="${toDateKey(currentDate)}"]`);
+    if (cell) cell.focus();
+  }, [currentDate]);
+
   const getMonthYearString = (date) =>
-    date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    formatDate(date, { month: 'long', year: 'numeric' });
 
-  const goToPreviousMonth = () => {
-    setCurrentDate(prevDate => {
-      const newDate = new Date(prevDate);
-      newDate.setMonth(newDate.getMonth() - 1);
-      return newDate;
-    });
+  // Heading for the period shown by the active view
+  const getPeriodTitle = () => {
+    if (view === 'agenda') return t('calendar.upcomingTitle');
+    if (view === 'day') {
+      return formatDate(currentDate, {
+        weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+      });
+    }
+    if (view === 'week') {
+      const weekStart = startOfWeek(currentDate, weekStartsOn);
+      const weekEnd = addDays(weekStart, 6);
+      const start = formatDate(weekStart, { month: 'short', day: 'numeric' });
+      const end = formatDate(weekEnd, { month: 'short', day: 'numeric', year: 'numeric' });
+      return `${start} – ${end}`;
+    }
+    return getMonthYearString(currentDate);
+  };
+
+  // Step back or forward by one month, week or day depending on the view
+  const stepDate = (direction) => {
+    if (view === 'week') {
+      changeDate(addDays(currentDate, 7 * direction));
+    } else if (view === 'day') {
+      changeDate(addDays(currentDate, direction));
+    } else {
+      changeDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + direction, 1));
+    }
+  };
+
+  // Jump to the month of a search result and highlight its day
+  const handleSearchSelect = (event) => {
+    changeDate(parseDateKey(event.date));
+    setHighlightedDate(event.date);
+    if (view === 'agenda') setView('month');
   };
 
-  const goToNextMonth = () => {
-    setCurrentDate(prevDate =>
-      new Date(prevDate.getFullYear(), prevDate.getMonth() + 1, 1)
+  // Download every event shown in the month grid as one calendar
+  const exportMonth = () => {
+    const events = Object.keys(filteredEvents)
+      .sort((a, b) => a - b)
+      .flatMap(day => filteredEvents[day]);
+    const monthKey = toDateKey(currentDate).slice(0, 7);
+    downloadCalendar(
+      buildCalendar(events, { name: t('calendar.exportName', { month: getMonthYearString(currentDate) }) }),
+      `dc-craft-events-${monthKey}.ics`
     );
   };
 
+  // Open a single day from the month grid
+  const openDayView = (day) => {
+    changeDate(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
+    setView('day');
+  };
+
+  /**
+   * Arrow keys move between days, Home/End to the start or end of the week
+   * (with Ctrl, of the month) and PageUp/PageDown by a month (with Shift, a
+   * year), moving into neighbouring months as needed. Enter or Space opens
+   * the focused day's events.
+   */
+  const handleGridKeyDown = (e) => {
+    if (!e.target.dataset.date) return;
+
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setDayDialogKey(e.target.dataset.date);
+      return;
+    }
+
+    let nextDate;
+    switch (e.key) {
+      case 'ArrowLeft':
+        nextDate = addDays(currentDate, -1);
+        break;
+      case 'ArrowRight':
+        nextDate = addDays(currentDate, 1);
+        break;
+      case 'ArrowUp':
+        nextDate = addDays(currentDate, -7);
+        break;
+      case 'ArrowDown':
+        nextDate = addDays(currentDate, 7);
+        break;
+      case 'Home':
+        nextDate = e.ctrlKey
+          ? new Date(currentDate.getFullYear(), currentDate.getMonth(), 1)
+          : startOfWeek(currentDate, weekStartsOn);
+        break;
+      case 'End':
+        nextDate = e.ctrlKey
+          ? new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0)
+          : addDays(startOfWeek(currentDate, weekStartsOn), 6);
+        break;
+      case 'PageUp':
+        nextDate = addMonths(currentDate, e.shiftKey ? -12 : -1);
+        break;
+      case 'PageDown':
+        nextDate = addMonths(currentDate, e.shiftKey ? 12 : 1);
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    focusDayRef.current = true;
+    changeDate(nextDate);
+  };
+
+  const getDayKey = (day) => toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
+
+  // Cell label for screen readers, e.g. "Saturday, June 14, 2 events"
+  const getDayLabel = (day) => {
+    const dateKey = getDayKey(day);
+    const count = (eventsByDay[dateKey] || []).length;
+    return t('calendar.dayLabel', {
+      date: formatDate(parseDateKey(dateKey), { weekday: 'long', month: 'long', day: 'numeric' }),
+      events: count === 0 ? t('calendar.noEvents') : t('calendar.eventCount', { count })
+    });
+  };
+
   const generateCalendarDays = () => {
     const year = currentDate.getFullYear();
     const month = currentDate.getMonth();
     const firstDay = new Date(year, month, 1);
-    const startDay = firstDay.getDay();
+    const leadingDays = (firstDay.getDay() - weekStartsOn + 7) % 7;
     const totalDays = new Date(year, month + 1, 0).getDate();
     const days = [];
-    for (let i = 0; i < startDay; i++) days.push(null);
+    for (let i = 0; i < leadingDays; i++) days.push(null);
     for (let i = 1; i <= totalDays; i++) days.push(i);
     return days;
   };
 
-  useEffect(() => {
-    const fetchEvents = async () => {
-      try {
-        const response = await fetch(process.env.REACT_APP_CALENDAR_URL);
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-        const body = JSON.parse(data['body']);
-        const processedEvents = {};
-        if (body.found_events && Array.isArray(body.found_events)) {
-          body.found_events.forEach((event) => {
-            const dateKey = event.date;
-            if (!processedEvents[dateKey]) processedEvents[dateKey] = [];
-            processedEvents[dateKey].push(event);
-          });
-        } else {
-          console.log('Condition failed - not processing events');
-        }
-        setAllEvents(processedEvents);
-      } catch (error) {
-        console.log('Error:', error);
-      }
-    };
-    fetchEvents();
+  const loadEvents = useCallback(async (forceRefresh = false) => {
+    setLoadStatus('loading');
+    try {
+      const result = await getEvents({ forceRefresh });
+      setFeedEvents(result.events);
+      setFetchedAt(result.fetchedAt);
+      setStaleSince(result.stale ? result.fetchedAt : null);
+      setLoadStatus('ready');
+    } catch (error) {
+      console.error('Error loading events:', error);
+      setLoadStatus('error');
+    }
   }, []);
 
   useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  // Pick up fresh events as soon as the connection comes back
+  useEffect(() => {
+    if (isOnline) return;
+    const handleOnline = () => loadEvents(true);
+    window.addEventListener('online', handleOnline, { once: true });
+    return () => window.removeEventListener('online', handleOnline);
+  }, [isOnline, loadEvents]);
+
+  // Let people know a slow load is expected rather than a broken page
+  useEffect(() => {
+    if (loadStatus !== 'loading') {
+      setIsSlowLoad(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIsSlowLoad(true), SLOW_LOAD_MS);
+    return () => clearTimeout(timer);
+  }, [loadStatus]);
+
+  // Expand recurring events from the start of the visible period: the week
+  // containing the 1st of the month for the grids, today for the agenda
+  const expansionStartKey = view === 'agenda'
+    ? getTodayKey()
+    : toDateKey(startOfWeek(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1), weekStartsOn));
+
+  // Every fetched event, with recurring events expanded into occurrences, keyed by date
+  const allEvents = useMemo(() => {
+    const expansionEndKey = toDateKey(addDays(parseDateKey(expansionStartKey), RECURRENCE_WINDOW_DAYS));
+    return groupEventsByDate(expandRecurringEvents(feedEvents, expansionStartKey, expansionEndKey));
+  }, [feedEvents, expansionStartKey]);
+
+  // Every fetched event that passes the active filters, keyed by date
+  const matchingEvents = useMemo(() => {
     const processedEvents = {};
     Object.keys(allEvents).forEach((dateKey) => {
-      allEvents[dateKey].forEach((event) => {
-        const [year, month, day] = event.date.split('-').map(Number);
-        const eventDate = new Date(year, month - 1, day);
-        if (
-          eventDate.getMonth() === currentDate.getMonth() &&
-          eventDate.getFullYear() === currentDate.getFullYear()
-        ) {
-          const dayOfMonth = eventDate.getDate();
+      const events = allEvents[dateKey].filter(event => matchesFilters(event, filters));
+      if (events.length > 0) processedEvents[dateKey] = events;
+    });
+    return processedEvents;
+  }, [allEvents, filters]);
+
+  // Events shown in the month grid, keyed by day of month. Multi-day events
+  // that started in an earlier month are listed under the 1st.
+  useEffect(() => {
+    const monthKey = toDateKey(currentDate).slice(0, 7);
+    const processedEvents = {};
+    Object.keys(matchingEvents).forEach((dateKey) => {
+      matchingEvents[dateKey].forEach((event) => {
+        const firstVisibleKey = getCoveredDates(event).find(key => key.startsWith(monthKey));
+        if (firstVisibleKey) {
+          const dayOfMonth = Number(firstVisibleKey.slice(8));
           if (!processedEvents[dayOfMonth]) processedEvents[dayOfMonth] = [];
           processedEvents[dayOfMonth].push(event);
         }
       });
     });
     setFilteredEvents(processedEvents);
-  }, [currentDate, allEvents]);
+  }, [currentDate, matchingEvents]);
 
+  // Week, day and agenda views list multi-day events on every day they cover
+  const eventsByDay = useMemo(() => spreadMultiDayEvents(matchingEvents), [matchingEvents]);
+
+  // Close an open popup or modal if the event it shows was just filtered out
+  useEffect(() => {
+    setHoveredEvent(null);
+    setModalEvent(prev => (prev && !matchesFilters(prev, filters) ? null : prev));
+  }, [filters]);
+
+  const filterOptions = useMemo(() => getFilterOptions(allEvents), [allEvents]);
+  const legendEvents = useMemo(() => Object.values(matchingEvents).flat(), [matchingEvents]);
+
+  // First month after the visible one that has matching events, for the empty state
+  const nextMonthWithEvents = useMemo(() => {
+    const monthEnd = toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0));
+    const nextDateKey = Object.keys(matchingEvents)
+      .filter(dateKey => dateKey > monthEnd)
+      .sort()[0];
+    return nextDateKey ? parseDateKey(nextDateKey) : null;
+  }, [matchingEvents, currentDate]);
+
+  const hasLoadedEvents = feedEvents.length > 0;
+  const showSkeleton = loadStatus === 'loading' && !hasLoadedEvents;
+  const isMonthEmpty = loadStatus === 'ready' && view === 'month' && Object.keys(filteredEvents).length === 0;
   const calendarDays = generateCalendarDays();
+  // Multi-day events are drawn as bars across the cells they cover
+  const spanLayout = layoutSpanningEvents(
+    Object.values(filteredEvents).flat().filter(isMultiDay),
+    calendarDays.filter(Boolean).map(getDayKey),
+    weekStartsOn
+  );
+
+  // Bar segments (with empty slots that keep bars aligned) followed by single-day events
+  const getCellItems = (day) => [
+    ...(spanLayout[getDayKey(day)] || []).map((segment, lane) => ({
+      key: `span-${lane}`,
+      segment,
+      event: segment && segment.event
+    })),
+    ...(filteredEvents[day] || [])
+      .filter(event => !isMultiDay(event))
+      .map((event, eventIndex) => ({ key: `event-${eventIndex}`, event }))
+  ];
+  const weekStart = startOfWeek(currentDate, weekStartsOn);
+  // Week rows of the month grid
+  const calendarWeeks = [];
+  for (let i = 0; i < calendarDays.length; i += 7) calendarWeeks.push(calendarDays.slice(i, i + 7));
+  // ISO week number of a row, from its middle day so Sunday-first rows count too
+  const gridStart = startOfWeek(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1), weekStartsOn);
+  const getRowWeekNumber = (weekIndex) => getISOWeek(addDays(gridStart, weekIndex * 7 + 3));
+  const dayDialogEvents = dayDialogKey ? eventsByDay[dayDialogKey] || [] : [];
+  const todayKey = getTodayKey();
 
   return (
     <div className="calendar-container">
       <header className="calendar-header">
         <div className="month-navigation">
-          <button onClick={goToPreviousMonth} className="nav-button" aria-label="Go to previous month">
-            <ChevronLeft size={24} />
+          {view !== 'agenda' && (
+            <button onClick={() => stepDate(-1)} className="nav-button" aria-label={t(`calendar.previous.${view}`)}>
+              <ChevronLeft size={24} />
+            </button>
+          )}
+          <h1 className="month-title">{getPeriodTitle()}</h1>
+          {view !== 'agenda' && (
+            <button onClick={() => stepDate(1)} className="nav-button" aria-label={t(`calendar.next.${view}`)}>
+              <ChevronRight size={24} />
+            </button>
+          )}
+          {!showSkeleton && view === 'month' && (
+            <button
+              type="button"
+              className="export-button"
+              onClick={exportMonth}
+              disabled={Object.keys(filteredEvents).length === 0}
+            >
+              <Download size={16} aria-hidden="true" />
+              {t('calendar.exportMonth')}
+            </button>
+          )}
+          <div className="view-switcher" role="group" aria-label={t('calendar.viewSwitcher')}>
+            {VIEWS.map(id => (
+              <button
+                key={id}
+                type="button"
+                className={`view-button ${view === id ? 'active' : ''}`}
+                aria-pressed={view === id}
+                onClick={() => setView(id)}
+              >
+                {t(`calendar.views.${id}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <EventSearch events={allEvents} onSelect={handleSearchSelect} />
+      </header>
+
+      <CalendarFilters filters={filters} options={filterOptions} onChange={setFilters} />
+      <CalendarSettings />
+      <CraftLegend events={legendEvents} />
+
+      {loadStatus === 'loading' && isSlowLoad && (
+        <p className="calendar-notice" role="status">
+          {t('calendar.slowLoad')}
+        </p>
+      )}
+
+      {!isOnline && (
+        <div className="calendar-banner offline" role="status">
+          <WifiOff size={18} aria-hidden="true" />
+          <span>
+            {hasLoadedEvents && fetchedAt
+              ? t('calendar.offlineAsOf', { date: formatFetchedAt(fetchedAt, i18n) })
+              : t('calendar.offline')}
+          </span>
+        </div>
+      )}
+
+      {isOnline && loadStatus === 'error' && (
+        <div className="calendar-banner error" role="alert">
+          <AlertCircle size={18} aria-hidden="true" />
+          <span>
+            {t('calendar.loadError')} {hasLoadedEvents ? t('calendar.loadErrorStale') : t('calendar.loadErrorRetry')}
+          </span>
+          <button type="button" className="banner-button" onClick={() => loadEvents(true)}>
+            <RefreshCw size={14} aria-hidden="true" /> {t('common.retry')}
           </button>
-          <h1 className="month-title">{getMonthYearString(currentDate)}</h1>
-          <button onClick={goToNextMonth} className="nav-button" aria-label="Go to next month">
-            <ChevronRight size={24} />
+        </div>
+      )}
+
+      {isOnline && loadStatus === 'ready' && staleSince && (
+        <div className="calendar-banner stale" role="status">
+          <AlertCircle size={18} aria-hidden="true" />
+          <span>
+            {t('calendar.stale', { date: formatFetchedAt(staleSince, i18n) })}
+          </span>
+          <button type="button" className="banner-button" onClick={() => loadEvents(true)}>
+            <RefreshCw size={14} aria-hidden="true" /> {t('common.retry')}
           </button>
         </div>
-      </header>
+      )}
 
-      <div className={isMobile ? 'calendar-grid-scroll-wrapper' : ''}>
-        <div className="calendar-grid">
-          {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, index) => (
-            <div key={index} className="day-header">{day}</div>
-          ))}
-
-          {calendarDays.map((day, index) => (
-            <div
-              key={index}
-              className={`calendar-day ${day ? '' : 'empty'}`}
-              style={!isMobile && hoveredEvent && hoveredEvent.day === day ? { zIndex: 10 } : {}}
-            >
-              {day && (
-                <>
-                  <div className="day-number">{day}</div>
-                  <div className="events-container">
-                    {filteredEvents[day] && filteredEvents[day].map((event, eventIndex) => (
-                      <div
-                        key={eventIndex}
-                        className="event-item"
-                        onMouseEnter={() => !isMobile && setHoveredEvent({ day, eventIndex, event })}
-                        onMouseLeave={() => !isMobile && setHoveredEvent(null)}
-                        onClick={() => isMobile && setModalEvent(event)}
-                      >
-                        <h3>{event.name}</h3>
-                        {!isMobile &&
-                          hoveredEvent &&
-                          hoveredEvent.day === day &&
-                          hoveredEvent.eventIndex === eventIndex && (
-                            <div className="event-popup">
-                              {event.time !== null && event.time !== undefined && (
-                                <h3 className="popup-time"><strong>Time:</strong> {event.time.slice(0, 5)}</h3>
-                              )}
-                              {event.business && (
-                                <p className="popup-business"><strong>Organizer:</strong> {event.business}</p>
-                              )}
-                              {event.craft && (
-                                <p className="popup-craft"><strong>Craft:</strong> {event.craft}</p>
-                              )}
-                              {event.description && (
-                                <p className="popup-description"><strong>Description:</strong> {event.description}</p>
-                              )}
-                              {event.price !== null && event.price !== undefined && (
-                                <p className="popup-price"><strong>Price:</strong> ${event.price.toFixed(2)}</p>
-                              )}
-                              {event.location_name && (
-                                <p className="popup-location"><strong>Location:</strong> {event.location_name}</p>
-                              )}
-                              {event.address && event.address !== 'NAMER' && (
-                                <p className="popup-address">
-                                  {event.city && ` ${event.city}`}
-                                  {event.state && `, ${event.state}`}
-                                  {event.zip && ` ${event.zip}`}
-                                </p>
-                              )}
-                              {event.kids && (
-                                <p className="popup-kids"><strong>Kid-Friendly:</strong> Yes</p>
-                              )}
-                              {event.link && (
-                                <a href={event.link} target="_blank" rel="noopener noreferrer" className="popup-link">
-                                  View Event Details
-                                </a>
-                              )}
-                            </div>
-                          )}
-                      </div>
-                    ))}
-                  </div>
-                </>
+      {isMonthEmpty && (
+        <p className="calendar-notice" role="status">
+          {hasActiveFilters(filters) ? t('calendar.emptyMonthFiltered') : t('calendar.emptyMonth')}
+          {nextMonthWithEvents && (
+            <>
+              {' '}
+              <Link to={getCalendarPath(nextMonthWithEvents)} className="calendar-notice-link">
+                {t('calendar.jumpTo', { month: getMonthYearString(nextMonthWithEvents) })}
+              </Link>
+            </>
+          )}
+        </p>
+      )}
+
+      {showSkeleton && <CalendarSkeleton view={view} />}
+
+      {!showSkeleton && view === 'week' && (
+        <CalendarTimeGrid
+          days={[0, 1, 2, 3, 4, 5, 6].map(offset => addDays(weekStart, offset))}
+          eventsByDate={eventsByDay}
+          onSelectEvent={setModalEvent}
+        />
+      )}
+
+      {!showSkeleton && view === 'day' && (
+        <CalendarTimeGrid
+          days={[currentDate]}
+          eventsByDate={eventsByDay}
+          onSelectEvent={setModalEvent}
+        />
+      )}
+
+      {!showSkeleton && view === 'agenda' && (
+        <CalendarAgendaView eventsByDate={eventsByDay} onSelectEvent={setModalEvent} />
+      )}
+
+      {view === 'month' && (
+        <div className={isMobile ? 'calendar-grid-scroll-wrapper' : ''}>
+          <div
+            ref={gridRef}
+            className={`calendar-grid ${showWeekNumbers ? 'with-week-numbers' : ''}`}
+            role="grid"
+            aria-label={getMonthYearString(currentDate)}
+            onKeyDown={handleGridKeyDown}
+          >
+            <div role="row" className="calendar-row">
+              {showWeekNumbers && (
+                <div role="columnheader" className="day-header week-number" aria-label={t('calendarSettings.weekNumberHeader')}>
+                  {t('calendarSettings.weekColumn')}
+                </div>
               )}
+              {orderWeekdays(t('common.weekdaysShort'), weekStartsOn).map((day, index) => (
+                <div key={index} role="columnheader" className="day-header">{day}</div>
+              ))}
             </div>
-          ))}
+
+            {calendarWeeks.map((week, weekIndex) => (
+              <div key={weekIndex} role="row" className="calendar-row">
+                {showWeekNumbers && (
+                  <div
+                    role="rowheader"
+                    className="week-number"
+                    aria-label={t('calendarSettings.weekNumber', { week: getRowWeekNumber(weekIndex) })}
+                  >
+                    {getRowWeekNumber(weekIndex)}
+                  </div>
+                )}
+                {week.map((day, index) => (
+                  <div
+                    key={index}
+                    role="gridcell"
+                    className={`calendar-day ${day ? '' : 'empty'} ${day && getDayKey(day) === highlightedDate ? 'highlighted' : ''}`}
+                    style={!isMobile && hoveredEvent && hoveredEvent.day === day ? { zIndex: 10 } : {}}
+                    {...(day && {
+                      'data-date': getDayKey(day),
+                      tabIndex: day === currentDate.getDate() ? 0 : -1,
+                      'aria-current': getDayKey(day) === todayKey ? 'date' : undefined,
+                      'aria-label': getDayLabel(day)
+                    })}
+                  >
+                    {day && (
+                      <>
+                        <button
+                          type="button"
+                          className="day-number"
+                          onClick={() => openDayView(day)}
+                          tabIndex={-1}
+                          aria-label={t('calendar.showDay', {
+                            date: formatDate(parseDateKey(getDayKey(day)), { month: 'long', day: 'numeric' })
+                          })}
+                        >
+                          {day}
+                        </button>
+                        <div className="events-container">
+                          {getCellItems(day).map(({ key, segment, event }) => (!event ? (
+                            <div key={key} className="event-item spanning span-spacer" aria-hidden="true">
+                              <h3>&nbsp;</h3>
+                            </div>
+                          ) : (
+                            <div
+                              key={key}
+                              className={`event-item ${segment ? 'spanning' : ''} ${
+                                segment && segment.continuesBefore ? 'continues-before' : ''} ${
+                                segment && segment.continuesAfter ? 'continues-after' : ''} ${
+                                segment && segment.joinsPrevious ? 'joins-previous' : ''} ${
+                                segment && segment.joinsNext ? 'joins-next' : ''}`}
+                              style={getCraftStyle(event.craft)}
+                              onMouseEnter={() => !isMobile && setHoveredEvent({ day, eventIndex: key, event })}
+                              onMouseLeave={() => !isMobile && setHoveredEvent(null)}
+                              onClick={() => isMobile && setModalEvent(event)}
+                            >
+                              <h3 className={segment && !segment.showLabel ? 'span-label-hidden' : ''}>
+                                {event.name}
+                                {segment && (
+                                  <span className="visually-hidden">
+                                    {` (${t('common.dayOfSpanInline', { day: segment.spanDay, length: segment.spanLength })})`}
+                                  </span>
+                                )}
+                              </h3>
+                              {!isMobile &&
+                                hoveredEvent &&
+                                hoveredEvent.day === day &&
+                                hoveredEvent.eventIndex === key && (
+                                  <div className="event-popup">
+                                    <EventDetails event={event} variant="popover" />
+                                  </div>
+                                )}
+                            </div>
+                          )))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
         </div>
-      </div>
+      )}
 
-      {modalEvent && (
+      {dayDialogKey && !modalEvent && (
         <div className="mobile-modal-overlay" onClick={handleOverlayClick}>
-          <div className="mobile-modal-box" role="dialog" aria-modal="true">
-            <button className="mobile-modal-close" onClick={() => setModalEvent(null)} aria-label="Close">
+          <div
+            ref={dialogRef}
+            className="mobile-modal-box"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="day-dialog-title"
+            tabIndex={-1}
+            onKeyDown={trapFocus}
+          >
+            <button className="mobile-modal-close" onClick={() => setDayDialogKey(null)} aria-label={t('common.close')}>
               ✕
             </button>
-            <p className="mobile-modal-title">{modalEvent.name}</p>
-            {modalEvent.time !== null && modalEvent.time !== undefined && (
-              <h3><strong>Time:</strong> {modalEvent.time.slice(0, 5)}</h3>
-            )}
-            {modalEvent.business && (
-              <p><strong>Organizer:</strong> {modalEvent.business}</p>
-            )}
-            {modalEvent.craft && (
-              <p><strong>Craft:</strong> {modalEvent.craft}</p>
-            )}
-            {modalEvent.description && (
-              <p><strong>Description:</strong> {modalEvent.description}</p>
-            )}
-            {modalEvent.price !== null && modalEvent.price !== undefined && (
-              <p><strong>Price:</strong> ${modalEvent.price.toFixed(2)}</p>
-            )}
-            {modalEvent.location_name && (
-              <p><strong>Location:</strong> {modalEvent.location_name}</p>
-            )}
-            {modalEvent.address && modalEvent.address !== 'NAMER' && (
-              <p>
-                {modalEvent.city && ` ${modalEvent.city}`}
-                {modalEvent.state && `, ${modalEvent.state}`}
-                {modalEvent.zip && ` ${modalEvent.zip}`}
-              </p>
-            )}
-            {modalEvent.kids && (
-              <p><strong>Kid-Friendly:</strong> Yes</p>
-            )}
-            {modalEvent.link && (
-              <a href={modalEvent.link} target="_blank" rel="noopener noreferrer">
-                View Event Details
-              </a>
+            <h2 id="day-dialog-title" className="mobile-modal-title">
+              {formatDate(parseDateKey(dayDialogKey), { weekday: 'long', month: 'long', day: 'numeric' })}
+            </h2>
+            {dayDialogEvents.length === 0 ? (
+              <p>{hasActiveFilters(filters) ? t('calendar.dayDialogEmptyFiltered') : t('calendar.dayDialogEmpty')}</p>
+            ) : (
+              <ul className="day-dialog-list">
+                {dayDialogEvents.map(event => (
+                  <li key={`${event.id}-${event.spanDay || 1}`}>
+                    <button
+                      type="button"
+                      className="day-dialog-event"
+                      onClick={() => {
+                        setDayDialogKey(null);
+                        setModalEvent(event);
+                      }}
+                    >
+                      <span className="day-dialog-event-name">{event.name}</span>
+                      <span className="day-dialog-event-meta">
+                        {event.time ? formatTimeRange(event.time, event.end_time) : t('common.allDay')}
+                        {event.spanDay && ` · ${t('common.dayOfSpanInline', { day: event.spanDay, length: event.spanLength })}`}
+                        {event.location_name && ` · ${event.location_name}`}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
             )}
+            <button
+              type="button"
+              className="day-dialog-open-day"
+              onClick={() => {
+                setDayDialogKey(null);
+                changeDate(parseDateKey(dayDialogKey));
+                setView('day');
+              }}
+            >
+              {t('calendar.openDayView')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {modalEvent && (
+        <div className="mobile-modal-overlay" onClick={handleOverlayClick}>
+          <div
+            ref={dialogRef}
+            className="mobile-modal-box"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="event-dialog-title"
+            tabIndex={-1}
+            onKeyDown={trapFocus}
+          >
+            <button className="mobile-modal-close" onClick={() => setModalEvent(null)} aria-label={t('common.close')}>
+              ✕
+            </button>
+            <EventDetails event={modalEvent} variant="modal" titleId="event-dialog-title" />
           </div>
         </div>
       )}
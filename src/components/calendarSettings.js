@@ -0,0 +1,47 @@
+import useI18n from '../hooks/useI18n';
+import useCalendarSettings from '../hooks/useCalendarSettings';
+import './style/calendarSettings.css';
+
+/**
+ * CalendarSettings Component
+ *
+ * Layout options for the calendar grids: the first day of the week (the
+ * language's custom, Sunday or Monday) and ISO week numbers. They apply to
+ * the month grid, the week view and every date picker, and are remembered
+ * for later visits.
+ *
+ * @returns {JSX.Element} The rendered settings row
+ */
+export default function CalendarSettings() {
+  const { t, weekStartsOn: localeWeekStartsOn } = useI18n();
+  const { settings, updateSettings } = useCalendarSettings();
+  const weekdays = t('common.weekdays');
+
+  return (
+    <section className="calendar-settings" aria-label={t('calendarSettings.label')}>
+      <label className="calendar-settings-group">
+        <span className="calendar-settings-label">{t('calendarSettings.weekStart')}</span>
+        <select
+          className="calendar-settings-select"
+          value={settings.weekStart}
+          onChange={(e) => updateSettings({ weekStart: e.target.value })}
+        >
+          <option value="locale">
+            {t('calendarSettings.weekStartLocale', { day: weekdays[localeWeekStartsOn] })}
+          </option>
+          <option value="sunday">{weekdays[0]}</option>
+          <option value="monday">{weekdays[1]}</option>
+        </select>
+      </label>
+
+      <label className="calendar-settings-toggle">
+        <input
+          type="checkbox"
+          checked={settings.showWeekNumbers}
+          onChange={(e) => updateSettings({ showWeekNumbers: e.target.checked })}
+        />
+        {t('calendarSettings.showWeekNumbers')}
+      </label>
+    </section>
+  );
+}
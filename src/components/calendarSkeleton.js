@@ -0,0 +1,38 @@
+import useI18n from '../hooks/useI18n';
+import './style/calendarSkeleton.css';
+
+/**
+ * CalendarSkeleton Component
+ *
+ * Placeholder shown while the events feed is loading, so the page keeps its
+ * shape instead of flashing an empty grid. Renders a month-shaped grid of
+ * shimmering cells, or a short list for the non-grid views.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.view - Active calendar view ('month', 'week', 'day' or 'agenda')
+ * @returns {JSX.Element} The rendered placeholder
+ */
+export default function CalendarSkeleton({ view }) {
+  const { t } = useI18n();
+
+  if (view !== 'month') {
+    return (
+      <div className="calendar-skeleton-list" aria-busy="true" aria-label={t('calendar.loading')}>
+        {[0, 1, 2, 3].map(index => (
+          <div key={index} className="skeleton-block skeleton-row" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="calendar-grid calendar-skeleton-grid" aria-busy="true" aria-label={t('calendar.loading')}>
+      {Array.from({ length: 35 }, (_, index) => (
+        <div key={index} className="calendar-day skeleton-day">
+          <div className="skeleton-block skeleton-number" />
+          {index % 3 === 0 && <div className="skeleton-block skeleton-event" />}
+        </div>
+      ))}
+    </div>
+  );
+}
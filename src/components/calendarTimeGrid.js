@@ -0,0 +1,121 @@
+import { toDateKey, getHour, getTodayKey } from '../utils/dateTime';
+import { getCraftStyle } from '../utils/craftTaxonomy';
+import useI18n from '../hooks/useI18n';
+import './style/calendarTimeGrid.css';
+
+// Hours always shown, even when no events fall inside them
+const DEFAULT_FIRST_HOUR = 8;
+const DEFAULT_LAST_HOUR = 20;
+
+/**
+ * CalendarTimeGrid Component
+ *
+ * Renders one column per day with a row for each hour, placing events in the
+ * row of their start time (`event.time`). Events without a time go in an
+ * "All day" row at the top. Used for both the week view (seven days) and the
+ * single-day view (one day). Multi-day events appear on each of their days,
+ * marked "Day 2 of 3" (see spreadMultiDayEvents).
+ *
+ * @param {Object} props - Component props
+ * @param {Date[]} props.days - Days to show as columns, in order
+ * @param {Object<string, Object[]>} props.eventsByDate - Filtered events keyed by YYYY-MM-DD
+ * @param {Function} props.onSelectEvent - Called with an event when it is clicked
+ * @returns {JSX.Element} The rendered time grid
+ */
+export default function CalendarTimeGrid({ days, eventsByDate, onSelectEvent }) {
+  const { t, formatDate, formatTimeRange, formatHour } = useI18n();
+  const todayKey = getTodayKey();
+  const columns = days.map(date => {
+    const dateKey = toDateKey(date);
+    return { date, dateKey, events: eventsByDate[dateKey] || [] };
+  });
+
+  // Stretch the visible hour range to fit every timed event
+  let firstHour = DEFAULT_FIRST_HOUR;
+  let lastHour = DEFAULT_LAST_HOUR;
+  columns.forEach(({ events }) => {
+    events.forEach(event => {
+      const hour = getHour(event.time);
+      if (hour !== null) {
+        firstHour = Math.min(firstHour, hour);
+        lastHour = Math.max(lastHour, hour);
+      }
+    });
+  });
+
+  const hours = [];
+  for (let hour = firstHour; hour <= lastHour; hour++) hours.push(hour);
+
+  const hasAllDayEvents = columns.some(({ events }) =>
+    events.some(event => getHour(event.time) === null)
+  );
+
+  /**
+   * Renders the events of one day that start within the given hour.
+   * @param {Object[]} events - The day's events
+   * @param {number|null} hour - Hour to match, or null for untimed events
+   */
+  const renderEvents = (events, hour) =>
+    events
+      .filter(event => getHour(event.time) === hour)
+      .sort((a, b) => (a.time || '').localeCompare(b.time || ''))
+      .map((event, index) => (
+        <button
+          key={index}
+          type="button"
+          className="time-grid-event"
+          style={getCraftStyle(event.craft)}
+          onClick={() => onSelectEvent(event)}
+        >
+          {event.time && <span className="time-grid-event-time">{formatTimeRange(event.time, event.end_time)}</span>}
+          <span className="time-grid-event-name">{event.name}</span>
+          {event.spanDay && (
+            <span className="time-grid-event-span">{t('common.dayOfSpan', { day: event.spanDay, length: event.spanLength })}</span>
+          )}
+        </button>
+      ));
+
+  return (
+    <div className="time-grid-scroll">
+      <div
+        className="time-grid"
+        style={{ gridTemplateColumns: `4rem repeat(${columns.length}, minmax(0, 1fr))` }}
+      >
+        {/* Day column headers */}
+        <div className="time-grid-corner" />
+        {columns.map(({ date, dateKey }) => (
+          <div key={dateKey} className={`time-grid-day-header ${dateKey === todayKey ? 'today' : ''}`}>
+            <span className="time-grid-weekday">
+              {formatDate(date, { weekday: columns.length > 1 ? 'short' : 'long' })}
+            </span>
+            <span className="time-grid-date">{date.getDate()}</span>
+          </div>
+        ))}
+
+        {/* Events without a start time */}
+        {hasAllDayEvents && (
+          <>
+            <div className="time-grid-hour">{t('common.allDay')}</div>
+            {columns.map(({ dateKey, events }) => (
+              <div key={dateKey} className="time-grid-cell all-day">
+                {renderEvents(events, null)}
+              </div>
+            ))}
+          </>
+        )}
+
+        {/* One row per hour */}
+        {hours.map(hour => (
+          <div key={hour} className="time-grid-row">
+            <div className="time-grid-hour">{formatHour(hour)}</div>
+            {columns.map(({ dateKey, events }) => (
+              <div key={dateKey} className="time-grid-cell">
+                {renderEvents(events, hour)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
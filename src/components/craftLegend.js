@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { getCraftLegend } from '../utils/craftTaxonomy';
+import useI18n from '../hooks/useI18n';
+import './style/craftLegend.css';
+
+/**
+ * CraftLegend Component
+ *
+ * Key to the calendar's event colors: a swatch and name for each craft
+ * category among the given events (see utils/craftTaxonomy). Renders
+ * nothing when none of the events has a craft.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.events - Events shown on the calendar
+ * @returns {JSX.Element|null} The rendered legend
+ */
+export default function CraftLegend({ events }) {
+  const { t } = useI18n();
+  const categories = useMemo(() => getCraftLegend(events), [events]);
+
+  if (categories.length === 0) return null;
+
+  return (
+    <section className="craft-legend" aria-labelledby="craft-legend-title">
+      <h2 id="craft-legend-title" className="craft-legend-title">{t('calendar.craftLegend')}</h2>
+      <ul className="craft-legend-list">
+        {categories.map(category => (
+          <li key={category.id} className="craft-legend-item">
+            <span
+              className="craft-legend-swatch"
+              style={{ backgroundColor: category.background, borderColor: category.color }}
+              aria-hidden="true"
+            />
+            {t(`crafts.${category.id}`)}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
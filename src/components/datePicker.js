@@ -1,53 +1,156 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useId, useRef } from 'react';
+import {
+  addDays,
+  addMonths,
+  getISOWeek,
+  getToday,
+  isValidDateKey,
+  orderWeekdays,
+  parseDateKey,
+  startOfWeek,
+  toDateKey
+} from '../utils/dateTime';
+import { trapFocus } from '../utils/focus';
+import useOutsideClick from '../hooks/useOutsideClick';
+import useI18n from '../hooks/useI18n';
+import useCalendarSettings from '../hooks/useCalendarSettings';
 import './style/datePicker.css';
 
+/**
+ * Reads the selectedDate prop as a local date. Date keys are parsed field by
+ * field: new Date("YYYY-MM-DD") would read them as UTC midnight, which is
+ * the previous evening in the Americas.
+ *
+ * @param {string|Date|null|undefined} value - Date key or Date
+ * @returns {Date|null} Local date at midnight, or null when none is selected
+ */
+const toPickerDate = (value) => {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  return isValidDateKey(value) ? parseDateKey(value) : null;
+};
+
+const isSameDay = (a, b) => Boolean(a && b) && toDateKey(a) === toDateKey(b);
+
 /**
  * DatePicker Component
- * 
+ *
  * A React functional component that provides an interactive date selection interface.
- * Features a clickable date input that expands to show a calendar with month/year navigation,
- * prevents past date selection, and supports both day and month view modes.
- * 
+ * Features a date button that opens a calendar dialog with month/year navigation,
+ * prevents past date selection (or selection before a given minimum date),
+ * and supports both day and month view modes.
+ *
+ * Follows the WAI-ARIA date picker dialog pattern: the days form a grid that
+ * is moved through with the arrow keys, Home/End (start or end of the week)
+ * and PageUp/PageDown (a month; with Shift, a year). Enter or Space picks the
+ * focused day. Escape, or a click outside, closes the dialog.
+ *
  * @param {Object} props - Component props
- * @param {string|Date} props.selectedDate - Initially selected date (optional)
+ * @param {string|Date} props.selectedDate - Selected date (optional); an empty value clears the selection
  * @param {Function} props.onDateChange - Callback function called when date is selected,
  *                                        receives formatted date string (YYYY-MM-DD)
+ * @param {string} [props.minDate] - Earliest selectable date (YYYY-MM-DD); today when
+ *                                   omitted or in the past
+ * @param {string} [props.id] - Id of the date button, for a label's htmlFor
+ * @param {string} [props.labelId] - Id of the visible label; the button is then named by
+ *                                   the label followed by the selected date
+ * @param {boolean} [props.disabled=false] - Whether the picker can be opened
  * @returns {JSX.Element} The rendered date picker component
  */
-export default function DatePicker({ selectedDate: initialDate, onDateChange }) {
+export default function DatePicker({ selectedDate: initialDate, onDateChange, minDate, id, labelId, disabled = false }) {
+  const { t, formatDate } = useI18n();
+  const { weekStartsOn, settings: { showWeekNumbers } } = useCalendarSettings();
   // State for controlling calendar visibility
   const [showDatePicker, setShowDatePicker] = useState(false);
   // State for the currently selected date
-  const [selectedDate, setSelectedDate] = useState(initialDate ? new Date(initialDate) : null);
+  const [selectedDate, setSelectedDate] = useState(() => toPickerDate(initialDate));
   // State for the month/year being displayed in the calendar
-  const [currentMonth, setCurrentMonth] = useState(selectedDate || new Date());
+  const [currentMonth, setCurrentMonth] = useState(
+    () => selectedDate || (isValidDateKey(minDate) ? parseDateKey(minDate) : getToday())
+  );
+  // State for the day that keyboard focus sits on in the day grid
+  const [focusedDate, setFocusedDate] = useState(currentMonth);
   // State for switching between day view and month selection view
   const [viewMode, setViewMode] = useState('days'); // 'days' or 'months'
-  
-  // Reference date for past date comparisons (set to midnight for accurate comparison)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+
+  const wrapperRef = useRef(null);
+  const triggerRef = useRef(null);
+  const dialogRef = useRef(null);
+  // What to focus after the next render: 'grid', 'months' or null
+  const pendingFocusRef = useRef(null);
+  const valueId = useId();
+
+  // Reference date for past date comparisons: today in Washington, DC, at local midnight
+  const today = getToday();
+
+  // Earliest selectable date: the minimum date when it is later than today
+  const earliestDate = isValidDateKey(minDate) && parseDateKey(minDate) > today ? parseDateKey(minDate) : today;
 
   /**
    * Effect to sync local state with prop changes
-   * Updates selected date when parent component changes the initialDate prop
+   * Updates or clears the selected date when parent component changes the initialDate prop
    */
   useEffect(() => {
-    if (initialDate) {
-      setSelectedDate(new Date(initialDate));
-    }
+    setSelectedDate(toPickerDate(initialDate));
   }, [initialDate]);
-  
+
+  /**
+   * Effect to move focus into the dialog after it opens or changes view
+   */
+  useEffect(() => {
+    if (!showDatePicker || !pendingFocusRef.current || !dialogRef.current) return;
+    const target = pendingFocusRef.current === 'grid'
+      ? dialogRef.current.querySelector('[role="gridcell"][tabindex="0"]')
+      : dialogRef.current.querySelector('.month-cell.current-month:not(:disabled)') ||
+        dialogRef.current.querySelector('.month-cell:not(:disabled)');
+    pendingFocusRef.current = null;
+    if (target) target.focus();
+  }, [showDatePicker, viewMode, focusedDate]);
+
+  /**
+   * Closes the calendar
+   * @param {boolean} [returnFocus=true] - Whether to put focus back on the date button
+   */
+  const closePicker = useCallback((returnFocus = true) => {
+    setShowDatePicker(false);
+    if (returnFocus && triggerRef.current) triggerRef.current.focus();
+  }, []);
+
+  // Clicking anywhere else closes the calendar without taking focus back
+  const handleOutsideClick = useCallback(() => closePicker(false), [closePicker]);
+  useOutsideClick(wrapperRef, handleOutsideClick, showDatePicker);
+
+  /**
+   * Opens the calendar on the selected date, or on the earliest selectable date
+   */
+  const openPicker = () => {
+    const initialFocus = selectedDate || earliestDate;
+    setFocusedDate(initialFocus);
+    setCurrentMonth(new Date(initialFocus.getFullYear(), initialFocus.getMonth(), 1));
+    setViewMode('days');
+    pendingFocusRef.current = 'grid';
+    setShowDatePicker(true);
+  };
+
+  /**
+   * Moves keyboard focus to a day, showing its month
+   * @param {Date} date - The day to focus
+   */
+  const focusDay = (date) => {
+    setFocusedDate(date);
+    setCurrentMonth(new Date(date.getFullYear(), date.getMonth(), 1));
+    pendingFocusRef.current = 'grid';
+  };
+
   /**
    * Navigates to previous or next month in the calendar view
    * @param {number} direction - Direction to navigate (-1 for previous, 1 for next)
    */
   const navigateMonth = (direction) => {
-    const newMonth = new Date(currentMonth);
-    newMonth.setMonth(currentMonth.getMonth() + direction);
-    setCurrentMonth(newMonth);
+    const newFocus = addMonths(focusedDate, direction);
+    setFocusedDate(newFocus);
+    setCurrentMonth(new Date(newFocus.getFullYear(), newFocus.getMonth(), 1));
   };
-  
+
   /**
    * Navigates to previous or next year (used in month selection view)
    * @param {number} direction - Direction to navigate (-1 for previous, 1 for next)
@@ -57,166 +160,291 @@ export default function DatePicker({ selectedDate: initialDate, onDateChange })
     newMonth.setFullYear(currentMonth.getFullYear() + direction);
     setCurrentMonth(newMonth);
   };
-  
+
   /**
    * Handles date selection and notifies parent component
    * @param {Date} date - The selected date object
    */
   const selectDate = (date) => {
     setSelectedDate(date);
-    // Convert to ISO format (YYYY-MM-DD) for consistent parent handling
-    const formattedDate = date.toISOString().split('T')[0];
+    // Convert to a YYYY-MM-DD key from the local date, never through UTC
+    const formattedDate = toDateKey(date);
     onDateChange(formattedDate);
-    setShowDatePicker(false);
+    closePicker();
   };
-  
+
   /**
    * Handles month selection in month view mode
    * @param {number} monthIndex - Zero-based month index (0 = January)
    */
   const selectMonth = (monthIndex) => {
-    const newDate = new Date(currentMonth);
-    newDate.setMonth(monthIndex);
-    setCurrentMonth(newDate);
+    // Keep the focused day of the month, as far as the new month allows
+    const lastDay = new Date(currentMonth.getFullYear(), monthIndex + 1, 0).getDate();
+    focusDay(new Date(currentMonth.getFullYear(), monthIndex, Math.min(focusedDate.getDate(), lastDay)));
     setViewMode('days');
   };
-  
+
+  /**
+   * Opens the month selection view and focuses the current month
+   */
+  const showMonths = () => {
+    pendingFocusRef.current = 'months';
+    setViewMode('months');
+  };
+
+  /**
+   * Handles keyboard navigation within the day grid
+   * @param {KeyboardEvent} e - Keydown event from a day cell
+   */
+  const handleGridKeyDown = (e) => {
+    let nextDate;
+    switch (e.key) {
+      case 'ArrowLeft':
+        nextDate = addDays(focusedDate, -1);
+        break;
+      case 'ArrowRight':
+        nextDate = addDays(focusedDate, 1);
+        break;
+      case 'ArrowUp':
+        nextDate = addDays(focusedDate, -7);
+        break;
+      case 'ArrowDown':
+        nextDate = addDays(focusedDate, 7);
+        break;
+      case 'Home':
+        nextDate = startOfWeek(focusedDate, weekStartsOn);
+        break;
+      case 'End':
+        nextDate = addDays(startOfWeek(focusedDate, weekStartsOn), 6);
+        break;
+      case 'PageUp':
+        nextDate = addMonths(focusedDate, e.shiftKey ? -12 : -1);
+        break;
+      case 'PageDown':
+        nextDate = addMonths(focusedDate, e.shiftKey ? 12 : 1);
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (focusedDate >= earliestDate) selectDate(focusedDate);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    focusDay(nextDate);
+  };
+
+  /**
+   * Closes the dialog on Escape and keeps Tab within it
+   * @param {KeyboardEvent} e - Keydown event from inside the dialog
+   */
+  const handleDialogKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closePicker();
+      return;
+    }
+    trapFocus(e);
+  };
+
   /**
    * Generates calendar day objects for the current month view.
    * Includes empty cells for proper weekday alignment and metadata
    * for styling and interaction logic.
-   * 
+   *
    * @returns {Array<Object>} Array of day objects with properties:
    *   - day: number|null - Day number or null for empty cells
    *   - date: Date - Full date object for the day
    *   - isCurrentMonth: boolean - Whether day belongs to current month
-   *   - isPast: boolean - Whether day is in the past
+   *   - isPast: boolean - Whether day is before the earliest selectable date
    */
   const generateDays = () => {
     const year = currentMonth.getFullYear();
     const month = currentMonth.getMonth();
-    
+
     // Calculate month boundaries
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
-    const firstDayOfWeek = firstDay.getDay(); // 0 = Sunday
+    const leadingDays = (firstDay.getDay() - weekStartsOn + 7) % 7;
     const daysInMonth = lastDay.getDate();
-    
+
     const days = [];
-    
+
     // Add empty cells for days before the first day of the month
-    for (let i = 0; i < firstDayOfWeek; i++) {
+    for (let i = 0; i < leadingDays; i++) {
       days.push({ day: null, isCurrentMonth: false });
     }
-    
+
     // Add all days of the current month with metadata
     for (let day = 1; day <= daysInMonth; day++) {
       const date = new Date(year, month, day);
-      days.push({ 
-        day, 
+      days.push({
+        day,
         date,
         isCurrentMonth: true,
-        isPast: date < today
+        isPast: date < earliestDate
       });
     }
-    
+
     return days;
   };
-  
+
+  // Split the days into week rows for the grid
+  const days = generateDays();
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) weeks.push(days.slice(i, i + 7));
+  // ISO week number of each row, from its middle day so Sunday-first rows count too
+  const gridStart = startOfWeek(new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1), weekStartsOn);
+  const getRowWeekNumber = (weekIndex) => getISOWeek(addDays(gridStart, weekIndex * 7 + 3));
+
   // Extract display strings for current month/year
-  const monthName = currentMonth.toLocaleString('default', { month: 'long' });
+  const monthYear = formatDate(currentMonth, { month: 'long', year: 'numeric' });
   const year = currentMonth.getFullYear();
-  
-  // Month names for month selection view
-  const months = [
-    'January', 'February', 'March', 'April',
-    'May', 'June', 'July', 'August',
-    'September', 'October', 'November', 'December'
-  ];
-  
+
+  // First day of each month for month selection view
+  const months = Array.from({ length: 12 }, (_, index) => new Date(year, index, 1));
+
+  // Weekday column headers, with full names for screen readers
+  const weekdayNames = t('common.weekdays');
+  const weekdays = orderWeekdays(
+    t('datePicker.weekdaysMin').map((abbreviation, index) => [abbreviation, weekdayNames[index]]),
+    weekStartsOn
+  );
+
   // Format selected date for display in the input field
   const formattedSelectedDate = selectedDate
-    ? selectedDate.toLocaleDateString('en-US', {
+    ? formatDate(selectedDate, {
         month: 'long',
         day: 'numeric',
         year: 'numeric'
       })
-    : 'Pick a date';
-    
+    : t('datePicker.placeholder');
+
   return (
-    <div className="datepicker-wrapper">
-      {/* Clickable date input field */}
-      <div 
+    <div className="datepicker-wrapper" ref={wrapperRef}>
+      {/* Date button - opens/closes the calendar dialog */}
+      <button
+        type="button"
+        id={id}
+        ref={triggerRef}
         className="date-input-container"
-        onClick={() => setShowDatePicker(!showDatePicker)}
+        onClick={() => (showDatePicker ? closePicker() : openPicker())}
+        aria-haspopup="dialog"
+        aria-expanded={showDatePicker}
+        aria-labelledby={labelId ? `${labelId} ${valueId}` : undefined}
+        disabled={disabled}
       >
-        <span className="date-input-text">{formattedSelectedDate}</span>
-        <span className="date-input-icon">📅</span>
-      </div>
-      
-      {/* Expandable calendar interface */}
+        <span id={valueId} className="date-input-text">{formattedSelectedDate}</span>
+        <span className="date-input-icon" aria-hidden="true">📅</span>
+      </button>
+
+      {/* Expandable calendar dialog */}
       {showDatePicker && (
-        <div className="calendar-container">
+        <div
+          ref={dialogRef}
+          className="calendar-container"
+          role="dialog"
+          aria-modal="true"
+          aria-label={labelId ? undefined : t('datePicker.dialog')}
+          aria-labelledby={labelId}
+          onKeyDown={handleDialogKeyDown}
+        >
           {viewMode === 'days' ? (
             <>
               {/* Month navigation header */}
               <div className="calendar-header">
-                <button 
+                <button
+                  type="button"
                   className="calendar-button"
                   onClick={() => navigateMonth(-1)}
-                  aria-label="Previous month"
+                  aria-label={t('datePicker.previousMonth')}
                 >
                   &lt;
                 </button>
-                
-                <button 
+
+                <button
+                  type="button"
                   className="month-year-text"
-                  onClick={() => setViewMode('months')}
-                  aria-label="Select month"
+                  onClick={showMonths}
+                  aria-label={t('datePicker.selectMonth', { month: monthYear })}
                 >
-                  {monthName} {year}
+                  {monthYear}
                 </button>
-                
-                <button 
+
+                <button
+                  type="button"
                   className="calendar-button"
                   onClick={() => navigateMonth(1)}
-                  aria-label="Next month"
+                  aria-label={t('datePicker.nextMonth')}
                 >
                   &gt;
                 </button>
               </div>
-              
-              {/* Weekday column headers */}
-              <div className="weekdays-container">
-                {['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'].map(day => (
-                  <div key={day} className="weekday">
-                    {day}
-                  </div>
-                ))}
-              </div>
-              
-              {/* Calendar day grid */}
-              <div className="days-container">
-                {generateDays().map((dayObj, index) => (
-                  <div 
-                    key={index}
-                    className={`
-                      day-cell
-                      ${!dayObj.day ? 'invisible-day' : ''}
-                      ${dayObj.isPast ? 'past-day' : ''}
-                      ${selectedDate && dayObj.date && 
-                        selectedDate.getDate() === dayObj.day && 
-                        selectedDate.getMonth() === currentMonth.getMonth() && 
-                        selectedDate.getFullYear() === currentMonth.getFullYear() 
-                          ? 'selected-day' : ''}
-                    `}
-                    onClick={() => {
-                      if (dayObj.day && !dayObj.isPast) {
-                        selectDate(dayObj.date);
-                      }
-                    }}
-                  >
-                    {dayObj.day}
+
+              <div
+                role="grid"
+                aria-label={monthYear}
+                className={showWeekNumbers ? 'with-week-numbers' : ''}
+                onKeyDown={handleGridKeyDown}
+              >
+                {/* Weekday column headers */}
+                <div role="row" className="weekdays-container">
+                  {showWeekNumbers && (
+                    <div role="columnheader" className="weekday week-number" aria-label={t('calendarSettings.weekNumberHeader')}>
+                      {t('calendarSettings.weekColumn')}
+                    </div>
+                  )}
+                  {weekdays.map(([abbreviation, name]) => (
+                    <div key={abbreviation} role="columnheader" className="weekday" aria-label={name}>
+                      {abbreviation}
+                    </div>
+                  ))}
+                </div>
+
+                {/* Calendar day grid */}
+                {weeks.map((week, weekIndex) => (
+                  <div key={weekIndex} role="row" className="days-container">
+                    {showWeekNumbers && (
+                      <div
+                        role="rowheader"
+                        className="week-number"
+                        aria-label={t('calendarSettings.weekNumber', { week: getRowWeekNumber(weekIndex) })}
+                      >
+                        {getRowWeekNumber(weekIndex)}
+                      </div>
+                    )}
+                    {week.map((dayObj, index) => (
+                      <div
+                        key={index}
+                        role="gridcell"
+                        className={`
+                          day-cell
+                          ${!dayObj.day ? 'invisible-day' : ''}
+                          ${dayObj.isPast ? 'past-day' : ''}
+                          ${isSameDay(selectedDate, dayObj.date) ? 'selected-day' : ''}
+                        `}
+                        {...(dayObj.day && {
+                          tabIndex: isSameDay(focusedDate, dayObj.date) ? 0 : -1,
+                          'aria-selected': isSameDay(selectedDate, dayObj.date),
+                          'aria-disabled': dayObj.isPast || undefined,
+                          'aria-label': formatDate(dayObj.date, {
+                            weekday: 'long',
+                            month: 'long',
+                            day: 'numeric',
+                            year: 'numeric'
+                          })
+                        })}
+                        onClick={() => {
+                          if (dayObj.day && !dayObj.isPast) {
+                            selectDate(dayObj.date);
+                          }
+                        }}
+                      >
+                        {dayObj.day}
+                      </div>
+                    ))}
                   </div>
                 ))}
               </div>
@@ -225,45 +453,49 @@ export default function DatePicker({ selectedDate: initialDate, onDateChange })
             <>
               {/* Year navigation header for month view */}
               <div className="calendar-header">
-                <button 
+                <button
+                  type="button"
                   className="calendar-button"
                   onClick={() => navigateYear(-1)}
-                  aria-label="Previous year"
+                  aria-label={t('datePicker.previousYear')}
                 >
                   &lt;
                 </button>
-                
+
                 <span className="month-year-text">{year}</span>
-                
-                <button 
+
+                <button
+                  type="button"
                   className="calendar-button"
                   onClick={() => navigateYear(1)}
-                  aria-label="Next year"
+                  aria-label={t('datePicker.nextYear')}
                 >
                   &gt;
                 </button>
               </div>
-              
+
               {/* Month selection grid */}
-              <div className="months-container">
-                {months.map((month, index) => {
-                  const monthDate = new Date(year, index, 1);
-                  const isPastMonth = monthDate < today && 
-                    monthDate.getFullYear() === today.getFullYear() && 
-                    monthDate.getMonth() < today.getMonth();
-                  
+              <div className="months-container" role="group" aria-label={t('datePicker.monthsOf', { year })}>
+                {months.map((monthDate, index) => {
+                  const isPastMonth = monthDate < earliestDate &&
+                    monthDate.getFullYear() === earliestDate.getFullYear() &&
+                    monthDate.getMonth() < earliestDate.getMonth();
+
                   return (
                     <button
-                      key={month}
+                      type="button"
+                      key={index}
                       className={`
                         month-cell
                         ${isPastMonth ? 'past-month' : ''}
                         ${currentMonth.getMonth() === index ? 'current-month' : ''}
                       `}
+                      aria-label={formatDate(monthDate, { month: 'long', year: 'numeric' })}
+                      aria-current={currentMonth.getMonth() === index ? 'date' : undefined}
                       disabled={isPastMonth}
                       onClick={() => !isPastMonth && selectMonth(index)}
                     >
-                      {month.substring(0, 3)}
+                      {formatDate(monthDate, { month: 'short' })}
                     </button>
                   );
                 })}
@@ -274,4 +506,4 @@ export default function DatePicker({ selectedDate: initialDate, onDateChange })
       )}
     </div>
   );
-}
\ No newline at end of file
+}
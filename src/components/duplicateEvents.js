@@ -0,0 +1,110 @@
+import { useState, useMemo } from 'react';
+import { mergeEvents } from '../api/eventsClient';
+import { findDuplicateGroups } from '../utils/duplicateDetection';
+import useI18n from '../hooks/useI18n';
+import './style/duplicateEvents.css';
+
+// Event dates in the merge list, e.g. "Sat, Jun 14, 2025"
+const DATE_FORMAT = {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+};
+
+/**
+ * DuplicateEvents Component
+ *
+ * Lists published events that look like the same event (see
+ * utils/duplicateDetection), for the admin page. For each group the
+ * moderator picks the listing to keep, and merging removes the others
+ * from the feed.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.events - Published events, as getEvents returns them
+ * @param {string} props.status - 'loading', 'ready' or 'error', for the events
+ * @param {Function} props.onMerged - Called after a merge, to reload the events
+ * @returns {JSX.Element} The rendered duplicates section
+ */
+export default function DuplicateEvents({ events, status, onMerged }) {
+  const { t, formatDate } = useI18n();
+  const groups = useMemo(() => findDuplicateGroups(events), [events]);
+  // Event to keep, by the id of its group's first event; defaults to that first event
+  const [keepIds, setKeepIds] = useState({});
+  const [busy, setBusy] = useState(false);
+  // Outcome of the last merge: { type: 'success' | 'error', text }
+  const [notice, setNotice] = useState(null);
+
+  const merge = async (group, keepId) => {
+    const kept = group.find(event => event.id === keepId);
+    const duplicateIds = group.filter(event => event.id !== keepId).map(event => event.id);
+    setBusy(true);
+    setNotice(null);
+    try {
+      await mergeEvents(keepId, duplicateIds);
+      setNotice({ type: 'success', text: t('admin.duplicates.merged', { count: duplicateIds.length, name: kept.name }) });
+      onMerged();
+    } catch (error) {
+      console.error('Error merging events:', error);
+      setNotice({ type: 'error', text: t('admin.duplicates.mergeError') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="admin-duplicates" aria-labelledby="admin-duplicates-title">
+      <h2 id="admin-duplicates-title" className="admin-duplicates-title">{t('admin.duplicates.title')}</h2>
+
+      {notice && (
+        <p className={`admin-notice ${notice.type}`} role={notice.type === 'error' ? 'alert' : 'status'}>
+          {notice.text}
+        </p>
+      )}
+
+      {status === 'loading' && <p className="admin-status">{t('admin.duplicates.loading')}</p>}
+      {status === 'error' && <p className="admin-status" role="alert">{t('admin.duplicates.loadError')}</p>}
+      {status === 'ready' && groups.length === 0 && <p className="admin-status">{t('admin.duplicates.empty')}</p>}
+
+      {status === 'ready' && groups.length > 0 && (
+        <ul className="admin-duplicate-groups">
+          {groups.map((group) => {
+            const groupId = group[0].id;
+            const keepId = keepIds[groupId] || groupId;
+            return (
+              <li key={groupId} className="admin-duplicate-group">
+                <fieldset>
+                  <legend>{t('admin.duplicates.keep')}</legend>
+                  {group.map(event => (
+                    <label key={event.id} className="admin-duplicate-option">
+                      <input
+                        type="radio"
+                        name={`keep-${groupId}`}
+                        checked={keepId === event.id}
+                        onChange={() => setKeepIds(current => ({ ...current, [groupId]: event.id }))}
+                      />
+                      <span className="admin-duplicate-info">
+                        <span className="admin-submission-name">{event.name}</span>
+                        <span className="admin-submission-meta">
+                          {[formatDate(event.start, DATE_FORMAT), event.business, event.location_name].filter(Boolean).join(' · ')}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </fieldset>
+                <button
+                  type="button"
+                  className="admin-button primary"
+                  disabled={busy}
+                  onClick={() => merge(group, keepId)}
+                >
+                  {t('admin.duplicates.merge', { count: group.length })}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router';
+import { ChevronLeft } from 'lucide-react';
+import { getEvents } from '../api/eventsClient';
+import { parseDateKey } from '../utils/dateTime';
+import { expandRecurringEvents } from '../utils/recurrence';
+import { getCalendarPath } from '../utils/routes';
+import useI18n from '../hooks/useI18n';
+import EventDetails from './eventDetails';
+import './style/eventDetailPage.css';
+
+/**
+ * EventDetailPage Component
+ *
+ * Full-page view of a single event, reached through /events/:id. The page is
+ * meant to be shared: organizers paste the link into newsletters and social
+ * posts, so it shows every detail we have without any calendar chrome.
+ *
+ * The id is the stable identity from getEventId, since the feed itself has
+ * no ids. Derived ids start with the event date, which is also how a single
+ * occurrence of a recurring event is found.
+ *
+ * @returns {JSX.Element} The rendered event page, or a loading/not-found message
+ */
+export default function EventDetailPage() {
+  const { id } = useParams();
+  const { t } = useI18n();
+  const [event, setEvent] = useState(null);
+  // 'loading' | 'found' | 'missing' | 'error'
+  const [status, setStatus] = useState('loading');
+
+  /**
+   * Effect to load the feed and pick out the requested event
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    getEvents()
+      .then(({ events }) => {
+        if (cancelled) return;
+        const idDate = /^\d{4}-\d{2}-\d{2}/.exec(id);
+        const candidates = idDate ? expandRecurringEvents(events, idDate[0], idDate[0]) : events;
+        const match = candidates.find(candidate => candidate.id === id);
+        setEvent(match || null);
+        setStatus(match ? 'found' : 'missing');
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Error loading event:', error);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  if (status === 'loading') {
+    return <div className="event-detail-container"><p className="event-detail-status">{t('eventPage.loading')}</p></div>;
+  }
+
+  if (status !== 'found') {
+    return (
+      <div className="event-detail-container">
+        <p className="event-detail-status">
+          {status === 'missing'
+            ? t('eventPage.missing')
+            : t('eventPage.error')}
+        </p>
+        <Link to="/calendar" className="event-detail-back">
+          <ChevronLeft size={16} aria-hidden="true" /> {t('common.backToCalendar')}
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <article className="event-detail-container">
+      <Link to={getCalendarPath(parseDateKey(event.date))} className="event-detail-back">
+        <ChevronLeft size={16} aria-hidden="true" /> {t('common.backToCalendar')}
+      </Link>
+
+      <EventDetails event={event} variant="page" />
+    </article>
+  );
+}
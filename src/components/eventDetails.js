@@ -0,0 +1,167 @@
+import { Link } from 'react-router';
+import { CalendarPlus, MapPin } from 'lucide-react';
+import { getDurationMinutes, parseDateKey } from '../utils/dateTime';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatDateRange, isMultiDay } from '../utils/multiDay';
+import { getAddressLines, getMapsUrl } from '../utils/eventLocation';
+import { getCraftLabel } from '../utils/craftTaxonomy';
+import { buildCalendar, downloadCalendar, getEventFileName } from '../utils/ics';
+import { getEventPath } from '../utils/routes';
+import useI18n from '../hooks/useI18n';
+import FavoriteButton from './favoriteButton';
+import './style/eventDetails.css';
+
+// Dates in the page's "when" line, e.g. "Saturday, June 14, 2025"
+const WHEN_DATE_FORMAT = {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  year: 'numeric'
+};
+
+// "6:00–8:30 PM (2 hr 30 min)", or just "6:00 PM" when there is no end time
+const formatEventTimes = (event, { formatTimeRange, formatDuration }) => {
+  const duration = getDurationMinutes(event.time, event.end_time);
+  return `${formatTimeRange(event.time, event.end_time)}${duration ? ` (${formatDuration(duration)})` : ''}`;
+};
+
+/**
+ * EventDetails Component
+ *
+ * Everything we know about one event: when it is, who runs it, where it is
+ * (with the full street address and a map link), its flyer or photo, plus
+ * the event's actions.
+ * Shared by every place that shows a single event, in one of three variants:
+ * - popover: the hover card in the month grid; no title, since the event
+ *   name is right above it
+ * - modal: the event dialog; the title labels the dialog through titleId
+ * - page: the shareable event page, with a large title and a "when" line
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.event - Normalized event; spanDay/spanLength are shown when present
+ * @param {string} [props.variant='modal'] - 'popover', 'modal' or 'page'
+ * @param {string} [props.titleId] - Id for the title, e.g. for aria-labelledby
+ * @param {boolean} [props.showActions=true] - Whether to show the links and buttons, which
+ *                                            only make sense for published events
+ * @returns {JSX.Element} The rendered event details
+ */
+export default function EventDetails({ event, variant = 'modal', titleId, showActions = true }) {
+  const i18n = useI18n();
+  const { t, formatDate, formatTimeRange, formatCurrency } = i18n;
+  const isPage = variant === 'page';
+  const iconSize = variant === 'popover' ? 14 : 16;
+  const addressLines = getAddressLines(event);
+  const mapsUrl = getMapsUrl(event);
+  const hasTime = event.time !== null && event.time !== undefined;
+
+  return (
+    <div className={`event-details event-details-${variant}`}>
+      {isPage && <h1 id={titleId} className="event-details-title">{event.name}</h1>}
+      {variant === 'modal' && <h2 id={titleId} className="event-details-title">{event.name}</h2>}
+
+      {isPage && (
+        <p className="event-details-when">
+          {formatDate(parseDateKey(event.date), WHEN_DATE_FORMAT)}
+          {event.end_date && ` – ${formatDate(parseDateKey(event.end_date), WHEN_DATE_FORMAT)}`}
+          {event.time && `${event.end_date ? t('eventDetails.daily') : ''} ${t(event.end_time ? 'eventDetails.fromTime' : 'eventDetails.atTime', {
+            time: formatTimeRange(event.time, event.end_time)
+          })}`}
+        </p>
+      )}
+      {event.image && (
+        <img
+          src={event.image}
+          alt={t('eventDetails.imageAlt', { name: event.name })}
+          className="event-details-image"
+          loading="lazy"
+        />
+      )}
+      {event.recurrence && <p className="event-details-recurrence">{describeRecurrence(event.recurrence, i18n)}</p>}
+
+      <dl className="event-details-fields">
+        {!isPage && isMultiDay(event) && (
+          <>
+            <dt>{t('common.fields.dates')}</dt>
+            <dd>
+              {formatDateRange(event, i18n.intlLocale)}
+              {event.spanDay && ` (${t('common.dayOfSpanInline', { day: event.spanDay, length: event.spanLength })})`}
+            </dd>
+          </>
+        )}
+        {!isPage && hasTime && (
+          <>
+            <dt>{t('common.fields.time')}</dt>
+            <dd>{formatEventTimes(event, i18n)}</dd>
+          </>
+        )}
+        {event.business && (
+          <>
+            <dt>{t('common.fields.organizer')}</dt>
+            <dd>{event.business}</dd>
+          </>
+        )}
+        {event.craft && (
+          <>
+            <dt>{t('common.fields.craft')}</dt>
+            <dd>{[event.craft, ...(event.craft_tags || [])].map(craft => getCraftLabel(craft, t)).join(', ')}</dd>
+          </>
+        )}
+        {event.price !== null && event.price !== undefined && (
+          <>
+            <dt>{t('common.fields.price')}</dt>
+            <dd>{formatCurrency(event.price)}</dd>
+          </>
+        )}
+        {mapsUrl && (
+          <>
+            <dt>{t('common.fields.location')}</dt>
+            <dd>
+              {event.location_name && <span className="event-details-venue">{event.location_name}</span>}
+              {addressLines.length > 0 && (
+                <address className="event-details-address">
+                  {addressLines.map(line => <span key={line}>{line}</span>)}
+                </address>
+              )}
+              <a href={mapsUrl} target="_blank" rel="noopener noreferrer" className="event-details-maps">
+                <MapPin size={iconSize} aria-hidden="true" />
+                {t('eventDetails.openInMaps')}
+              </a>
+            </dd>
+          </>
+        )}
+        {event.kids && (
+          <>
+            <dt>{t('common.fields.kidFriendly')}</dt>
+            <dd>{t('common.yes')}</dd>
+          </>
+        )}
+      </dl>
+
+      {event.description && <p className="event-details-description">{event.description}</p>}
+
+      {showActions && (
+        <div className="event-details-actions">
+          {event.link && (
+            <a href={event.link} target="_blank" rel="noopener noreferrer" className="event-details-link">
+              {t('common.viewEventDetails')}
+            </a>
+          )}
+          <button
+            type="button"
+            className="event-details-ics"
+            onClick={() => downloadCalendar(buildCalendar([event], { name: event.name }), getEventFileName(event))}
+          >
+            <CalendarPlus size={iconSize} aria-hidden="true" />
+            {t('common.addToCalendar')}
+          </button>
+          {!isPage && (
+            <Link to={getEventPath(event)} className="event-details-page-link">
+              {t('common.eventPage')}
+            </Link>
+          )}
+          <FavoriteButton event={event} size={iconSize} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState, useMemo } from 'react';
+import { Search } from 'lucide-react';
+import { searchEvents } from '../utils/eventSearch';
+import { parseDateKey } from '../utils/dateTime';
+import useI18n from '../hooks/useI18n';
+import './style/eventSearch.css';
+
+// Short readable date for the results list, e.g. "Sat, Jun 14, 2025"
+const RESULT_DATE_FORMAT = {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+};
+
+/**
+ * EventSearch Component
+ *
+ * Search box for the calendar page. Matches the query against every fetched
+ * event (not only the visible month) and shows a ranked list of results.
+ * Choosing a result hands the event back to the parent, which is expected to
+ * jump the calendar to that event's date.
+ *
+ * Supports keyboard use: ArrowUp/ArrowDown move through the results, Enter
+ * picks the active result and Escape clears the search.
+ *
+ * @param {Object} props - Component props
+ * @param {Object<string, Object[]>} props.events - All fetched events grouped by date
+ * @param {Function} props.onSelect - Called with the chosen event
+ * @returns {JSX.Element} The rendered search box and results list
+ */
+export default function EventSearch({ events, onSelect }) {
+  const { t, formatDate } = useI18n();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => searchEvents(events, query), [events, query]);
+  const showResults = query.trim() !== '';
+
+  /**
+   * Reports the chosen event and resets the search box.
+   * @param {Object} event - The selected event
+   */
+  const selectResult = (event) => {
+    onSelect(event);
+    setQuery('');
+    setActiveIndex(0);
+  };
+
+  /**
+   * Handles keyboard navigation within the results list.
+   * @param {KeyboardEvent} e - The keydown event from the search input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      selectResult(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setQuery('');
+    }
+  };
+
+  return (
+    <div className="event-search">
+      <div className="search-input-wrapper">
+        <Search size={16} className="search-icon" aria-hidden="true" />
+        <input
+          type="search"
+          className="search-input"
+          placeholder={t('search.placeholder')}
+          aria-label={t('search.label')}
+          role="combobox"
+          aria-expanded={showResults}
+          aria-controls="event-search-results"
+          aria-activedescendant={results[activeIndex] ? `search-result-${activeIndex}` : undefined}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+        />
+      </div>
+
+      {showResults && (
+        <ul className="search-results" id="event-search-results" role="listbox" aria-label={t('search.results')}>
+          {results.length === 0 ? (
+            <li className="search-no-results">{t('search.noResults', { query: query.trim() })}</li>
+          ) : (
+            results.map((event, index) => (
+              <li
+                key={`${event.date}-${event.name}-${index}`}
+                id={`search-result-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                onMouseEnter={() => setActiveIndex(index)}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectResult(event)}
+              >
+                <span className="search-result-date">{formatDate(parseDateKey(event.date), RESULT_DATE_FORMAT)}</span>
+                <span className="search-result-name">{event.name}</span>
+                {(event.business || event.location_name) && (
+                  <span className="search-result-meta">
+                    {[event.business, event.location_name].filter(Boolean).join(' · ')}
+                  </span>
+                )}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
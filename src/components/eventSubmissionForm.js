@@ -1,28 +1,147 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { Link, Navigate, useNavigate, useParams } from 'react-router';
 import DatePicker from './datePicker'; 
 import TimeSelector from './timeSelector';
+import EventDetails from './eventDetails';
+import { getEvents, submitEvent, submissionToEvent } from '../api/eventsClient';
+import { DEFAULT_RECURRENCE, buildRRule, describeRecurrence, getOccurrenceDates } from '../utils/recurrence';
+import {
+  parseDateKey,
+  toDateKey,
+  isValidDateKey,
+  parseTime,
+  getDurationMinutes,
+  getTodayKey,
+  toMinutes
+} from '../utils/dateTime';
+import { getSpanLength } from '../utils/multiDay';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useI18n from '../hooks/useI18n';
+import useSubmissionDrafts from '../hooks/useSubmissionDrafts';
+import { createDraftId, describeDraftTime, isEmptyDraft } from '../utils/drafts';
+import { ACCEPTED_IMAGE_TYPES, MAX_IMAGE_BYTES, resizeImage, validateImageFile } from '../utils/eventImage';
+import { findDuplicates } from '../utils/duplicateDetection';
+import {
+  CRAFT_CATEGORIES,
+  OTHER_CRAFT,
+  MAX_OTHER_CRAFT_LENGTH,
+  normalizeCraftTags,
+  getCraftStyle
+} from '../utils/craftTaxonomy';
+import { getEventPath, getSubmitEventPath } from '../utils/routes';
+import {
+  SUBMISSION_STEPS,
+  FIRST_STEP,
+  getStepIndex,
+  getAdjacentStep,
+  getStepErrors,
+  findIncompleteStepBefore
+} from '../utils/submissionSteps';
 import './style/eventSubmissionForm.css';
 
+// Longest run of occurrences a repeating event may have
+const MAX_REPEAT_COUNT = 52;
+
+// Longest an event may run when it ends past midnight, in minutes
+const MAX_OVERNIGHT_MINUTES = 12 * 60;
+
+// Longest a multi-day event may run, counting both the first and last day
+const MAX_SPAN_DAYS = 14;
+
+// How long typing must pause before the draft is saved, in milliseconds
+const DRAFT_SAVE_DELAY_MS = 1000;
+
+// Values of a blank form
+const EMPTY_FORM_DATA = {
+  name: '',
+  price: '',
+  description: '',
+  link: '',
+  kids: null,
+  location: '',
+  date: '',
+  endDate: '',
+  time: '',
+  endTime: '',
+  organization: '',
+  email: '',
+  craft: '',
+  craftOther: '',
+  craftTags: []
+};
+
+/**
+ * Returns the last date a repeating event may run until: one year after its first date.
+ * 
+ * @param {string} date - First date in YYYY-MM-DD format
+ * @returns {string} Latest end date in YYYY-MM-DD format
+ */
+const getLatestRepeatDate = (date) => {
+  const first = parseDateKey(date);
+  return toDateKey(new Date(first.getFullYear() + 1, first.getMonth(), first.getDate()));
+};
+
 /**
  * EventSubmissionForm Component
  * 
  * A React functional component that provides a form interface for submitting new event data.
  * Features comprehensive validation, input sanitization, and user feedback mechanisms.
  * 
+ * Steps:
+ * - The form is split into steps (basics, when, where, details, review), each
+ *   at its own URL, /submit-event/:step, so the browser's back button works
+ *   (see utils/submissionSteps)
+ * - Next only moves on once the step's fields pass validation; opening a
+ *   later step before the earlier ones are complete goes back to the first
+ *   incomplete one
+ * - The review step shows the event as the calendar's hover card and the
+ *   dialog on phones will show it, and submits it
+ * 
  * Form Requirements:
  * REQUIRED FIELDS:
  * - Name: max 140 characters
  * - Email: valid email format, max 100 characters
  * - Business: max 200 characters
+ * - Craft: one of the managed categories, or "other" with the craft typed
+ *   in, max 60 characters (see utils/craftTaxonomy). Sent as craft (the
+ *   category id) and craft_other
  * - Location Name: max 200 characters
  * - Link: must be valid URL format
- * - Date: must be a future date (handled by DatePicker component)
+ * - Date: today or later (the DatePicker offers no past dates; a resumed draft
+ *   may still carry one)
  * - Time: selectable time slots (handled by TimeSelector component)
  * 
  * OPTIONAL FIELDS:
  * - Price: must be a valid number >= 0 if provided
  * - Kids: boolean (kid-friendly: yes/no), can be left unselected
  * - Description: max 500 characters if provided
+ * - Craft Tags: other categories the event also features, sent as craft_tags
+ * - Image: a flyer or photo (JPEG, PNG or WebP, up to 10 MB), shrunk in the
+ *   browser to at most 1200 pixels and re-encoded, which also strips EXIF
+ *   data such as the GPS location. Sent as a data URL (see utils/eventImage)
+ * - End Time: after the start time; an earlier end time means the event
+ *   runs past midnight, for at most 12 hours in total
+ * - End Date: for multi-day events, after the start date and at most
+ *   14 days in total
+ * - Recurrence: weekly, or monthly on the same weekday (e.g. second Tuesday),
+ *   ending on a date within a year or after 2-52 occurrences, with optional
+ *   skipped dates. Sent as { rrule, exdates } (see utils/recurrence)
+ * 
+ * Duplicate Check:
+ * - Before posting, the event is compared with the published events the
+ *   calendar loads (see utils/duplicateDetection). Likely duplicates are
+ *   shown, and the organizer can confirm theirs is a different event
+ * 
+ * Offline Support:
+ * - Submissions made without a connection are queued by the service worker
+ *   and sent automatically once the connection returns
+ * 
+ * Drafts:
+ * - Values are saved to a draft in localStorage once typing pauses, and
+ *   when the page closes (see useSubmissionDrafts). The image is left out
+ *   to keep drafts small
+ * - Other saved drafts are offered on arrival, to resume or discard
+ * - A draft is cleared only once its event reaches the server
  * 
  * Security Features:
  * - Input sanitization to prevent XSS attacks
@@ -32,19 +151,21 @@ import './style/eventSubmissionForm.css';
  * @returns {JSX.Element} The rendered form component with validation and success feedback
  */
 export default function EventSubmissionForm() {
+  const i18n = useI18n();
+  const { t, formatDate, formatDuration } = i18n;
+  const navigate = useNavigate();
+
+  // Current step, from the URL; null for an unknown step
+  const { step: stepParam } = useParams();
+  const step = getStepIndex(stepParam) === -1 ? null : stepParam;
+  const stepIndex = getStepIndex(step);
+  const previousStep = step && getAdjacentStep(step, -1);
+  const nextStep = step && getAdjacentStep(step, 1);
+  // Step heading, focused when moving between steps
+  const stepTitleRef = useRef(null);
+
   // Form data state - holds all input field values
-  const [formData, setFormData] = useState({
-    name: '',
-    price: '',
-    description: '',
-    link: '',
-    kids: null,
-    location: '',
-    date: '',
-    time: '',
-    organization: '',
-    email: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM_DATA);
   
   // Validation error state - stores error messages for each field
   const [errors, setErrors] = useState({
@@ -55,20 +176,125 @@ export default function EventSubmissionForm() {
     kids: '',
     location: '',
     date: '',
+    endDate: '',
     time: '',
+    endTime: '',
     organization: '',
-    email: ''
+    email: '',
+    craft: '',
+    craftOther: '',
+    recurrence: '',
+    image: ''
   });
 
+  // Recurrence settings - kept apart from formData since they are not plain text fields
+  const [recurrence, setRecurrence] = useState(DEFAULT_RECURRENCE);
+
+  // Resized flyer or photo ({ dataUrl, width, height }), or null when there is none
+  const [image, setImage] = useState(null);
+  const [isPreparingImage, setIsPreparingImage] = useState(false);
+  const imageInputRef = useRef(null);
+
   // Success feedback state - controls display of submission confirmation
   const [isSubmitted, setIsSubmitted] = useState(false);
   
+  // Whether the last submission was queued for background sync instead of sent
+  const [isQueued, setIsQueued] = useState(false);
+  
+  // Connection state, used to explain offline queueing
+  const isOnline = useOnlineStatus();
+  const canQueueOffline = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+  
   // Loading state for API submission
   const [isSubmitting, setIsSubmitting] = useState(false);
   
   // API error state
   const [apiError, setApiError] = useState('');
-  
+
+  // Published events this submission likely duplicates ({ event, score }), shown before posting
+  const [duplicates, setDuplicates] = useState([]);
+
+  // Drafts saved in this browser, see useSubmissionDrafts
+  const { drafts, saveDraft, removeDraft } = useSubmissionDrafts();
+
+  // Draft the form is saved to; a new one starts when a blank form is first filled in
+  const [draftId, setDraftId] = useState(null);
+  const draftIdRef = useRef(null);
+
+  // Values last saved to the draft, to skip saving unchanged values
+  const savedDraftRef = useRef(null);
+
+  // Save waiting for typing to pause, run early when the page closes
+  const pendingSaveRef = useRef(null);
+
+  // Whether to offer the other drafts; hidden once the organizer resumes one or starts fresh
+  const [showDraftOffer, setShowDraftOffer] = useState(true);
+  const [isDraftSaved, setIsDraftSaved] = useState(false);
+
+  // Save the form as a draft once typing pauses
+  useEffect(() => {
+    const snapshot = JSON.stringify({ formData, recurrence });
+    if (isEmptyDraft(formData, recurrence) || snapshot === savedDraftRef.current) {
+      pendingSaveRef.current = null;
+      return undefined;
+    }
+
+    setIsDraftSaved(false);
+    const save = () => {
+      pendingSaveRef.current = null;
+      if (!draftIdRef.current) {
+        draftIdRef.current = createDraftId();
+        setDraftId(draftIdRef.current);
+      }
+      saveDraft(draftIdRef.current, { formData, recurrence });
+      savedDraftRef.current = snapshot;
+      setIsDraftSaved(true);
+    };
+    pendingSaveRef.current = save;
+    const timer = setTimeout(save, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [formData, recurrence, saveDraft]);
+
+  // A duplicate warning is about the values it was shown for: drop it once
+  // they change or the organizer leaves the review step
+  useEffect(() => {
+    setDuplicates(current => (current.length > 0 ? [] : current));
+  }, [formData, recurrence, step]);
+
+  // Keep unsaved typing when the page closes or the organizer navigates away
+  useEffect(() => {
+    const flush = () => pendingSaveRef.current && pendingSaveRef.current();
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+
+  /**
+   * Fills the form from a saved draft; later changes are saved back to it.
+   * Unsaved changes to the current form are saved to its own draft first.
+   *
+   * @param {Object} draft - Draft from useSubmissionDrafts
+   */
+  const resumeDraft = (draft) => {
+    if (pendingSaveRef.current) pendingSaveRef.current();
+    const values = {
+      formData: { ...EMPTY_FORM_DATA, ...draft.formData },
+      recurrence: { ...DEFAULT_RECURRENCE, ...draft.recurrence }
+    };
+    draftIdRef.current = draft.id;
+    savedDraftRef.current = JSON.stringify(values);
+    setDraftId(draft.id);
+    setFormData(values.formData);
+    setRecurrence(values.recurrence);
+    setShowDraftOffer(false);
+    setIsDraftSaved(false);
+  };
+
+  // Drafts other than the one being edited, shown until the organizer picks one or starts fresh
+  const otherDrafts = showDraftOffer ? drafts.filter(draft => draft.id !== draftId) : [];
+
   /**
    * Sanitizes user input to help prevent XSS attacks and injection vulnerabilities.
    * Escapes HTML characters and removes leading/trailing whitespace.
@@ -89,28 +315,22 @@ export default function EventSubmissionForm() {
       .trim();
   };
 
-  const sanitizeTime = (time) => {
-    try {
-      const [timeSection, modifier] = time.split(' ');
-      let [hours, minutes] = timeSection.split(':').map(Number);
-
-      if (modifier === 'PM' && hours !== 12) {
-        hours += 12;
-      }
-
-      if (modifier === 'AM' && hours === 12) {
-        hours = 0;
-      }
-      return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-    } catch(Exception) {
-      return null
-    }
-  }
+  /**
+   * Converts a time from the TimeSelector (e.g. "6:30 PM") to the 24-hour
+   * "HH:MM" format the backend expects.
+   * 
+   * @param {string} time - The selected time
+   * @returns {string|null} The 24-hour time, or null if it is not a valid time
+   */
+  const sanitizeTime = (time) => parseTime(time);
 
-  const sanitizeDate = (date) => {
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
-    return date;
-  }
+  /**
+   * Checks that a date is a real YYYY-MM-DD calendar date.
+   * 
+   * @param {string} date - The selected date
+   * @returns {string|null} The date, or null if it is not valid
+   */
+  const sanitizeDate = (date) => (isValidDateKey(date) ? date : null);
 
   const sanitizeBoolean = (input) => {
     if (typeof input == "boolean") {
@@ -147,7 +367,7 @@ export default function EventSubmissionForm() {
   /**
    * Validates all form fields according to business rules and requirements.
    * 
-   * Required fields: name, email, organization, location, date, time, link
+   * Required fields: name, email, organization, craft, location, date, time, link
    * Optional fields: price, description, kids
    * 
    * @param {Object} data - The form data object to validate
@@ -162,71 +382,127 @@ export default function EventSubmissionForm() {
       kids: '',
       location: '',
       date: '',
+      endDate: '',
       time: '',
+      endTime: '',
       organization: '',
-      email: ''
+      email: '',
+      craft: '',
+      craftOther: '',
+      recurrence: ''
     };
 
     // Validate event name field (REQUIRED)
     if (!data.name.trim()) {
-      newErrors.name = 'Name is required';
+      newErrors.name = t('form.errors.nameRequired');
     } else if (data.name.length > 140) {
-      newErrors.name = 'Name must be less than 140 characters';
+      newErrors.name = t('form.errors.nameTooLong');
     }
 
     // Validate email field (REQUIRED)
     if (!data.email.trim()) {
-      newErrors.email = 'Email is required';
+      newErrors.email = t('form.errors.emailRequired');
     } else if (data.email.length > 100) {
-      newErrors.email = 'Email must be less than 100 characters';
+      newErrors.email = t('form.errors.emailTooLong');
     } else if (!isValidEmail(data.email)) {
-      newErrors.email = 'Please enter a valid email address';
+      newErrors.email = t('form.errors.emailInvalid');
     }
 
     // Validate organization field (REQUIRED)
     if (!data.organization.trim()) {
-      newErrors.organization = 'Business name is required';
+      newErrors.organization = t('form.errors.organizationRequired');
     } else if (data.organization.length > 200) {
-      newErrors.organization = 'Business name must be less than 200 characters';
+      newErrors.organization = t('form.errors.organizationTooLong');
+    }
+
+    // Validate craft field (REQUIRED - with the craft itself when it is "other")
+    if (!data.craft) {
+      newErrors.craft = t('form.errors.craftRequired');
+    } else if (data.craft === OTHER_CRAFT && !data.craft_other) {
+      newErrors.craftOther = t('form.errors.craftOtherRequired');
+    } else if (data.craft === OTHER_CRAFT && data.craft_other.length > MAX_OTHER_CRAFT_LENGTH) {
+      newErrors.craftOther = t('form.errors.craftOtherTooLong', { max: MAX_OTHER_CRAFT_LENGTH });
     }
 
     // Validate location name field (REQUIRED)
     if (!data.location.trim()) {
-      newErrors.location = 'Location name is required';
+      newErrors.location = t('form.errors.locationRequired');
     } else if (data.location.length > 200) {
-      newErrors.location = 'Location name must be less than 200 characters';
+      newErrors.location = t('form.errors.locationTooLong');
     }
 
     // Validate link field (REQUIRED)
     if (!data.link.trim()) {
-      newErrors.link = 'Event link is required';
+      newErrors.link = t('form.errors.linkRequired');
     } else if (!isValidURL(data.link)) {
-      newErrors.link = 'Please enter a valid URL (include http:// or https://)';
+      newErrors.link = t('form.errors.linkInvalid');
     }
 
-    // Validate required date field (REQUIRED)
+    // Validate required date field (REQUIRED - a resumed draft may have a date that has passed)
     if (!data.date) {
-      newErrors.date = 'Date is required';
+      newErrors.date = t('form.errors.dateRequired');
+    } else if (data.date < getTodayKey()) {
+      newErrors.date = t('form.errors.datePast');
+    }
+    
+    // Validate end date field (OPTIONAL - only for multi-day events)
+    if (data.endDate && data.date) {
+      const spanLength = getSpanLength({ date: data.date, end_date: data.endDate });
+      if (data.endDate <= data.date) {
+        newErrors.endDate = t('form.errors.endDateBeforeStart');
+      } else if (spanLength > MAX_SPAN_DAYS) {
+        newErrors.endDate = t('form.errors.endDateTooLong', { max: MAX_SPAN_DAYS });
+      } else if (data.recurrence && data.recurrence.frequency === 'weekly' && spanLength >= 7) {
+        newErrors.endDate = t('form.errors.endDateWeekly');
+      }
     }
     
     // Validate required time field (REQUIRED)
     if (!data.time) {
-      newErrors.time = 'Time for event is required';
+      newErrors.time = t('form.errors.timeRequired');
+    }
+
+    // Validate end time field (OPTIONAL - only checked against a valid start time)
+    if (data.endTime && data.time) {
+      const startMinutes = toMinutes(data.time);
+      const endMinutes = toMinutes(data.endTime);
+      if (endMinutes === startMinutes) {
+        newErrors.endTime = t('form.errors.endTimeSame');
+      } else if (endMinutes < startMinutes && getDurationMinutes(data.time, data.endTime) > MAX_OVERNIGHT_MINUTES) {
+        newErrors.endTime = t('form.errors.endTimeOvernight');
+      }
     }
 
     // Validate price field (OPTIONAL - only validate format if provided)
     if (data.price !== '' && data.price !== null && data.price !== undefined) {
       const priceNum = parseFloat(data.price);
       if (isNaN(priceNum)) {
-        newErrors.price = 'Price must be a valid number';
+        newErrors.price = t('form.errors.priceInvalid');
       } else if (priceNum < 0) {
-        newErrors.price = 'Price cannot be negative';
+        newErrors.price = t('form.errors.priceNegative');
       }
     }
 
     // Validate event description field (OPTIONAL - only validate length if provided)
     if (data.description && data.description.length > 500) {
-      newErrors.description = 'Description must be less than 500 characters';
+      newErrors.description = t('form.errors.descriptionTooLong');
+    }
+
+    // Validate recurrence end (OPTIONAL - only when the event repeats)
+    const repeats = data.recurrence && data.recurrence.frequency !== 'none';
+    if (repeats && data.recurrence.endType === 'count') {
+      const count = Number(data.recurrence.count);
+      if (!Number.isInteger(count) || count < 2 || count > MAX_REPEAT_COUNT) {
+        newErrors.recurrence = t('form.errors.repeatCount', { max: MAX_REPEAT_COUNT });
+      }
+    } else if (repeats) {
+      if (!data.recurrence.until) {
+        newErrors.recurrence = t('form.errors.repeatUntilRequired');
+      } else if (data.date && data.recurrence.until <= data.date) {
+        newErrors.recurrence = t('form.errors.repeatUntilBeforeStart');
+      } else if (data.date && data.recurrence.until > getLatestRepeatDate(data.date)) {
+        newErrors.recurrence = t('form.errors.repeatUntilTooLate');
+      }
     }
     
     return newErrors;
@@ -261,6 +537,49 @@ export default function EventSubmissionForm() {
     }
   };
 
+  /**
+   * Handles a chosen flyer or photo: checks its type and size, then resizes
+   * it for the preview and the submission.
+   *
+   * @param {Event} e - Change event from the file input
+   */
+  const handleImageChange = async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    const problem = validateImageFile(file);
+    if (problem) {
+      e.target.value = '';
+      setErrors(current => ({
+        ...current,
+        image: problem === 'type'
+          ? t('form.errors.imageType')
+          : t('form.errors.imageTooLarge', { max: MAX_IMAGE_BYTES / (1024 * 1024) })
+      }));
+      return;
+    }
+
+    setIsPreparingImage(true);
+    try {
+      setImage(await resizeImage(file));
+      setErrors(current => ({ ...current, image: '' }));
+    } catch (error) {
+      console.error('Error reading image:', error);
+      e.target.value = '';
+      setErrors(current => ({ ...current, image: t('form.errors.imageUnreadable') }));
+    } finally {
+      setIsPreparingImage(false);
+    }
+  };
+
+  /**
+   * Removes the chosen flyer or photo.
+   */
+  const removeImage = () => {
+    setImage(null);
+    if (imageInputRef.current) imageInputRef.current.value = '';
+  };
+
   /**
    * Handles changes to the kids-friendly checkbox.
    * Allows toggling between true, false, and null (unselected)
@@ -290,6 +609,20 @@ export default function EventSubmissionForm() {
     }
   };
 
+  /**
+   * Adds or removes a secondary craft.
+   *
+   * @param {string} craftId - The category that was toggled
+   */
+  const handleCraftTagChange = (craftId) => {
+    setFormData({
+      ...formData,
+      craftTags: formData.craftTags.includes(craftId)
+        ? formData.craftTags.filter(tag => tag !== craftId)
+        : [...formData.craftTags, craftId]
+    });
+  };
+
   /**
    * Handles date selection from the DatePicker component.
    * Updates form state and clears date validation errors.
@@ -311,6 +644,50 @@ export default function EventSubmissionForm() {
     }
   };
 
+  /**
+   * Handles end time selection from the TimeSelector component.
+   * Updates form state and clears end time validation errors.
+   * 
+   * @param {string} endTime - The selected end time (e.g. "8:30 PM"),
+   *                           or an empty string for no end time
+   */
+  const handleEndTimeChange = (endTime) => {
+    setFormData({
+      ...formData,
+      endTime: endTime
+    });
+    
+    // Clear end time validation error when user changes the end time
+    if (errors.endTime) {
+      setErrors({
+        ...errors,
+        endTime: ''
+      });
+    }
+  };
+
+  /**
+   * Handles end date selection for multi-day events.
+   * Updates form state and clears end date validation errors.
+   * 
+   * @param {string} endDate - The selected end date in YYYY-MM-DD format,
+   *                           or an empty string to make the event single-day
+   */
+  const handleEndDateChange = (endDate) => {
+    setFormData({
+      ...formData,
+      endDate: endDate
+    });
+    
+    // Clear end date validation error when user changes the end date
+    if (errors.endDate) {
+      setErrors({
+        ...errors,
+        endDate: ''
+      });
+    }
+  };
+
   /**
    * Handles time selection from the TimeSelector component.
    * Updates form state and clears time validation errors.
@@ -332,75 +709,206 @@ export default function EventSubmissionForm() {
     }
   };
 
+  /**
+   * Handles changes to the recurrence settings.
+   * Updates the given settings and clears recurrence validation errors.
+   * 
+   * @param {Object} changes - Recurrence settings to update
+   */
+  const handleRecurrenceChange = (changes) => {
+    setRecurrence({
+      ...recurrence,
+      ...changes
+    });
+    
+    // Clear recurrence validation error when the user changes the settings
+    if (errors.recurrence) {
+      setErrors({
+        ...errors,
+        recurrence: ''
+      });
+    }
+  };
+
+  /**
+   * Skips an occurrence of a repeating event, or includes it again.
+   * 
+   * @param {string} date - Occurrence date in YYYY-MM-DD format
+   */
+  const toggleSkippedDate = (date) => {
+    handleRecurrenceChange({
+      exdates: recurrence.exdates.includes(date)
+        ? recurrence.exdates.filter(skipped => skipped !== date)
+        : [...recurrence.exdates, date].sort()
+    });
+  };
+
+  // Length of the event once both times are chosen, for the hint under the end time
+  const eventDuration = formData.time && formData.endTime
+    ? getDurationMinutes(sanitizeTime(formData.time), sanitizeTime(formData.endTime))
+    : null;
+
+  // The rule for the current settings, once the first date and a valid end are chosen
+  const rrule = formData.date && !validateForm({ ...formData, recurrence }).recurrence
+    ? buildRRule(recurrence, formData.date)
+    : null;
+  
+  // Dates after the first that can be skipped
+  const skippableDates = rrule ? getOccurrenceDates(formData.date, { rrule }).slice(1) : [];
+
+  /**
+   * Looks for published events on the same day that this submission likely
+   * duplicates, in the events the calendar loads. The check is only a
+   * courtesy, so it finds nothing when the events cannot be loaded.
+   *
+   * @param {Object} data - Submission, with the name and location as typed:
+   *                        escaped HTML would not match the feed's text
+   * @returns {Promise<{event: Object, score: number}[]>} Likely duplicates, closest first
+   */
+  const findLikelyDuplicates = async (data) => {
+    try {
+      const { events } = await getEvents();
+      return findDuplicates({
+        name: data.name,
+        date: data.date,
+        end_date: data.end_date,
+        time: data.time,
+        location_name: data.location
+      }, events);
+    } catch (error) {
+      console.error('Error checking for duplicates:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Builds the submission from the current values, sanitized for sending.
+   *
+   * @param {Function} [cleanText=sanitizeInput] - Applied to each text field; the
+   *                                               preview shows the text as typed
+   * @returns {Object} The submission, in the shape submitEvent sends
+   */
+  const buildSubmission = (cleanText = sanitizeInput) => ({
+    name: cleanText(formData.name),
+    price: parseFloat(formData.price),
+    description: cleanText(formData.description),
+    link: cleanText(formData.link),
+    kids: sanitizeBoolean(formData.kids),
+    location: cleanText(formData.location),
+    date: sanitizeDate(formData.date),
+    end_date: formData.endDate ? sanitizeDate(formData.endDate) : null,
+    time: sanitizeTime(formData.time),
+    end_time: formData.endTime ? sanitizeTime(formData.endTime) : null,
+    organization: cleanText(formData.organization),
+    email: cleanText(formData.email),
+    craft: formData.craft || null,
+    craft_other: formData.craft === OTHER_CRAFT ? cleanText(formData.craftOther) : null,
+    craft_tags: normalizeCraftTags(formData.craftTags, formData.craft),
+    image: image ? image.dataUrl : null,
+    recurrence: rrule
+      ? { rrule, exdates: recurrence.exdates.filter(date => skippableDates.includes(date)) }
+      : null
+  });
+
+  /**
+   * Validates a sanitized submission against the current form values.
+   *
+   * @param {Object} sanitizedData - Submission from buildSubmission
+   * @returns {Object<string, string>} Error messages by field; empty strings when valid
+   */
+  const validateSubmission = (sanitizedData) => validateForm({
+    ...sanitizedData,
+    price: formData.price, // Keep original for validation
+    endDate: formData.endDate,
+    endTime: sanitizedData.end_time,
+    recurrence // Validate the settings rather than the generated rule
+  });
+
+  /**
+   * Moves to another step, adding it to the browser history.
+   *
+   * @param {string} stepId - Step to show
+   */
+  const goToStep = (stepId) => {
+    navigate(getSubmitEventPath(stepId));
+    if (stepTitleRef.current) stepTitleRef.current.focus();
+  };
+
+  /**
+   * Validates the current step's fields and moves on when they pass.
+   */
+  const handleNext = () => {
+    const stepErrors = getStepErrors(validateSubmission(buildSubmission()), step);
+    setErrors(current => ({ ...current, ...stepErrors }));
+    if (!Object.values(stepErrors).some(error => error)) {
+      goToStep(nextStep);
+    }
+  };
+
   /**
    * Handles form submission process including validation, sanitization, and API submission.
    * Prevents submission if validation fails and provides user feedback.
    * Sends validated data to backend API via POST request.
+   * 
+   * @param {boolean} [skipDuplicateCheck=false] - True once the organizer has
+   *                                               confirmed this is a different event
    */
-  const handleSubmit = async () => {
+  const handleSubmit = async (skipDuplicateCheck = false) => {
     // Sanitize all text inputs before validation and submission
-    const sanitizedData = {
-      name: sanitizeInput(formData.name),
-      price: parseFloat(formData.price),
-      description: sanitizeInput(formData.description),
-      link: sanitizeInput(formData.link),
-      kids: sanitizeBoolean(formData.kids),
-      location: sanitizeInput(formData.location),
-      date: sanitizeDate(formData.date),
-      time: sanitizeTime(formData.time),
-      organization: sanitizeInput(formData.organization),
-      email: sanitizeInput(formData.email)
-    };
+    const sanitizedData = buildSubmission();
 
     // Run validation on sanitized data
-    const newErrors = validateForm({
-      ...sanitizedData,
-      price: formData.price // Keep original for validation
-    });
+    const newErrors = validateSubmission(sanitizedData);
     setErrors(newErrors);
     
     // Check if form passes validation (no error messages)
     const isValid = !Object.values(newErrors).some(error => error);
     
-    if (isValid) {
+    if (!isValid) {
+      // Send the organizer back to the step with the problem
+      goToStep(findIncompleteStepBefore(newErrors, 'review') || FIRST_STEP);
+    } else {
       setIsSubmitting(true);
       setApiError('');
+
+      // Stop at likely duplicates until the organizer confirms the event is different
+      const matches = skipDuplicateCheck ? [] : await findLikelyDuplicates({
+        ...sanitizedData,
+        name: formData.name.trim(),
+        location: formData.location.trim()
+      });
+      setDuplicates(matches);
+      if (matches.length > 0) {
+        setIsSubmitting(false);
+        return;
+      }
+
       console.log(sanitizedData);
       try {
-        // Send POST request to backend API
-        const response = await fetch(process.env.REACT_APP_CALENDAR_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(sanitizedData)
-        });
-        
-        if (!response.ok) {
-          // Handle HTTP errors
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.message || `Server error: ${response.status}`);
-        }
-        
-        const responseData = await response.json();
+        // Send POST request to backend API through the shared events client
+        const responseData = await submitEvent(sanitizedData);
         console.log('Form submitted successfully:', responseData);
         
         // Show success feedback to user
+        setIsQueued(Boolean(responseData.queued));
         setIsSubmitted(true);
-        
+
+        // Only a submission that reached the server ends the draft; a queued
+        // one keeps it in case the background sync never succeeds
+        if (!responseData.queued && draftIdRef.current) {
+          removeDraft(draftIdRef.current);
+        }
+        pendingSaveRef.current = null;
+        draftIdRef.current = null;
+        savedDraftRef.current = null;
+        setDraftId(null);
+        setIsDraftSaved(false);
+
         // Reset form to initial state after successful submission
-        setFormData({
-          name: '',
-          price: '',
-          description: '',
-          link: '',
-          kids: null,
-          location: '',
-          date: '',
-          time: '',
-          organization: '',
-          email: ''
-        });
+        setFormData(EMPTY_FORM_DATA);
+        setRecurrence(DEFAULT_RECURRENCE);
+        removeImage();
+        goToStep(FIRST_STEP);
         
         // Auto-hide success message after 3 seconds
         setTimeout(() => {
@@ -409,21 +917,46 @@ export default function EventSubmissionForm() {
         
       } catch (error) {
         console.error('Error submitting form:', error);
-        setApiError('Failed to submit event. Please try again.');
+        setApiError(t('form.apiError'));
       } finally {
         setIsSubmitting(false);
       }
     }
   };
 
+  // Unknown steps, and steps opened before the earlier ones are complete,
+  // go to the first step that still needs something
+  const currentErrors = validateSubmission(buildSubmission());
+  const incompleteStep = step && findIncompleteStepBefore(currentErrors, step);
+  if (!step || incompleteStep) {
+    return <Navigate to={getSubmitEventPath(incompleteStep || FIRST_STEP)} replace />;
+  }
+
+  // The event as it will appear once published, from the unescaped values
+  // (React escapes text itself, so HTML entities would show up literally)
+  const previewEvent = step === 'review'
+    ? submissionToEvent(buildSubmission(text => text.trim()))
+    : null;
+
   return (
     <div className="event-form-container">
-      <h2 className="form-title">New Event</h2>
+      <h2 className="form-title">{t('form.title')}</h2>
       
       {/* Success confirmation message */}
       {isSubmitted && (
         <div className="success-message">
-          Event submitted successfully!
+          {isQueued
+            ? t('form.queued')
+            : t('form.success')}
+        </div>
+      )}
+      
+      {/* Offline notice */}
+      {!isOnline && (
+        <div className="offline-message">
+          {canQueueOffline
+            ? t('form.offlineQueue')
+            : t('form.offline')}
         </div>
       )}
       
@@ -433,267 +966,690 @@ export default function EventSubmissionForm() {
           {apiError}
         </div>
       )}
-      
-      <div>
-        {/* Event Name Input Section - REQUIRED */}
-        <div className="form-section">
-          <label 
-            htmlFor="name" 
-            className="form-label"
-          >
-            Event Name <span className="required-indicator">*</span>
-          </label>
-          <input
-            type="text"
-            id="name"
-            name="name"
-            value={formData.name}
-            onChange={handleChange}
-            maxLength={140}
-            className="form-input"
-            placeholder="Enter event name (max 140 characters)"
-            disabled={isSubmitting}
-          />
-          {errors.name && (
-            <p className="error-message">{errors.name}</p>
-          )}
-          <p className="char-counter">
-            {formData.name.length}/140 characters
-          </p>
-        </div>
 
-        {/* Email Input Section - REQUIRED */}
-        <div className="form-section">
-          <label 
-            htmlFor="email" 
-            className="form-label"
-          >
-            Email <span className="required-indicator">*</span>
-          </label>
-          <input
-            type="email"
-            id="email"
-            name="email"
-            value={formData.email}
-            onChange={handleChange}
-            maxLength={100}
-            className="form-input"
-            placeholder="Enter your email address"
-            disabled={isSubmitting}
-          />
-          {errors.email && (
-            <p className="error-message">{errors.email}</p>
-          )}
-          <p className="char-counter">
-            {formData.email.length}/100 characters
-          </p>
-        </div>
+      {/* Saved drafts to pick up again */}
+      {otherDrafts.length > 0 && (
+        <section className="draft-offer" aria-labelledby="draft-offer-title">
+          <h3 id="draft-offer-title" className="draft-offer-title">{t('drafts.title')}</h3>
+          <ul className="draft-offer-list">
+            {otherDrafts.map(draft => {
+              const name = (draft.formData.name || '').trim() || t('drafts.untitled');
+              return (
+                <li key={draft.id} className="draft-offer-item">
+                  <button type="button" className="draft-resume-button" onClick={() => resumeDraft(draft)}>
+                    {t('drafts.resume', { name, when: describeDraftTime(draft.savedAt, i18n) })}
+                  </button>
+                  <button
+                    type="button"
+                    className="draft-discard-button"
+                    onClick={() => removeDraft(draft.id)}
+                    aria-label={t('drafts.discardLabel', { name })}
+                  >
+                    {t('drafts.discard')}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <button type="button" className="draft-fresh-button" onClick={() => setShowDraftOffer(false)}>
+            {t('drafts.startFresh')}
+          </button>
+        </section>
+      )}
 
-        {/* organization Name Input Section - REQUIRED */}
-        <div className="form-section">
-          <label 
-            htmlFor="organization" 
-            className="form-label"
+      {/* Progress through the steps; finished steps can be revisited */}
+      <ol className="form-steps">
+        {SUBMISSION_STEPS.map(({ id }, index) => (
+          <li
+            key={id}
+            className={`form-step ${id === step ? 'current' : ''} ${index < stepIndex ? 'done' : ''}`}
+            aria-current={id === step ? 'step' : undefined}
           >
-            Business Name <span className="required-indicator">*</span>
-          </label>
-          <input
-            type="text"
-            id="organization"
-            name="organization"
-            value={formData.organization}
-            onChange={handleChange}
-            maxLength={200}
-            className="form-input"
-            placeholder="Enter business name"
-            disabled={isSubmitting}
-          />
-          {errors.organization && (
-            <p className="error-message">{errors.organization}</p>
-          )}
-          <p className="char-counter">
-            {formData.organization.length}/200 characters
-          </p>
-        </div>
+            {index < stepIndex
+              ? <Link to={getSubmitEventPath(id)}>{t(`form.steps.${id}`)}</Link>
+              : <span>{t(`form.steps.${id}`)}</span>}
+          </li>
+        ))}
+      </ol>
 
-        {/* Location Name Input Section - REQUIRED */}
-        <div className="form-section">
-          <label 
-            htmlFor="location" 
-            className="form-label"
-          >
-            Location Name <span className="required-indicator">*</span>
-          </label>
-          <input
-            type="text"
-            id="location"
-            name="location"
-            value={formData.location}
-            onChange={handleChange}
-            maxLength={200}
-            className="form-input"
-            placeholder="Enter location name"
-            disabled={isSubmitting}
-          />
-          {errors.location && (
-            <p className="error-message">{errors.location}</p>
-          )}
-          <p className="char-counter">
-            {formData.location.length}/200 characters
-          </p>
-        </div>
+      <div>
+        <h3 ref={stepTitleRef} className="form-step-title" tabIndex={-1}>
+          {t('form.stepTitle', { number: stepIndex + 1, total: SUBMISSION_STEPS.length, title: t(`form.steps.${step}`) })}
+        </h3>
 
-        {/* Event Link Input Section - REQUIRED */}
-        <div className="form-section">
-          <label 
-            htmlFor="link" 
-            className="form-label"
-          >
-            Event Link <span className="required-indicator">*</span>
-          </label>
-          <input
-            type="url"
-            id="link"
-            name="link"
-            value={formData.link}
-            onChange={handleChange}
-            className="form-input"
-            placeholder="https://example.com/event"
-            disabled={isSubmitting}
-          />
-          {errors.link && (
-            <p className="error-message">{errors.link}</p>
-          )}
-        </div>
+        {step === 'basics' && (
+          <>
+            {/* Event Name Input Section - REQUIRED */}
+            <div className="form-section">
+              <label 
+                htmlFor="name" 
+                className="form-label"
+              >
+                {t('form.name')} <span className="required-indicator">*</span>
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                maxLength={140}
+                className="form-input"
+                placeholder={t('form.namePlaceholder')}
+                disabled={isSubmitting}
+              />
+              {errors.name && (
+                <p className="error-message">{errors.name}</p>
+              )}
+              <p className="char-counter">
+                {t('form.characters', { count: formData.name.length, max: 140 })}
+              </p>
+            </div>
 
-        {/* Date and Time Selection Section - REQUIRED */}
-        <div className="datetime-wrapper">
-          {/* Date Picker Integration */}
-          <div className="form-section">
-            <label className="form-label">
-              Date <span className="required-indicator">*</span>
-            </label>
-            <DatePicker 
-              selectedDate={formData.date} 
-              onDateChange={handleDateChange}
-              disabled={isSubmitting}
-            />
-            {errors.date && (
-              <p className="error-message">{errors.date}</p>
-            )}
-          </div>
-
-          {/* Time Selector Integration */}
-          <div className="form-section">
-            <label className="form-label">
-              Time <span className="required-indicator">*</span>
-            </label>
-            <TimeSelector 
-              selectedTime={formData.time}
-              onTimeChange={handleTimeChange}
-              disabled={isSubmitting}
-            />
-            {errors.time && (
-              <p className="error-message">{errors.time}</p>
+            {/* Email Input Section - REQUIRED */}
+            <div className="form-section">
+              <label 
+                htmlFor="email" 
+                className="form-label"
+              >
+                {t('form.email')} <span className="required-indicator">*</span>
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                maxLength={100}
+                className="form-input"
+                placeholder={t('form.emailPlaceholder')}
+                disabled={isSubmitting}
+              />
+              {errors.email && (
+                <p className="error-message">{errors.email}</p>
+              )}
+              <p className="char-counter">
+                {t('form.characters', { count: formData.email.length, max: 100 })}
+              </p>
+            </div>
+
+            {/* organization Name Input Section - REQUIRED */}
+            <div className="form-section">
+              <label 
+                htmlFor="organization" 
+                className="form-label"
+              >
+                {t('form.organization')} <span className="required-indicator">*</span>
+              </label>
+              <input
+                type="text"
+                id="organization"
+                name="organization"
+                value={formData.organization}
+                onChange={handleChange}
+                maxLength={200}
+                className="form-input"
+                placeholder={t('form.organizationPlaceholder')}
+                disabled={isSubmitting}
+              />
+              {errors.organization && (
+                <p className="error-message">{errors.organization}</p>
+              )}
+              <p className="char-counter">
+                {t('form.characters', { count: formData.organization.length, max: 200 })}
+              </p>
+            </div>
+
+            {/* Craft Selection Section - REQUIRED */}
+            <div className="form-section">
+              <label
+                htmlFor="craft"
+                className="form-label"
+              >
+                {t('form.craft')} <span className="required-indicator">*</span>
+              </label>
+              <select
+                id="craft"
+                name="craft"
+                value={formData.craft}
+                onChange={handleChange}
+                className="form-input"
+                disabled={isSubmitting}
+              >
+                <option value="">{t('form.craftPlaceholder')}</option>
+                {CRAFT_CATEGORIES.map(({ id }) => (
+                  <option key={id} value={id}>
+                    {id === OTHER_CRAFT ? t('form.craftOtherOption') : t(`crafts.${id}`)}
+                  </option>
+                ))}
+              </select>
+              {errors.craft && (
+                <p className="error-message">{errors.craft}</p>
+              )}
+            </div>
+
+            {/* Craft Name Input Section - REQUIRED for "other" */}
+            {formData.craft === OTHER_CRAFT && (
+              <div className="form-section">
+                <label
+                  htmlFor="craftOther"
+                  className="form-label"
+                >
+                  {t('form.craftOther')} <span className="required-indicator">*</span>
+                </label>
+                <input
+                  type="text"
+                  id="craftOther"
+                  name="craftOther"
+                  value={formData.craftOther}
+                  onChange={handleChange}
+                  maxLength={MAX_OTHER_CRAFT_LENGTH}
+                  className="form-input"
+                  placeholder={t('form.craftOtherPlaceholder')}
+                  disabled={isSubmitting}
+                />
+                {errors.craftOther && (
+                  <p className="error-message">{errors.craftOther}</p>
+                )}
+              </div>
             )}
-          </div>
-        </div>
 
-        {/* Price Input Section - OPTIONAL */}
-        <div className="form-section">
-          <label 
-            htmlFor="price" 
-            className="form-label"
-          >
-            Price (Optional)
-          </label>
-          <input
-            type="number"
-            id="price"
-            name="price"
-            value={formData.price}
-            onChange={handleChange}
-            min="0"
-            step="0.01"
-            className="form-input"
-            placeholder="Enter price (e.g., 25.00)"
-            disabled={isSubmitting}
-          />
-          {errors.price && (
-            <p className="error-message">{errors.price}</p>
-          )}
-        </div>
+            {/* Secondary Crafts Section - OPTIONAL */}
+            <fieldset className="form-section craft-tags">
+              <legend className="form-label">{t('form.craftTags')}</legend>
+              <div className="craft-tags-group">
+                {CRAFT_CATEGORIES
+                  .filter(({ id }) => id !== OTHER_CRAFT && id !== formData.craft)
+                  .map(({ id }) => (
+                    <label key={id} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        name={`craft-tag-${id}`}
+                        checked={formData.craftTags.includes(id)}
+                        onChange={() => handleCraftTagChange(id)}
+                        disabled={isSubmitting}
+                      />
+                      <span className="checkmark"></span>
+                      <span className="checkbox-text">{t(`crafts.${id}`)}</span>
+                    </label>
+                  ))}
+              </div>
+            </fieldset>
+          </>
+        )}
+
+        {step === 'when' && (
+          <>
+            {/* Date and Time Selection Section - REQUIRED */}
+            <div className="datetime-wrapper">
+              {/* Date Picker Integration */}
+              <div className="form-section">
+                <label htmlFor="date" id="date-label" className="form-label">
+                  {t('form.date')} <span className="required-indicator">*</span>
+                </label>
+                <DatePicker 
+                  id="date"
+                  labelId="date-label"
+                  selectedDate={formData.date} 
+                  onDateChange={handleDateChange}
+                  disabled={isSubmitting}
+                />
+                {errors.date && (
+                  <p className="error-message">{errors.date}</p>
+                )}
+              </div>
+
+              {/* Time Selector Integration */}
+              <div className="form-section">
+                <label htmlFor="time" className="form-label">
+                  {t('form.time')} <span className="required-indicator">*</span>
+                </label>
+                <TimeSelector 
+                  id="time"
+                  selectedTime={formData.time}
+                  onTimeChange={handleTimeChange}
+                  disabled={isSubmitting}
+                />
+                {errors.time && (
+                  <p className="error-message">{errors.time}</p>
+                )}
+              </div>
+            </div>
+
+            {/* End Time Section - OPTIONAL */}
+            <div className="form-section">
+              <label htmlFor="end-time" className="form-label">
+                {t('form.endTime')}
+              </label>
+              <TimeSelector
+                id="end-time"
+                selectedTime={formData.endTime}
+                onTimeChange={handleEndTimeChange}
+                placeholder={t('form.endTimePlaceholder')}
+                disabled={isSubmitting}
+              />
+              {formData.endTime && (
+                <button
+                  type="button"
+                  className="clear-optional-field"
+                  onClick={() => handleEndTimeChange('')}
+                  disabled={isSubmitting}
+                >
+                  {t('form.removeEndTime')}
+                </button>
+              )}
+              {eventDuration && !errors.endTime && (
+                <p className="duration-hint">
+                  {t('form.runs', { duration: formatDuration(eventDuration) })}
+                  {toMinutes(sanitizeTime(formData.endTime)) < toMinutes(sanitizeTime(formData.time)) && t('form.afterMidnight')}
+                </p>
+              )}
+              {errors.endTime && (
+                <p className="error-message">{errors.endTime}</p>
+              )}
+            </div>
+
+            {/* End Date Section - OPTIONAL */}
+            <div className="form-section">
+              <label htmlFor="end-date" id="end-date-label" className="form-label">
+                {t('form.endDate')}
+              </label>
+              <DatePicker
+                id="end-date"
+                labelId="end-date-label"
+                selectedDate={formData.endDate}
+                onDateChange={handleEndDateChange}
+                minDate={formData.date}
+                disabled={isSubmitting}
+              />
+              {formData.endDate && (
+                <button
+                  type="button"
+                  className="clear-optional-field"
+                  onClick={() => handleEndDateChange('')}
+                  disabled={isSubmitting}
+                >
+                  {t('form.removeEndDate')}
+                </button>
+              )}
+              {errors.endDate && (
+                <p className="error-message">{errors.endDate}</p>
+              )}
+            </div>
 
-        {/* Kid-Friendly Section - OPTIONAL */}
-        <div className="form-section">
-          <label className="form-label">
-            Kid-Friendly (Optional)
-          </label>
-          <div className="kids-checkbox-group">
-            <label className="checkbox-label">
+            {/* Recurrence Section - OPTIONAL */}
+            <div className="form-section">
+              <label 
+                htmlFor="repeats" 
+                className="form-label"
+              >
+                {t('form.repeats')}
+              </label>
+              <select
+                id="repeats"
+                value={recurrence.frequency}
+                onChange={(e) => handleRecurrenceChange({ frequency: e.target.value })}
+                className="form-input"
+                disabled={isSubmitting}
+              >
+                <option value="none">{t('form.repeatNone')}</option>
+                <option value="weekly">{t('form.repeatWeekly')}</option>
+                <option value="monthly">{t('form.repeatMonthly')}</option>
+              </select>
+
+              {recurrence.frequency !== 'none' && (
+                <div className="recurrence-options">
+                  <div className="kids-checkbox-group" role="radiogroup" aria-label={t('form.ends')}>
+                    <label className="checkbox-label">
+                      <input
+                        type="radio"
+                        name="recurrence-end"
+                        checked={recurrence.endType === 'until'}
+                        onChange={() => handleRecurrenceChange({ endType: 'until' })}
+                        disabled={isSubmitting}
+                      />
+                      <span className="checkmark"></span>
+                      <span className="checkbox-text" id="recurrence-until-label">{t('form.endsOnDate')}</span>
+                    </label>
+                    <label className="checkbox-label">
+                      <input
+                        type="radio"
+                        name="recurrence-end"
+                        checked={recurrence.endType === 'count'}
+                        onChange={() => handleRecurrenceChange({ endType: 'count' })}
+                        disabled={isSubmitting}
+                      />
+                      <span className="checkmark"></span>
+                      <span className="checkbox-text">{t('form.endsAfterCount')}</span>
+                    </label>
+                  </div>
+
+                  {recurrence.endType === 'until' ? (
+                    <DatePicker
+                      labelId="recurrence-until-label"
+                      selectedDate={recurrence.until}
+                      onDateChange={(until) => handleRecurrenceChange({ until })}
+                      disabled={isSubmitting}
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      aria-label={t('form.repeatCount')}
+                      value={recurrence.count}
+                      onChange={(e) => handleRecurrenceChange({ count: e.target.value })}
+                      min="2"
+                      max={MAX_REPEAT_COUNT}
+                      step="1"
+                      className="form-input"
+                      placeholder={t('form.repeatCountPlaceholder', { max: MAX_REPEAT_COUNT })}
+                      disabled={isSubmitting}
+                    />
+                  )}
+
+                  {!formData.date && (
+                    <p className="recurrence-hint">{t('form.pickFirstDate')}</p>
+                  )}
+
+                  {rrule && (
+                    <>
+                      <p className="recurrence-summary">{describeRecurrence({ rrule }, i18n)}</p>
+                      <p className="recurrence-hint">{t('form.skipHint')}</p>
+                      <div className="skip-dates" role="group" aria-label={t('form.skipDates')}>
+                        {skippableDates.map(date => (
+                          <button
+                            key={date}
+                            type="button"
+                            className={`skip-date ${recurrence.exdates.includes(date) ? 'skipped' : ''}`}
+                            aria-pressed={recurrence.exdates.includes(date)}
+                            onClick={() => toggleSkippedDate(date)}
+                            disabled={isSubmitting}
+                          >
+                            {formatDate(parseDateKey(date), { month: 'short', day: 'numeric' })}
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+              {errors.recurrence && (
+                <p className="error-message">{errors.recurrence}</p>
+              )}
+            </div>
+          </>
+        )}
+
+        {step === 'where' && (
+          <>
+            {/* Location Name Input Section - REQUIRED */}
+            <div className="form-section">
+              <label 
+                htmlFor="location" 
+                className="form-label"
+              >
+                {t('form.location')} <span className="required-indicator">*</span>
+              </label>
               <input
-                type="checkbox"
-                name="kids-yes"
-                checked={formData.kids === true}
-                onChange={() => handleKidsChange(true)}
+                type="text"
+                id="location"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                maxLength={200}
+                className="form-input"
+                placeholder={t('form.locationPlaceholder')}
                 disabled={isSubmitting}
               />
-              <span className="checkmark"></span>
-              <span className="checkbox-text">Yes</span>
-            </label>
-            <label className="checkbox-label">
+              {errors.location && (
+                <p className="error-message">{errors.location}</p>
+              )}
+              <p className="char-counter">
+                {t('form.characters', { count: formData.location.length, max: 200 })}
+              </p>
+            </div>
+
+            {/* Event Link Input Section - REQUIRED */}
+            <div className="form-section">
+              <label 
+                htmlFor="link" 
+                className="form-label"
+              >
+                {t('form.link')} <span className="required-indicator">*</span>
+              </label>
               <input
-                type="checkbox"
-                name="kids-no"
-                checked={formData.kids === false}
-                onChange={() => handleKidsChange(false)}
+                type="url"
+                id="link"
+                name="link"
+                value={formData.link}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="https://example.com/event"
                 disabled={isSubmitting}
               />
-              <span className="checkmark"></span>
-              <span className="checkbox-text">No</span>
-            </label>
-          </div>
-          {errors.kids && (
-            <p className="error-message">{errors.kids}</p>
-          )}
-        </div>
+              {errors.link && (
+                <p className="error-message">{errors.link}</p>
+              )}
+            </div>
+          </>
+        )}
 
-        {/* Event Description Input Section - OPTIONAL */}
-        <div className="form-section">
-          <label 
-            htmlFor="description" 
-            className="form-label"
-          >
-            Description (Optional)
-          </label>
-          <textarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleChange}
-            maxLength={500}
-            rows={4}
-            className="form-textarea"
-            placeholder="Briefly describe your event (max 500 characters)"
-            disabled={isSubmitting}
-          />
-          {errors.description && (
-            <p className="error-message">{errors.description}</p>
-          )}
-          <p className="char-counter">
-            {formData.description.length}/500 characters
-          </p>
-        </div>
-        
-        {/* Form Submission Section */}
+        {step === 'details' && (
+          <>
+            {/* Price Input Section - OPTIONAL */}
+            <div className="form-section">
+              <label 
+                htmlFor="price" 
+                className="form-label"
+              >
+                {t('form.price')}
+              </label>
+              <input
+                type="number"
+                id="price"
+                name="price"
+                value={formData.price}
+                onChange={handleChange}
+                min="0"
+                step="0.01"
+                className="form-input"
+                placeholder={t('form.pricePlaceholder')}
+                disabled={isSubmitting}
+              />
+              {errors.price && (
+                <p className="error-message">{errors.price}</p>
+              )}
+            </div>
+
+            {/* Kid-Friendly Section - OPTIONAL */}
+            <div className="form-section">
+              <label className="form-label">
+                {t('form.kids')}
+              </label>
+              <div className="kids-checkbox-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="kids-yes"
+                    checked={formData.kids === true}
+                    onChange={() => handleKidsChange(true)}
+                    disabled={isSubmitting}
+                  />
+                  <span className="checkmark"></span>
+                  <span className="checkbox-text">{t('common.yes')}</span>
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="kids-no"
+                    checked={formData.kids === false}
+                    onChange={() => handleKidsChange(false)}
+                    disabled={isSubmitting}
+                  />
+                  <span className="checkmark"></span>
+                  <span className="checkbox-text">{t('common.no')}</span>
+                </label>
+              </div>
+              {errors.kids && (
+                <p className="error-message">{errors.kids}</p>
+              )}
+            </div>
+
+            {/* Event Description Input Section - OPTIONAL */}
+            <div className="form-section">
+              <label 
+                htmlFor="description" 
+                className="form-label"
+              >
+                {t('form.description')}
+              </label>
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                maxLength={500}
+                rows={4}
+                className="form-textarea"
+                placeholder={t('form.descriptionPlaceholder')}
+                disabled={isSubmitting}
+              />
+              {errors.description && (
+                <p className="error-message">{errors.description}</p>
+              )}
+              <p className="char-counter">
+                {t('form.characters', { count: formData.description.length, max: 500 })}
+              </p>
+            </div>
+
+            {/* Flyer or Photo Upload Section - OPTIONAL */}
+            <div className="form-section">
+              <label 
+                htmlFor="image" 
+                className="form-label"
+              >
+                {t('form.image')}
+              </label>
+              <input
+                ref={imageInputRef}
+                type="file"
+                id="image"
+                name="image"
+                accept={ACCEPTED_IMAGE_TYPES.join(',')}
+                onChange={handleImageChange}
+                className="form-file-input"
+                disabled={isSubmitting || isPreparingImage}
+              />
+              <p className="image-hint">{t('form.imageHint', { max: MAX_IMAGE_BYTES / (1024 * 1024) })}</p>
+              {isPreparingImage && (
+                <p className="image-hint" role="status">{t('form.imagePreparing')}</p>
+              )}
+              {image && (
+                <div className="image-preview">
+                  <img src={image.dataUrl} alt={t('form.imagePreview')} />
+                  <button
+                    type="button"
+                    className="clear-optional-field"
+                    onClick={removeImage}
+                    disabled={isSubmitting}
+                  >
+                    {t('form.removeImage')}
+                  </button>
+                </div>
+              )}
+              {errors.image && (
+                <p className="error-message">{errors.image}</p>
+              )}
+            </div>
+          </>
+        )}
+
+        {step === 'review' && previewEvent && (
+          <>
+            <p className="review-intro">{t('form.reviewIntro')}</p>
+            <div className="review-previews">
+              {/* The event as the month grid's hover card shows it */}
+              <section className="review-preview" aria-labelledby="review-calendar-label">
+                <h4 id="review-calendar-label" className="review-preview-label">{t('form.previewCalendar')}</h4>
+                <div className="review-calendar-item" style={getCraftStyle(previewEvent.craft)}>
+                  <p className="review-calendar-name">{previewEvent.name}</p>
+                  <div className="review-calendar-popup">
+                    <EventDetails event={previewEvent} variant="popover" showActions={false} />
+                  </div>
+                </div>
+              </section>
+              {/* The event as the dialog on phones shows it */}
+              <section className="review-preview" aria-labelledby="review-mobile-label">
+                <h4 id="review-mobile-label" className="review-preview-label">{t('form.previewMobile')}</h4>
+                <div className="review-mobile-modal">
+                  <EventDetails event={previewEvent} variant="modal" showActions={false} />
+                </div>
+              </section>
+            </div>
+
+            {/* Likely duplicates of this event, shown instead of submitting */}
+            {duplicates.length > 0 && (
+              <section className="duplicate-warning" role="alert" aria-labelledby="duplicate-warning-title">
+                <h3 id="duplicate-warning-title" className="duplicate-warning-title">
+                  {t('duplicates.title')}
+                </h3>
+                <p className="duplicate-warning-text">{t('duplicates.text', { count: duplicates.length })}</p>
+                <ul className="duplicate-list">
+                  {duplicates.map(({ event }) => (
+                    <li key={event.id} className="duplicate-match">
+                      <EventDetails event={event} variant="modal" showActions={false} />
+                      <a href={getEventPath(event)} target="_blank" rel="noopener noreferrer">
+                        {t('duplicates.viewEvent')}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  type="button"
+                  className="duplicate-override-button"
+                  onClick={() => handleSubmit(true)}
+                  disabled={isSubmitting}
+                >
+                  {t('duplicates.differentEvent')}
+                </button>
+              </section>
+            )}
+          </>
+        )}
+
+        {/* Step Navigation and Submission Section */}
         <div className="button-container">
-          <button
-            onClick={handleSubmit}
-            className="submit-button"
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? 'Submitting...' : 'Submit'}
-          </button>
+          {previousStep && (
+            <button
+              type="button"
+              className="back-button"
+              onClick={() => goToStep(previousStep)}
+              disabled={isSubmitting}
+            >
+              {t('form.back')}
+            </button>
+          )}
+          {nextStep ? (
+            <button
+              type="button"
+              onClick={handleNext}
+              className="submit-button"
+              disabled={isPreparingImage}
+            >
+              {t('form.next')}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => handleSubmit()}
+              className="submit-button"
+              disabled={isSubmitting || isPreparingImage}
+            >
+              {isSubmitting ? t('form.submitting') : t('form.submit')}
+            </button>
+          )}
+          {isDraftSaved && (
+            <p className="draft-status" role="status">{t('drafts.saved')}</p>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,37 @@
+import { Star } from 'lucide-react';
+import useFavorites from '../hooks/useFavorites';
+import useI18n from '../hooks/useI18n';
+import './style/favoriteButton.css';
+
+/**
+ * FavoriteButton Component
+ *
+ * Star toggle that adds an event to, or removes it from, the user's
+ * "My events" list.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.event - Event to star
+ * @param {number} [props.size=16] - Icon size in pixels
+ * @returns {JSX.Element} The rendered toggle button
+ */
+export default function FavoriteButton({ event, size = 16 }) {
+  const { isFavorite, toggleFavorite } = useFavorites();
+  const { t } = useI18n();
+  const starred = isFavorite(event);
+
+  return (
+    <button
+      type="button"
+      className={`favorite-button ${starred ? 'starred' : ''}`}
+      aria-pressed={starred}
+      onClick={(e) => {
+        // Keep the click from also opening or closing the surrounding event
+        e.stopPropagation();
+        toggleFavorite(event);
+      }}
+    >
+      <Star size={size} aria-hidden="true" fill={starred ? 'currentColor' : 'none'} />
+      {starred ? t('favorites.saved') : t('favorites.save')}
+    </button>
+  );
+}
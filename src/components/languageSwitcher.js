@@ -0,0 +1,32 @@
+import { Languages } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../i18n/i18n';
+import './style/languageSwitcher.css';
+
+/**
+ * LanguageSwitcher Component
+ *
+ * Dropdown for the language of the whole app. Each language is listed by
+ * its own name so people can find theirs whatever is showing now.
+ *
+ * @returns {JSX.Element} The rendered language select
+ */
+export default function LanguageSwitcher() {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <div className="language-switcher">
+      <Languages size={16} aria-hidden="true" />
+      <select
+        className="language-select"
+        aria-label={t('language.label')}
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+      >
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
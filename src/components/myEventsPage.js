@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router';
+import { Star, AlertCircle } from 'lucide-react';
+import { getEvents } from '../api/eventsClient';
+import { getTodayKey, parseDateKey } from '../utils/dateTime';
+import { getFavoriteEntries } from '../utils/favorites';
+import { expandRecurringEvents } from '../utils/recurrence';
+import { getEventPath } from '../utils/routes';
+import useFavorites from '../hooks/useFavorites';
+import useI18n from '../hooks/useI18n';
+import './style/myEventsPage.css';
+
+/**
+ * MyEventsPage Component
+ *
+ * The user's starred events, reached through /my-events. Only upcoming
+ * events are listed, in date order. Each one is checked against the current
+ * feed so the user can see when an event they planned to attend was
+ * removed or moved to a different time.
+ *
+ * @returns {JSX.Element} The rendered list of starred events
+ */
+export default function MyEventsPage() {
+  const { favorites, removeFavorite } = useFavorites();
+  const { t, formatDate, formatTime } = useI18n();
+  // Current feed events; null until loaded, or if loading failed
+  const [feedEvents, setFeedEvents] = useState(null);
+  // 'loading' | 'loaded' | 'error'
+  const [status, setStatus] = useState('loading');
+
+  /**
+   * Effect to load the feed once for comparison with the starred snapshots
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    getEvents()
+      .then(({ events }) => {
+        if (cancelled) return;
+        setFeedEvents(events);
+        setStatus('loaded');
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Error loading saved events:', error);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const todayKey = getTodayKey();
+  // Starred occurrences of recurring events are matched against the expanded feed
+  const lastStarredKey = Object.values(favorites)
+    .map(({ event }) => event.date)
+    .reduce((last, dateKey) => (dateKey > last ? dateKey : last), todayKey);
+  const entries = status === 'loading'
+    ? []
+    : getFavoriteEntries(
+      favorites,
+      feedEvents && expandRecurringEvents(feedEvents, todayKey, lastStarredKey),
+      todayKey
+    );
+
+  return (
+    <div className="my-events-container">
+      <h1 className="my-events-title">{t('myEvents.title')}</h1>
+
+      {status === 'loading' && <p className="my-events-status">{t('myEvents.loading')}</p>}
+
+      {status === 'error' && (
+        <p className="my-events-status" role="status">
+          {t('myEvents.error')}
+        </p>
+      )}
+
+      {status !== 'loading' && entries.length === 0 && (
+        <p className="my-events-status">
+          {t('myEvents.emptyBefore')}
+          <Link to="/calendar">{t('myEvents.emptyLink')}</Link>
+          {t('myEvents.emptyAfter')}
+        </p>
+      )}
+
+      {entries.length > 0 && (
+        <ul className="my-events-list">
+          {entries.map(({ id, event, status: entryStatus, previousTime }) => (
+            <li key={id} className={`my-events-item ${entryStatus}`}>
+              <div className="my-events-details">
+                {entryStatus === 'removed' ? (
+                  <span className="my-events-name">{event.name}</span>
+                ) : (
+                  <Link to={getEventPath(event)} className="my-events-name">{event.name}</Link>
+                )}
+                <span className="my-events-when">
+                  {formatDate(parseDateKey(event.date), {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric'
+                  })}
+                  {event.time ? t('myEvents.atTime', { time: formatTime(event.time) }) : t('myEvents.allDay')}
+                </span>
+                {(event.business || event.location_name) && (
+                  <span className="my-events-meta">
+                    {[event.business, event.location_name].filter(Boolean).join(' · ')}
+                  </span>
+                )}
+                {entryStatus === 'removed' && (
+                  <span className="my-events-flag">
+                    <AlertCircle size={14} aria-hidden="true" />
+                    {t('myEvents.removed')}
+                  </span>
+                )}
+                {entryStatus === 'time-changed' && (
+                  <span className="my-events-flag">
+                    <AlertCircle size={14} aria-hidden="true" />
+                    {t('myEvents.timeChanged', {
+                      from: previousTime ? formatTime(previousTime) : t('myEvents.allDayLower'),
+                      to: event.time ? formatTime(event.time) : t('myEvents.allDayLower')
+                    })}
+                  </span>
+                )}
+              </div>
+              <button
+                type="button"
+                className="my-events-remove"
+                onClick={() => removeFavorite(id)}
+                aria-label={t('myEvents.removeLabel', { name: event.name })}
+              >
+                <Star size={16} aria-hidden="true" fill="currentColor" />
+                {t('myEvents.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router';
+import useI18n from '../hooks/useI18n';
+import LanguageSwitcher from './languageSwitcher';
 import './style/navigationTabs.css';
 
 /**
@@ -10,50 +11,58 @@ import './style/navigationTabs.css';
  * synchronization between the current URL and active tab highlighting.
  * 
  * Features:
- * - Three main navigation tabs: About, Calendar, Submit Event
- * - Automatic active tab detection based on current route
+ * - Four main navigation tabs: About, Calendar, My Events, Submit Event
+ * - Automatic active tab detection based on current route, kept in sync
+ *   when the route changes from outside the tabs (links, back/forward)
  * - Click handlers for programmatic navigation
  * - Visual feedback for the currently active tab
+ * - Language switcher beside the tabs
  * 
  * @returns {JSX.Element} The rendered navigation tab interface
  */
 export default function NavigationTabs() {
   const navigate = useNavigate();
   const location = useLocation();
+  const { t } = useI18n();
   
   /**
    * Determines which tab should be active based on the current URL path.
    * Uses route pattern matching to identify the appropriate tab.
+   * Calendar months (/calendar/:year/:month) and event pages (/events/:id)
+   * both belong to the Calendar tab.
    * 
-   * @returns {string} The active tab identifier ('about', 'calendar', or 'submit-event')
+   * The admin pages have no tab, so none is highlighted there.
+   * 
+   * @returns {string|null} The active tab identifier ('about', 'calendar', 'my-events', or 'submit-event')
    */
   const getActiveTab = () => {
     const path = location.pathname;
     
-    if (path.includes('/calendar')) {
+    if (path.includes('/calendar') || path.startsWith('/events/')) {
       return 'calendar';
+    } else if (path.startsWith('/my-events')) {
+      return 'my-events';
     } else if (path.includes('/submit-event')) {
       return 'submit-event';
+    } else if (path.startsWith('/admin')) {
+      return null;
     } else {
       // Default to 'about' for root path or unknown routes
       return 'about';
     }
   };
   
-  // State to track the currently active tab for visual highlighting
-  const [activeTab, setActiveTab] = useState(getActiveTab());
+  // Currently active tab for visual highlighting, derived from the route
+  const activeTab = getActiveTab();
   
   /**
-   * Handles tab click events by updating local state and navigating to the
-   * corresponding route. Provides both visual feedback and URL synchronization.
+   * Handles tab click events by navigating to the corresponding route.
+   * The active tab follows from the new location.
    * 
    * @param {string} tab - The identifier of the clicked tab
-   *                      ('about', 'calendar', or 'submit-event')
+   *                      ('about', 'calendar', 'my-events', or 'submit-event')
    */
   const handleTabClick = (tab) => {
-    // Update active tab state for immediate visual feedback
-    setActiveTab(tab);
-    
     switch (tab) {
       case 'about':
         navigate('/about');
@@ -61,6 +70,9 @@ export default function NavigationTabs() {
       case 'calendar':
         navigate('/calendar');
         break;
+      case 'my-events':
+        navigate('/my-events');
+        break;
       case 'submit-event':
         navigate('/submit-event');
         break;
@@ -79,9 +91,9 @@ export default function NavigationTabs() {
           onClick={() => handleTabClick('about')}
           role="button"
           tabIndex={0}
-          aria-label="Navigate to About page"
+          aria-label={t('nav.goTo', { page: t('nav.about') })}
         >
-          About
+          {t('nav.about')}
         </div>
         
         <div 
@@ -89,9 +101,19 @@ export default function NavigationTabs() {
           onClick={() => handleTabClick('calendar')}
           role="button"
           tabIndex={0}
-          aria-label="Navigate to Calendar page"
+          aria-label={t('nav.goTo', { page: t('nav.calendar') })}
+        >
+          {t('nav.calendar')}
+        </div>
+        
+        <div 
+          className={`nav-tab ${activeTab === 'my-events' ? 'active' : ''}`}
+          onClick={() => handleTabClick('my-events')}
+          role="button"
+          tabIndex={0}
+          aria-label={t('nav.goTo', { page: t('nav.myEvents') })}
         >
-          Calendar
+          {t('nav.myEvents')}
         </div>
         
         <div 
@@ -99,11 +121,13 @@ export default function NavigationTabs() {
           onClick={() => handleTabClick('submit-event')}
           role="button"
           tabIndex={0}
-          aria-label="Navigate to Submit Event page"
+          aria-label={t('nav.goTo', { page: t('nav.submitEvent') })}
         >
-          Submit Event
+          {t('nav.submitEvent')}
         </div>
       </div>
+
+      <LanguageSwitcher />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import useAdminAuth from '../hooks/useAdminAuth';
+import useI18n from '../hooks/useI18n';
+import './style/requireAdmin.css';
+
+/**
+ * RequireAdmin Component
+ *
+ * Guards the admin pages. Until a moderator is signed in it shows a sign-in
+ * form instead of its children. Signing in goes through the current token
+ * provider (see auth/tokenProvider), so the same form works for issued
+ * access tokens and for a local stand-in backend.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The protected page
+ * @returns {JSX.Element} The protected page, or the sign-in form
+ */
+export default function RequireAdmin({ children }) {
+  const { status, signIn } = useAdminAuth();
+  const { t } = useI18n();
+  const [token, setToken] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await signIn({ token });
+      setToken('');
+    } catch {
+      setError(t('admin.signInError'));
+    }
+  };
+
+  if (status === 'checking') {
+    return <div className="admin-sign-in"><p>{t('admin.checking')}</p></div>;
+  }
+
+  if (status === 'signed-in') {
+    return children;
+  }
+
+  return (
+    <div className="admin-sign-in">
+      <h1 className="admin-sign-in-title">{t('admin.signInTitle')}</h1>
+      <p>{t('admin.signInText')}</p>
+      <form onSubmit={handleSubmit} noValidate>
+        <label htmlFor="admin-token" className="admin-sign-in-label">{t('admin.token')}</label>
+        <input
+          id="admin-token"
+          type="password"
+          autoComplete="current-password"
+          className="admin-sign-in-input"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? 'admin-token-error' : undefined}
+        />
+        {error && <p id="admin-token-error" className="admin-sign-in-error" role="alert">{error}</p>}
+        <button type="submit" className="admin-sign-in-button">{t('admin.signIn')}</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import './style/submissionEditor.css';
+
+// Fields moderators can correct before publishing, with their input types
+const EDITABLE_FIELDS = [
+  { name: 'name', label: 'form.name', type: 'text' },
+  { name: 'organization', label: 'form.organization', type: 'text' },
+  { name: 'location', label: 'form.location', type: 'text' },
+  { name: 'link', label: 'form.link', type: 'url' },
+  { name: 'date', label: 'form.date', type: 'date' },
+  { name: 'time', label: 'form.time', type: 'time' },
+  { name: 'end_time', label: 'form.endTime', type: 'time' },
+  { name: 'price', label: 'form.price', type: 'number' },
+  { name: 'description', label: 'form.description', type: 'textarea' }
+];
+
+/**
+ * Copies a submission's fields into form values, using empty strings for
+ * missing ones so every input stays controlled.
+ *
+ * @param {Object} fields - Submitted fields
+ * @returns {Object<string, string>} Form values keyed by field name
+ */
+const toFormValues = (fields) =>
+  Object.fromEntries(EDITABLE_FIELDS.map(({ name }) => [
+    name,
+    fields[name] === null || fields[name] === undefined ? '' : String(fields[name])
+  ]));
+
+/**
+ * SubmissionEditor Component
+ *
+ * Inline form in the moderation queue for correcting a submission before it
+ * is published, e.g. fixing a typo in the name or a wrong start time. Only
+ * the fields the moderator actually changed are handed to onSave.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.submission - Submission from getPendingSubmissions
+ * @param {Function} props.onSave - Called with the changed fields when the form is saved
+ * @param {Function} props.onCancel - Called when editing is abandoned
+ * @param {boolean} [props.saving=false] - Whether the save is in progress
+ * @returns {JSX.Element} The rendered editor
+ */
+export default function SubmissionEditor({ submission, onSave, onCancel, saving = false }) {
+  const { t } = useI18n();
+  const initialValues = toFormValues(submission.fields);
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const idPrefix = `submission-${submission.id}`;
+
+  const handleChange = (name, value) => {
+    setValues(current => ({ ...current, [name]: value }));
+    if (errors[name]) setErrors(current => ({ ...current, [name]: '' }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!values.name.trim()) newErrors.name = t('form.errors.nameRequired');
+    if (!values.date) newErrors.date = t('form.errors.dateRequired');
+    if (values.price !== '' && (isNaN(parseFloat(values.price)) || parseFloat(values.price) < 0)) {
+      newErrors.price = t('form.errors.priceInvalid');
+    }
+    return newErrors;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const newErrors = validate();
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(({ name }) => {
+      if (values[name] === initialValues[name]) return;
+      if (name === 'price') {
+        changes.price = values.price === '' ? null : parseFloat(values.price);
+      } else {
+        changes[name] = values[name] === '' ? null : values[name].trim();
+      }
+    });
+    onSave(changes);
+  };
+
+  return (
+    <form className="submission-editor" onSubmit={handleSubmit} noValidate>
+      <div className="submission-editor-fields">
+        {EDITABLE_FIELDS.map(({ name, label, type }) => {
+          const id = `${idPrefix}-${name}`;
+          const inputProps = {
+            id,
+            value: values[name],
+            onChange: (e) => handleChange(name, e.target.value),
+            'aria-invalid': Boolean(errors[name]),
+            'aria-describedby': errors[name] ? `${id}-error` : undefined
+          };
+          return (
+            <div key={name} className={`submission-editor-field ${type === 'textarea' ? 'wide' : ''}`}>
+              <label htmlFor={id}>{t(label)}</label>
+              {type === 'textarea'
+                ? <textarea rows={4} {...inputProps} />
+                : <input type={type} min={type === 'number' ? 0 : undefined} step={type === 'number' ? '0.01' : undefined} {...inputProps} />}
+              {errors[name] && <span id={`${id}-error`} className="submission-editor-error">{errors[name]}</span>}
+            </div>
+          );
+        })}
+      </div>
+      <div className="submission-editor-actions">
+        <button type="submit" className="admin-button primary" disabled={saving}>
+          {t('admin.saveAndApprove')}
+        </button>
+        <button type="button" className="admin-button" onClick={onCancel} disabled={saving}>
+          {t('admin.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,109 +1,259 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback, useId, useMemo, useRef } from 'react';
+import { formatTime, parseTime } from '../utils/dateTime';
+import useOutsideClick from '../hooks/useOutsideClick';
+import useI18n from '../hooks/useI18n';
 import './style/timeSelector.css';
 
+// Every half hour of the day, as 24-hour values
+const TIME_VALUES = Array.from({ length: 48 }, (_, index) =>
+  `${String(Math.floor(index / 2)).padStart(2, '0')}:${index % 2 ? '30' : '00'}`
+);
+
+// 9:00 AM: where the list opens when no time is chosen yet
+const DEFAULT_OPTION_INDEX = 18;
+
+// Lowercased without spaces or dots, so "7:30p" lines up with "7:30 PM" and "7:30 p. m."
+const normalizeTypedTime = (text) => text.toLowerCase().replace(/[\s.]/g, '');
+
+/**
+ * Finds the option that matches what has been typed so far: the exact time
+ * once it parses ("7p", "19:30"), otherwise the first option it starts
+ * ("7" or "7:3" -> 7:00 AM or 7:30 AM).
+ *
+ * @param {string} text - Typed text
+ * @param {{value: string, label: string}[]} options - The listed times
+ * @returns {number} Index into options, or -1 when nothing matches
+ */
+const findOptionIndex = (text, options) => {
+  const time = parseTime(text);
+  const exactIndex = time ? options.findIndex(option => option.value === time) : -1;
+  if (exactIndex !== -1) return exactIndex;
+  const typed = normalizeTypedTime(text);
+  return typed ? options.findIndex(option => normalizeTypedTime(option.label).startsWith(typed)) : -1;
+};
+
 /**
- * TimeSelector - A dropdown time picker component
- * 
- * Displays a clickable time input that opens a dropdown with 12-hour format time options.
- * Supports AM/PM selection with 30-minute intervals (1:00, 1:30, 2:00, etc.).
- * 
+ * TimeSelector - A time combobox
+ *
+ * A text field where a time can be typed in 12- or 24-hour format ("7:30p",
+ * "7:30 PM", "19:30"), with a dropdown listing every half hour in 12-hour
+ * format. Follows the WAI-ARIA editable combobox pattern: the arrow keys
+ * move through the list, which follows what is typed, Enter picks the
+ * highlighted time, and Escape or a click outside closes the list. Typed
+ * times are accepted when the field loses focus or on Enter. Times are
+ * shown with the current language's AM/PM labels, but always reported in
+ * English ("2:30 PM").
+ *
  * @example
  * const [time, setTime] = useState('');
- * <TimeSelector selectedTime={time} onTimeChange={setTime} />
- * 
+ * <label htmlFor="time">Time</label>
+ * <TimeSelector id="time" selectedTime={time} onTimeChange={setTime} />
+ *
  * @param {Object} props - Component props
  * @param {string} props.selectedTime - Currently selected time (e.g., "2:30 PM")
- * @param {Function} props.onTimeChange - Callback when time changes, receives new time string
+ * @param {Function} props.onTimeChange - Callback when time changes, receives the new time
+ *                                        as e.g. "2:30 PM", or an empty string when the field
+ *                                        is cleared or holds something that is not a time
+ * @param {string} [props.placeholder] - Text shown until a time is selected; "Select Time" by default
+ * @param {string} [props.id] - Id of the text field, for a label's htmlFor
+ * @param {boolean} [props.disabled=false] - Whether the field can be edited
  * @returns {JSX.Element} The rendered component
  */
-export default function TimeSelector({ selectedTime, onTimeChange }) {
+export default function TimeSelector({ selectedTime, onTimeChange, placeholder, id, disabled = false }) {
+  const { t, formatTime: formatTimeLabel } = useI18n();
+  const options = useMemo(
+    () => TIME_VALUES.map(value => ({ value, label: formatTimeLabel(value) })),
+    [formatTimeLabel]
+  );
+  const selectedValue = parseTime(selectedTime);
+
+  const [inputText, setInputText] = useState(() => (selectedValue ? formatTimeLabel(selectedValue) : selectedTime || ''));
   const [showTimeOptions, setShowTimeOptions] = useState(false);
-  const [timeFormat, setTimeFormat] = useState('AM');
-  
+  // Index of the highlighted option, or -1 for none
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Set when the typed text could not be read as a time
+  const [isInvalid, setIsInvalid] = useState(false);
+
+  const wrapperRef = useRef(null);
+  const listRef = useRef(null);
+  const baseId = useId();
+  const inputId = id || `${baseId}-input`;
+  const listboxId = `${baseId}-listbox`;
+  const hintId = `${baseId}-hint`;
+  const getOptionId = (index) => `${baseId}-option-${index}`;
+
+  /**
+   * Effect to follow the parent's value, e.g. when the form clears the field,
+   * without overwriting what the user typed for the same time
+   */
+  useEffect(() => {
+    const time = parseTime(selectedTime);
+    setInputText(text => {
+      if (parseTime(text) === time) return text;
+      return time ? formatTimeLabel(time) : selectedTime || '';
+    });
+    if (selectedTime) setIsInvalid(false);
+  }, [selectedTime, formatTimeLabel]);
+
   /**
-   * Create time options from 1:00 to 12:30 in 30-minute intervals
-   * @returns {string[]} Array of time strings like ["1:00", "1:30", "2:00", ...]
+   * Effect to keep the highlighted option in view
    */
-  const generateTimeOptions = () => {
-    const options = [];
-    
-    for (let hour = 1; hour <= 12; hour++) {
-      options.push(`${hour}:00`);
-      options.push(`${hour}:30`);
+  useEffect(() => {
+    if (!showTimeOptions || !listRef.current) return;
+    const option = listRef.current.children[activeIndex === -1 ? DEFAULT_OPTION_INDEX : activeIndex];
+    if (!option) return;
+    if (activeIndex === -1) {
+      listRef.current.scrollTop = option.offsetTop;
+    } else if (option.scrollIntoView) {
+      option.scrollIntoView({ block: 'nearest' });
     }
-    
-    return options;
+  }, [showTimeOptions, activeIndex]);
+
+  const closeOptions = useCallback(() => setShowTimeOptions(false), []);
+  useOutsideClick(wrapperRef, closeOptions, showTimeOptions);
+
+  /**
+   * Opens the dropdown on the option matching the current text
+   */
+  const openOptions = () => {
+    setActiveIndex(findOptionIndex(inputText, options));
+    setShowTimeOptions(true);
   };
-  
-  const timeOptions = generateTimeOptions();
-  
+
   /**
    * Handle time selection from dropdown
-   * Combines selected time with current AM/PM format and closes dropdown
+   * Fills in the field with the chosen time and closes dropdown
    */
-  const handleTimeSelection = (time) => {
-    const formattedTime = `${time} ${timeFormat}`;
-    onTimeChange(formattedTime);
+  const handleTimeSelection = (index) => {
+    const { value, label } = options[index];
+    setInputText(label);
+    setIsInvalid(false);
+    onTimeChange(formatTime(value));
     setShowTimeOptions(false);
   };
-  
+
   /**
-   * Toggle between AM and PM format
-   * Note: Currently unused in the component
+   * Accepts the typed text: valid times are passed on in 12-hour format,
+   * anything else clears the selected time and flags the field
    */
-   /**
-  const toggleTimeFormat = () => {
-    setTimeFormat(timeFormat === 'AM' ? 'PM' : 'AM');
+  const commitTypedTime = () => {
+    const time = parseTime(inputText);
+    if (time) {
+      setInputText(formatTimeLabel(time));
+      setIsInvalid(false);
+      if (formatTime(time) !== selectedTime) onTimeChange(formatTime(time));
+    } else {
+      setIsInvalid(inputText.trim() !== '');
+      if (selectedTime) onTimeChange('');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setInputText(e.target.value);
+    setIsInvalid(false);
+    setActiveIndex(findOptionIndex(e.target.value, options));
+    setShowTimeOptions(true);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        if (!showTimeOptions) {
+          openOptions();
+          return;
+        }
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(index => (index === -1
+          ? DEFAULT_OPTION_INDEX
+          : Math.min(Math.max(index + step, 0), options.length - 1)));
+        return;
+      }
+      case 'Enter':
+        e.preventDefault();
+        if (showTimeOptions && activeIndex !== -1) {
+          handleTimeSelection(activeIndex);
+        } else {
+          commitTypedTime();
+          setShowTimeOptions(false);
+        }
+        return;
+      case 'Escape':
+        if (showTimeOptions) {
+          e.preventDefault();
+          e.stopPropagation();
+          setShowTimeOptions(false);
+        }
+        return;
+      default:
+        break;
+    }
+  };
+
+  const handleBlur = () => {
+    commitTypedTime();
+    setShowTimeOptions(false);
   };
-  */
-  
-  // Display selected time or placeholder text
-  const displayTime = selectedTime || 'Select Time';
-  
+
   return (
-    <div className="timeselector-wrapper">
-      {/* Clickable time display - opens/closes dropdown */}
-      <div 
-        className="time-input-container"
-        onClick={() => setShowTimeOptions(!showTimeOptions)}
-      >
-        <span className="time-input-text">{displayTime}</span>
-        <span className="time-input-icon">🕒</span>
+    <div className="timeselector-wrapper" ref={wrapperRef}>
+      {/* Time field - type a time or open the dropdown */}
+      <div className={`time-input-container ${isInvalid ? 'invalid' : ''}`}>
+        <input
+          type="text"
+          id={inputId}
+          className="time-input-text"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showTimeOptions}
+          aria-controls={listboxId}
+          aria-activedescendant={showTimeOptions && activeIndex !== -1 ? getOptionId(activeIndex) : undefined}
+          aria-invalid={isInvalid || undefined}
+          aria-describedby={isInvalid ? hintId : undefined}
+          autoComplete="off"
+          placeholder={placeholder || t('timeSelector.placeholder')}
+          value={inputText}
+          onChange={handleInputChange}
+          onClick={() => (showTimeOptions ? setShowTimeOptions(false) : openOptions())}
+          onKeyDown={handleKeyDown}
+          onBlur={handleBlur}
+          disabled={disabled}
+        />
+        <span className="time-input-icon" aria-hidden="true">🕒</span>
       </div>
-      
-      {/* Dropdown time selector */}
+
+      {isInvalid && (
+        <p id={hintId} className="time-input-hint">{t('timeSelector.invalid')}</p>
+      )}
+
+      {/* Dropdown list of times */}
       {showTimeOptions && (
         <div className="time-selector-container">
-          {/* AM/PM toggle buttons */}
-          <div className="time-selector-header">
-            <button 
-              className={`format-toggle ${timeFormat === 'AM' ? 'active' : ''}`}
-              onClick={() => setTimeFormat('AM')}
-            >
-              AM
-            </button>
-            <button 
-              className={`format-toggle ${timeFormat === 'PM' ? 'active' : ''}`}
-              onClick={() => setTimeFormat('PM')}
-            >
-              PM
-            </button>
-          </div>
-          
-          {/* Scrollable list of time options */}
-          <div className="time-options-container">
-            {timeOptions.map((time) => (
-              <div 
-                key={time}
-                className={`time-option ${selectedTime === `${time} ${timeFormat}` ? 'selected-time' : ''}`}
-                onClick={() => handleTimeSelection(time)}
+          <ul
+            ref={listRef}
+            id={listboxId}
+            className="time-options-container"
+            role="listbox"
+            aria-label={t('timeSelector.options')}
+          >
+            {options.map(({ value, label }, index) => (
+              <li
+                key={value}
+                id={getOptionId(index)}
+                role="option"
+                aria-selected={selectedValue === value}
+                className={`time-option ${selectedValue === value ? 'selected-time' : ''} ${activeIndex === index ? 'active-option' : ''}`}
+                // Keep focus in the field so picking an option doesn't count as leaving it
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleTimeSelection(index)}
               >
-                {time}
-              </div>
+                {label}
+              </li>
             ))}
-          </div>
+          </ul>
         </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getTokenProvider } from '../auth/tokenProvider';
+
+/**
+ * useAdminAuth Hook
+ *
+ * Moderator sign-in state, backed by the current token provider. Every
+ * hook instance follows the provider, so signing out anywhere (including
+ * a request rejected with 401) returns the admin pages to the sign-in form.
+ *
+ * @returns {{
+ *   status: string,
+ *   signIn: Function,
+ *   signOut: Function
+ * }} 'checking', 'signed-in' or 'signed-out', and functions to change it
+ */
+export default function useAdminAuth() {
+  const [status, setStatus] = useState('checking');
+
+  useEffect(() => {
+    const provider = getTokenProvider();
+    let cancelled = false;
+    const check = () => {
+      provider.getToken()
+        .then((token) => {
+          if (!cancelled) setStatus(token ? 'signed-in' : 'signed-out');
+        })
+        .catch(() => {
+          if (!cancelled) setStatus('signed-out');
+        });
+    };
+
+    check();
+    const unsubscribe = provider.subscribe(check);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  /**
+   * Signs in with the given credentials; the status follows once the
+   * provider has the token.
+   * @param {Object} credentials - Provider-specific credentials, e.g. `{ token }`
+   * @returns {Promise<void>} Rejects when the credentials are unusable
+   */
+  const signIn = useCallback((credentials) => getTokenProvider().signIn(credentials), []);
+
+  /**
+   * Signs out and forgets the token.
+   */
+  const signOut = useCallback(() => getTokenProvider().signOut(), []);
+
+  return { status, signIn, signOut };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import useI18n from './useI18n';
+
+const STORAGE_KEY = 'dc-craft-events:calendar-settings';
+// Fired on window whenever this tab changes the settings
+const CHANGE_EVENT = 'calendarsettingschange';
+
+export const DEFAULT_CALENDAR_SETTINGS = {
+  // 'locale' follows the language's custom; 'sunday' or 'monday' overrides it
+  weekStart: 'locale',
+  showWeekNumbers: false
+};
+
+const WEEK_STARTS = { sunday: 0, monday: 1 };
+
+/**
+ * Reads the calendar settings from localStorage.
+ *
+ * @returns {{weekStart: string, showWeekNumbers: boolean}} The saved settings, over the defaults
+ */
+const readSettings = () => {
+  try {
+    return { ...DEFAULT_CALENDAR_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_CALENDAR_SETTINGS;
+  }
+};
+
+/**
+ * useCalendarSettings Hook
+ *
+ * How calendar grids are laid out: the first day of the week and whether
+ * ISO week numbers are shown. Persisted in localStorage and kept in sync
+ * across every grid, including ones in other tabs.
+ *
+ * @example
+ * const { weekStartsOn, settings } = useCalendarSettings();
+ * const weekStart = startOfWeek(date, weekStartsOn);
+ *
+ * @returns {{
+ *   settings: {weekStart: string, showWeekNumbers: boolean},
+ *   weekStartsOn: number,
+ *   updateSettings: Function
+ * }} The settings, the resolved first day of the week (0 Sunday, 1 Monday) and a setter
+ */
+export default function useCalendarSettings() {
+  const { weekStartsOn: localeWeekStartsOn } = useI18n();
+  const [settings, setSettings] = useState(readSettings);
+
+  useEffect(() => {
+    const handleChange = () => setSettings(readSettings());
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) handleChange();
+    };
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  /**
+   * Saves changes to the settings and notifies every mounted hook.
+   * @param {Object} changes - Settings to update
+   */
+  const updateSettings = useCallback((changes) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readSettings(), ...changes }));
+    } catch {
+      // Storage may be full or disabled; apply the change to this hook only
+      setSettings(current => ({ ...current, ...changes }));
+      return;
+    }
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+  }, []);
+
+  const weekStartsOn = settings.weekStart in WEEK_STARTS ? WEEK_STARTS[settings.weekStart] : localeWeekStartsOn;
+
+  return { settings, weekStartsOn, updateSettings };
+}
@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getEventId } from '../utils/eventIdentity';
+
+const STORAGE_KEY = 'dc-craft-events:favorites';
+// Fired on window whenever this tab changes the favorites
+const CHANGE_EVENT = 'favoriteschange';
+
+/**
+ * Reads the starred events from localStorage.
+ *
+ * @returns {Object<string, {event: Object, starredAt: string}>} Favorites keyed by event id
+ */
+const readFavorites = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persists the favorites and notifies every mounted useFavorites hook.
+ *
+ * @param {Object<string, {event: Object, starredAt: string}>} favorites - Favorites keyed by event id
+ */
+const writeFavorites = (favorites) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+  } catch {
+    // Storage may be full or disabled; the in-memory state still updates
+  }
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+/**
+ * Copies the parts of an event worth remembering. The snapshot lets the
+ * "My events" page show starred events that have since left the feed, and
+ * notice when their time changes.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {Object} Serializable copy of the event
+ */
+const snapshotEvent = (event) => {
+  const { start, ...fields } = event;
+  return fields;
+};
+
+/**
+ * useFavorites Hook
+ *
+ * Starred ("My events") list persisted in localStorage. Events have no id in
+ * the feed, so they are keyed by getEventId. All hook instances, including
+ * ones in other tabs, stay in sync.
+ *
+ * @returns {{
+ *   favorites: Object<string, {event: Object, starredAt: string}>,
+ *   isFavorite: Function,
+ *   toggleFavorite: Function,
+ *   removeFavorite: Function
+ * }} The favorites and functions to change them
+ */
+export default function useFavorites() {
+  const [favorites, setFavorites] = useState(readFavorites);
+
+  useEffect(() => {
+    const handleChange = () => setFavorites(readFavorites());
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) handleChange();
+    };
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  /**
+   * Checks whether an event is starred.
+   * @param {Object} event - Event from the calendar feed
+   * @returns {boolean} True if starred
+   */
+  const isFavorite = useCallback(
+    (event) => Boolean(favorites[getEventId(event)]),
+    [favorites]
+  );
+
+  /**
+   * Stars an event, or unstars it if it is already starred.
+   * @param {Object} event - Event from the calendar feed
+   */
+  const toggleFavorite = useCallback((event) => {
+    const current = readFavorites();
+    const id = getEventId(event);
+    if (current[id]) {
+      delete current[id];
+    } else {
+      current[id] = { event: snapshotEvent(event), starredAt: new Date().toISOString() };
+    }
+    writeFavorites(current);
+  }, []);
+
+  /**
+   * Unstars an event by id, e.g. one that is no longer in the feed.
+   * @param {string} id - Event id
+   */
+  const removeFavorite = useCallback((id) => {
+    const current = readFavorites();
+    delete current[id];
+    writeFavorites(current);
+  }, []);
+
+  return { favorites, isFavorite, toggleFavorite, removeFavorite };
+}
@@ -0,0 +1,18 @@
+import { useContext } from 'react';
+import { I18nContext } from '../i18n/i18nContext';
+
+/**
+ * useI18n Hook
+ *
+ * Translation and formatting for the language chosen in the language
+ * switcher.
+ *
+ * @example
+ * const { t, formatDate } = useI18n();
+ * <h1>{t('myEvents.title')}</h1>
+ *
+ * @returns {Object} The helpers from createI18n, plus setLocale to switch languages
+ */
+export default function useI18n() {
+  return useContext(I18nContext);
+}
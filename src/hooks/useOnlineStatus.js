@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useOnlineStatus Hook
+ *
+ * Tracks the browser's online/offline state through the `online` and
+ * `offline` window events.
+ *
+ * @returns {boolean} True while the browser reports a network connection
+ */
+export default function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
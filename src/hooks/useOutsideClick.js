@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+
+/**
+ * useOutsideClick Hook
+ *
+ * Calls a handler when the user presses the mouse or touches the screen
+ * outside an element, e.g. to dismiss a popup.
+ *
+ * @param {Object} ref - Ref of the element that clicks are measured against
+ * @param {Function} onOutsideClick - Called with the pointer event
+ * @param {boolean} [enabled=true] - Whether to listen, e.g. only while a popup is open
+ */
+export default function useOutsideClick(ref, onOutsideClick, enabled = true) {
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handlePointerDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onOutsideClick(e);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('touchstart', handlePointerDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('touchstart', handlePointerDown);
+    };
+  }, [ref, onOutsideClick, enabled]);
+}
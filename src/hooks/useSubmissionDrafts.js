@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { selectRecentDrafts } from '../utils/drafts';
+
+const STORAGE_KEY = 'dc-craft-events:drafts';
+// Fired on window whenever this tab changes the drafts
+const CHANGE_EVENT = 'draftschange';
+
+/**
+ * Reads the saved drafts from localStorage.
+ *
+ * @returns {Object<string, {id: string, formData: Object, recurrence: Object, savedAt: string}>} Drafts keyed by id
+ */
+const readDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persists the drafts and notifies every mounted useSubmissionDrafts hook.
+ *
+ * @param {Object<string, Object>} drafts - Drafts keyed by id
+ */
+const writeDrafts = (drafts) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+  } catch {
+    // Storage may be full or disabled; the form keeps its values until the page closes
+  }
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+/**
+ * useSubmissionDrafts Hook
+ *
+ * Unfinished event submissions saved in localStorage. Only the newest few
+ * drafts are kept (see utils/drafts). All hook instances, including ones in
+ * other tabs, stay in sync.
+ *
+ * @returns {{
+ *   drafts: {id: string, formData: Object, recurrence: Object, savedAt: string}[],
+ *   saveDraft: Function,
+ *   removeDraft: Function
+ * }} The drafts, newest first, and functions to change them
+ */
+export default function useSubmissionDrafts() {
+  const [drafts, setDrafts] = useState(readDrafts);
+
+  useEffect(() => {
+    const handleChange = () => setDrafts(readDrafts());
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) handleChange();
+    };
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  /**
+   * Saves the form's values under a draft id, replacing that draft.
+   * @param {string} id - Draft id, see createDraftId
+   * @param {{formData: Object, recurrence: Object}} values - Form values to keep
+   */
+  const saveDraft = useCallback((id, { formData, recurrence }) => {
+    const current = readDrafts();
+    current[id] = { id, formData, recurrence, savedAt: new Date().toISOString() };
+    writeDrafts(Object.fromEntries(selectRecentDrafts(Object.values(current)).map(draft => [draft.id, draft])));
+  }, []);
+
+  /**
+   * Deletes a draft, e.g. once its event was submitted.
+   * @param {string} id - Draft id
+   */
+  const removeDraft = useCallback((id) => {
+    const current = readDrafts();
+    if (!current[id]) return;
+    delete current[id];
+    writeDrafts(current);
+  }, []);
+
+  const draftList = useMemo(() => selectRecentDrafts(Object.values(drafts)), [drafts]);
+
+  return { drafts: draftList, saveDraft, removeDraft };
+}
@@ -0,0 +1,71 @@
+import { createI18n, getInitialLocale, saveLocale, LOCALES, LOCALE_STORAGE_KEY } from '../i18n';
+import en from '../messages/en';
+import { describeRecurrence } from '../../utils/recurrence';
+
+// Dotted paths of every message, treating plural forms and lists as one message
+const collectKeys = (messages, prefix = '') =>
+  Object.entries(messages).flatMap(([key, value]) => {
+    const path = `${prefix}${key}`;
+    const isBranch = value && typeof value === 'object' && !Array.isArray(value) && !('other' in value);
+    return isBranch ? collectKeys(value, `${path}.`) : [path];
+  });
+
+describe('createI18n', () => {
+  const english = createI18n('en');
+  const spanish = createI18n('es');
+
+  it('translates and interpolates messages', () => {
+    expect(english.t('nav.calendar')).toBe('Calendar');
+    expect(spanish.t('nav.calendar')).toBe('Calendario');
+    expect(english.t('myEvents.removeLabel', { name: 'Quilt night' })).toBe('Remove Quilt night from My events');
+  });
+
+  it('picks plural forms by count', () => {
+    expect(english.t('calendar.eventCount', { count: 1 })).toBe('1 event');
+    expect(english.t('calendar.eventCount', { count: 3 })).toBe('3 events');
+    expect(spanish.t('recurrence.count', { description: 'x', count: 1 })).toBe('x, 1 vez');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(createI18n('fr').t('nav.about')).toBe('About');
+    expect(english.t('nav.missing')).toBe('nav.missing');
+  });
+
+  it('formats times, durations and prices for the language', () => {
+    expect(english.formatTimeRange('18:00', '20:30')).toBe('6:00–8:30 PM');
+    expect(spanish.formatTime('09:15')).toBe('9:15 a. m.');
+    expect(spanish.formatHour(13)).toBe('1 p. m.');
+    expect(english.formatDuration(150)).toBe('2 hr 30 min');
+    expect(spanish.formatDuration(60)).toBe('1 h');
+    expect(english.formatCurrency(12.5)).toBe('$12.50');
+  });
+
+  it('describes recurrence in Spanish', () => {
+    expect(describeRecurrence({ rrule: 'FREQ=MONTHLY;BYDAY=-1SA;COUNT=6' }, spanish))
+      .toBe('Se repite cada mes el último sábado, 6 veces');
+  });
+});
+
+describe('message catalogs', () => {
+  it('translate every English message', () => {
+    const englishKeys = collectKeys(en);
+    Object.entries(LOCALES).forEach(([code, { messages }]) => {
+      expect({ code, keys: collectKeys(messages) }).toEqual({ code, keys: englishKeys });
+    });
+  });
+});
+
+describe('getInitialLocale', () => {
+  afterEach(() => localStorage.clear());
+
+  it('prefers the saved language', () => {
+    saveLocale('es');
+    expect(localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('es');
+    expect(getInitialLocale()).toBe('es');
+  });
+
+  it('ignores unknown saved languages', () => {
+    localStorage.setItem(LOCALE_STORAGE_KEY, 'xx');
+    expect(getInitialLocale()).toBe('en');
+  });
+});
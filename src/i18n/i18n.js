@@ -0,0 +1,164 @@
+/**
+ * Internationalization.
+ *
+ * UI text lives in one message catalog per language (./messages), looked up
+ * by dotted key, e.g. t('calendar.today'). Messages may contain {name}
+ * placeholders, and a message can be an object of plural forms keyed by
+ * Intl.PluralRules category ({ one, other }), picked by the count param.
+ * Keys missing from a catalog fall back to English.
+ *
+ * Dates and prices are formatted with Intl for the language. Times keep the
+ * 12-hour clock used for events in DC, with the language's AM/PM labels.
+ * Each language also has a customary first day of the week, which calendar
+ * grids use unless the viewer picks one (see useCalendarSettings).
+ */
+import en from './messages/en';
+import es from './messages/es';
+import { formatTime, formatTimeRange, MERIDIEMS } from '../utils/dateTime';
+
+export const LOCALES = {
+  en: { name: 'English', intlLocale: 'en-US', weekStartsOn: 0, messages: en },
+  es: { name: 'Español', intlLocale: 'es-US', weekStartsOn: 1, messages: es }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_STORAGE_KEY = 'dc-craft-events:locale';
+
+/**
+ * Finds a message by dotted key.
+ *
+ * @param {Object} messages - Message catalog
+ * @param {string} key - Dotted key, e.g. "form.errors.nameRequired"
+ * @returns {*} The message, or undefined when the catalog has none
+ */
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node === undefined || node === null ? undefined : node[part]), messages);
+
+/**
+ * Picks the language to start in: the saved choice, then the browser's
+ * preferred languages, then English.
+ *
+ * @returns {string} A key of LOCALES
+ */
+export const getInitialLocale = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch {
+    // Storage may be disabled; fall back to the browser's languages
+  }
+  const preferred = (navigator.languages || [navigator.language])
+    .filter(Boolean)
+    .map(language => language.slice(0, 2).toLowerCase())
+    .find(language => LOCALES[language]);
+  return preferred || DEFAULT_LOCALE;
+};
+
+/**
+ * Remembers the chosen language for later visits.
+ *
+ * @param {string} locale - A key of LOCALES
+ */
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch {
+    // Storage may be full or disabled; the choice still applies to this visit
+  }
+};
+
+/**
+ * Builds the translation and formatting functions for a language.
+ *
+ * @param {string} locale - A key of LOCALES; unknown languages get English
+ * @returns {{
+ *   locale: string,
+ *   intlLocale: string,
+ *   weekStartsOn: number,
+ *   t: Function,
+ *   formatDate: Function,
+ *   formatTime: Function,
+ *   formatTimeRange: Function,
+ *   formatHour: Function,
+ *   formatDuration: Function,
+ *   formatCurrency: Function
+ * }} The i18n helpers
+ */
+export const createI18n = (locale) => {
+  const code = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const { intlLocale, weekStartsOn, messages } = LOCALES[code];
+  const pluralRules = new Intl.PluralRules(intlLocale);
+  const currencyFormat = new Intl.NumberFormat(intlLocale, { style: 'currency', currency: 'USD' });
+
+  /**
+   * Translates a message.
+   *
+   * @param {string} key - Dotted message key
+   * @param {Object} [params] - Placeholder values; count also picks the plural form
+   * @returns {*} The message (a string, or a list such as weekday names), or the key when it is missing
+   */
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key);
+    if (message === undefined) message = lookup(en, key);
+    if (message === undefined) return key;
+    if (message && typeof message === 'object' && !Array.isArray(message)) {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+    if (typeof message !== 'string') return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      params[name] === undefined ? placeholder : params[name]
+    ));
+  };
+
+  const meridiems = t('time.meridiems') || MERIDIEMS;
+
+  return {
+    locale: code,
+    intlLocale,
+    weekStartsOn,
+    t,
+    /**
+     * @param {Date} date - Local date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} The formatted date
+     */
+    formatDate: (date, options) => date.toLocaleDateString(intlLocale, options),
+    /**
+     * @param {string} time - 24-hour time
+     * @returns {string} e.g. "6:30 PM" or "6:30 p. m."
+     */
+    formatTime: time => formatTime(time, true, meridiems),
+    /**
+     * @param {string} start - 24-hour start time
+     * @param {string|null} [end] - 24-hour end time
+     * @returns {string} e.g. "6:00–8:30 PM"
+     */
+    formatTimeRange: (start, end) => formatTimeRange(start, end, meridiems),
+    /**
+     * @param {number} hour - Hour of the day (0-23)
+     * @returns {string} e.g. "1 PM"
+     */
+    formatHour: hour => `${hour % 12 || 12} ${meridiems[hour < 12 ? 0 : 1]}`,
+    /**
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} e.g. "2 hr 30 min"
+     */
+    formatDuration: (minutes) => {
+      const hours = Math.floor(minutes / 60);
+      const rest = minutes % 60;
+      return [
+        hours && t('time.hours', { count: hours }),
+        rest && t('time.minutes', { count: rest })
+      ].filter(Boolean).join(' ');
+    },
+    /**
+     * @param {number} amount - Price in US dollars
+     * @returns {string} e.g. "$25.00"
+     */
+    formatCurrency: amount => currencyFormat.format(amount)
+  };
+};
+
+// English helpers, for code that runs outside the React tree
+export const defaultI18n = createI18n(DEFAULT_LOCALE);
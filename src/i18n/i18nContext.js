@@ -0,0 +1,37 @@
+import { createContext, useState, useEffect, useMemo } from 'react';
+import { createI18n, defaultI18n, getInitialLocale, saveLocale } from './i18n';
+
+/**
+ * The active language's helpers (see createI18n) plus setLocale. Outside an
+ * I18nProvider, e.g. in component tests, everything is in English.
+ */
+export const I18nContext = createContext({ ...defaultI18n, setLocale: () => {} });
+
+/**
+ * I18nProvider Component
+ *
+ * Holds the chosen language for the whole app. The choice is saved to
+ * localStorage and mirrored on <html lang> for screen readers and
+ * hyphenation.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ * @returns {JSX.Element} The children with i18n available through useI18n
+ */
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(getInitialLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    ...createI18n(locale),
+    setLocale: (nextLocale) => {
+      saveLocale(nextLocale);
+      setLocale(nextLocale);
+    }
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
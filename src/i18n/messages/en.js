@@ -0,0 +1,444 @@
+/**
+ * English messages. This catalog is the reference: every other language
+ * has the same keys, and falls back to these for any it is missing.
+ */
+const en = {
+  common: {
+    weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    weekdaysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    close: 'Close',
+    allDay: 'All day',
+    today: 'Today',
+    retry: 'Retry',
+    backToCalendar: 'Back to calendar',
+    dayOfSpan: 'Day {day} of {length}',
+    dayOfSpanInline: 'day {day} of {length}',
+    yes: 'Yes',
+    no: 'No',
+    fields: {
+      dates: 'Dates',
+      time: 'Time',
+      organizer: 'Organizer',
+      craft: 'Craft',
+      price: 'Price',
+      location: 'Location',
+      kidFriendly: 'Kid-Friendly'
+    },
+    viewEventDetails: 'View Event Details',
+    addToCalendar: 'Add to my calendar',
+    eventPage: 'Event page'
+  },
+
+  time: {
+    meridiems: ['AM', 'PM'],
+    hours: '{count} hr',
+    minutes: '{count} min'
+  },
+
+  language: {
+    label: 'Language'
+  },
+
+  nav: {
+    about: 'About',
+    calendar: 'Calendar',
+    myEvents: 'My Events',
+    submitEvent: 'Submit Event',
+    goTo: 'Navigate to {page} page'
+  },
+
+  about: {
+    title: 'About The Craft Event Calendar',
+    welcomeTitle: 'Welcome to The Community Calendar',
+    welcomeText: 'This calendar application serves as a central hub for all craft related community events and activities. Browse upcoming events  and submit your own events to share with the community.',
+    usageTitle: 'How to Use This Application',
+    usageIntro: 'Navigate through the tabs above to access different features:',
+    usageAbout: 'Learn about the purpose and features of this application',
+    usageCalendar: 'View all upcoming craft events in a calendar format',
+    usageSubmit: 'Add your own craft event to the community calendar',
+    contactTitle: 'Contact Information',
+    contactText: 'If you have any questions or need assistance with the calendar, please contact us at:',
+    email: 'Email: {email}'
+  },
+
+  calendar: {
+    craftLegend: 'Crafts',
+    views: {
+      month: 'Month',
+      week: 'Week',
+      day: 'Day',
+      agenda: 'Agenda'
+    },
+    viewSwitcher: 'Calendar view',
+    previous: {
+      month: 'Go to previous month',
+      week: 'Go to previous week',
+      day: 'Go to previous day'
+    },
+    next: {
+      month: 'Go to next month',
+      week: 'Go to next week',
+      day: 'Go to next day'
+    },
+    upcomingTitle: 'Upcoming Events',
+    exportMonth: 'Export month',
+    exportName: 'DC Craft Events – {month}',
+    slowLoad: 'Still loading events… the calendar server can take a few seconds to wake up.',
+    offlineAsOf: 'You\'re offline, showing events as of {date}.',
+    offline: 'You\'re offline. Events will load when your connection returns.',
+    loadError: 'We couldn\'t load events right now.',
+    loadErrorStale: 'The events below may be out of date.',
+    loadErrorRetry: 'Please try again.',
+    stale: 'Showing saved events from {date}. We couldn\'t reach the server for the latest updates.',
+    emptyMonth: 'No events this month.',
+    emptyMonthFiltered: 'No events match your filters this month.',
+    jumpTo: 'Jump to {month}',
+    showDay: 'Show all events on {date}',
+    dayLabel: '{date}, {events}',
+    eventCount: {
+      one: '{count} event',
+      other: '{count} events'
+    },
+    noEvents: 'no events',
+    dayDialogEmpty: 'No events on this day.',
+    dayDialogEmptyFiltered: 'No events match your filters on this day.',
+    openDayView: 'Open in day view',
+    loading: 'Loading events',
+    agendaEmpty: 'No upcoming events.'
+  },
+
+  calendarSettings: {
+    label: 'Calendar settings',
+    weekStart: 'Week starts on',
+    weekStartLocale: 'Language default ({day})',
+    showWeekNumbers: 'Show week numbers',
+    weekColumn: 'Wk',
+    weekNumberHeader: 'Week number',
+    weekNumber: 'Week {week}'
+  },
+
+  filters: {
+    label: 'Filter events',
+    craft: 'Craft',
+    kidsOnly: 'Kid-friendly only',
+    price: 'Price',
+    anyPrice: 'Any price',
+    free: 'Free',
+    priceRange: 'Price range',
+    minPrice: 'Minimum price',
+    maxPrice: 'Maximum price',
+    min: 'Min',
+    max: 'Max',
+    organizer: 'Organizer',
+    allOrganizers: 'All organizers',
+    clear: 'Clear filters'
+  },
+
+  search: {
+    placeholder: 'Search events, organizers, crafts, places…',
+    label: 'Search events',
+    results: 'Search results',
+    noResults: 'No events match "{query}"'
+  },
+
+  favorites: {
+    save: 'Save to My events',
+    saved: 'Saved to My events'
+  },
+
+  myEvents: {
+    title: 'My Events',
+    loading: 'Loading your events…',
+    error: 'We couldn\'t check the calendar for changes, so these are the details from when you saved each event.',
+    emptyBefore: 'No upcoming saved events. Use "Save to My events" on any event in the ',
+    emptyLink: 'calendar',
+    emptyAfter: ' to keep track of it here.',
+    atTime: ' at {time}',
+    allDay: ' (all day)',
+    removed: 'No longer on the calendar. It may have been cancelled or moved to another day.',
+    timeChanged: 'Time changed from {from} to {to}.',
+    allDayLower: 'all day',
+    remove: 'Remove',
+    removeLabel: 'Remove {name} from My events'
+  },
+
+  eventPage: {
+    loading: 'Loading event…',
+    missing: 'We couldn\'t find this event. It may have been removed or rescheduled.',
+    error: 'We couldn\'t load this event. Please try again later.'
+  },
+
+  eventDetails: {
+    daily: ', daily',
+    fromTime: 'from {time}',
+    atTime: 'at {time}',
+    openInMaps: 'Open in Maps',
+    imageAlt: 'Flyer or photo for {name}'
+  },
+
+  crafts: {
+    ceramics: 'Ceramics',
+    'fiber-arts': 'Fiber Arts',
+    woodworking: 'Woodworking',
+    jewelry: 'Jewelry',
+    printmaking: 'Printmaking',
+    glass: 'Glass',
+    'paper-crafts': 'Paper Crafts',
+    painting: 'Painting & Drawing',
+    'mixed-media': 'Mixed Media',
+    other: 'Other'
+  },
+
+  recurrence: {
+    weekly: 'Repeats weekly on {days}',
+    weeklyInterval: 'Repeats every {interval} weeks on {days}',
+    monthly: 'Repeats monthly on {days}',
+    monthlyInterval: 'Repeats every {interval} months on {days}',
+    weekdaysPlural: ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'],
+    nthWeekday: 'the {ordinal} {weekday}',
+    ordinals: {
+      1: 'first',
+      2: 'second',
+      3: 'third',
+      4: 'fourth',
+      5: 'fifth',
+      '-1': 'last'
+    },
+    and: ' and ',
+    until: '{description} until {date}',
+    count: {
+      one: '{description}, {count} time',
+      other: '{description}, {count} times'
+    }
+  },
+
+  datePicker: {
+    placeholder: 'Pick a date',
+    dialog: 'Choose date',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    selectMonth: 'Select month, {month}',
+    previousYear: 'Previous year',
+    nextYear: 'Next year',
+    monthsOf: 'Months of {year}',
+    weekdaysMin: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+  },
+
+  timeSelector: {
+    placeholder: 'Select Time',
+    options: 'Times',
+    invalid: 'Enter a time like 7:30 PM'
+  },
+
+  form: {
+    title: 'New Event',
+    success: 'Event submitted successfully!',
+    queued: 'You\'re offline. Your event was saved and will be submitted automatically when you\'re back online.',
+    offlineQueue: 'You\'re offline. You can still submit, and we\'ll send your event once you reconnect.',
+    offline: 'You\'re offline. Reconnect to submit your event.',
+    apiError: 'Failed to submit event. Please try again.',
+    characters: '{count}/{max} characters',
+    name: 'Event Name',
+    namePlaceholder: 'Enter event name (max 140 characters)',
+    email: 'Email',
+    emailPlaceholder: 'Enter your email address',
+    organization: 'Business Name',
+    organizationPlaceholder: 'Enter business name',
+    craft: 'Craft',
+    craftPlaceholder: 'Choose the main craft',
+    craftOtherOption: 'Other, please specify',
+    craftOther: 'Which craft?',
+    craftOtherPlaceholder: 'e.g. Bookbinding',
+    craftTags: 'Other crafts at this event (optional)',
+    location: 'Location Name',
+    locationPlaceholder: 'Enter location name',
+    link: 'Event Link',
+    date: 'Date',
+    time: 'Time',
+    endTime: 'End Time (Optional)',
+    endTimePlaceholder: 'Select End Time',
+    removeEndTime: 'Remove end time',
+    runs: 'Runs {duration}',
+    afterMidnight: ', ending after midnight',
+    endDate: 'End Date (Optional, for multi-day events)',
+    removeEndDate: 'Remove end date',
+    repeats: 'Repeats (Optional)',
+    repeatNone: 'Does not repeat',
+    repeatWeekly: 'Weekly',
+    repeatMonthly: 'Monthly, on the same weekday',
+    ends: 'Ends',
+    endsOnDate: 'Ends on a date',
+    endsAfterCount: 'Ends after a number of times',
+    repeatCount: 'Number of times',
+    repeatCountPlaceholder: 'Number of times (2-{max})',
+    pickFirstDate: 'Pick the first date above to see when the event repeats.',
+    skipHint: 'Tap a date to skip it, e.g. for a holiday.',
+    skipDates: 'Skip dates',
+    price: 'Price (Optional)',
+    pricePlaceholder: 'Enter price (e.g., 25.00)',
+    kids: 'Kid-Friendly (Optional)',
+    description: 'Description (Optional)',
+    descriptionPlaceholder: 'Briefly describe your event (max 500 characters)',
+    image: 'Flyer or Photo (Optional)',
+    imageHint: 'JPEG, PNG or WebP, up to {max} MB. Large images are shrunk, and location data is removed.',
+    imagePreparing: 'Preparing image…',
+    imagePreview: 'Preview of your flyer or photo',
+    removeImage: 'Remove image',
+    submit: 'Submit',
+    submitting: 'Submitting...',
+    next: 'Next',
+    back: 'Back',
+    stepTitle: 'Step {number} of {total}: {title}',
+    steps: {
+      basics: 'Basics',
+      when: 'When',
+      where: 'Where',
+      details: 'Details',
+      review: 'Review'
+    },
+    reviewIntro: 'This is how your event will look once it\'s published. Go back to any step to change it.',
+    previewCalendar: 'On the calendar',
+    previewMobile: 'On phones',
+    errors: {
+      nameRequired: 'Name is required',
+      nameTooLong: 'Name must be less than 140 characters',
+      emailRequired: 'Email is required',
+      emailTooLong: 'Email must be less than 100 characters',
+      emailInvalid: 'Please enter a valid email address',
+      organizationRequired: 'Business name is required',
+      craftRequired: 'Please choose a craft',
+      craftOtherRequired: 'Please tell us which craft',
+      craftOtherTooLong: 'Craft must be less than {max} characters',
+      organizationTooLong: 'Business name must be less than 200 characters',
+      locationRequired: 'Location name is required',
+      locationTooLong: 'Location name must be less than 200 characters',
+      linkRequired: 'Event link is required',
+      linkInvalid: 'Please enter a valid URL (include http:// or https://)',
+      dateRequired: 'Date is required',
+      datePast: 'This date has passed. Please choose today or a later date',
+      endDateBeforeStart: 'End date must be after the start date',
+      endDateTooLong: 'Events can run for up to {max} days',
+      endDateWeekly: 'A weekly event must end before it repeats',
+      timeRequired: 'Time for event is required',
+      endTimeSame: 'End time must be after the start time',
+      endTimeOvernight: 'End time must be after the start time. Events that run past midnight can last up to 12 hours',
+      priceInvalid: 'Price must be a valid number',
+      priceNegative: 'Price cannot be negative',
+      descriptionTooLong: 'Description must be less than 500 characters',
+      imageType: 'Choose a JPEG, PNG or WebP image',
+      imageTooLarge: 'Image must be {max} MB or smaller',
+      imageUnreadable: 'This image could not be read. Try another file',
+      repeatCount: 'Number of times must be between 2 and {max}',
+      repeatUntilRequired: 'End date is required for repeating events',
+      repeatUntilBeforeStart: 'End date must be after the first date',
+      repeatUntilTooLate: 'Repeating events can run for up to one year'
+    }
+  },
+
+  drafts: {
+    title: 'Pick up where you left off?',
+    resume: 'Resume "{name}" from {when}',
+    untitled: 'Untitled event',
+    discard: 'Discard',
+    discardLabel: 'Discard draft "{name}"',
+    startFresh: 'Start fresh',
+    saved: 'Draft saved',
+    savedToday: 'today at {time}',
+    savedYesterday: 'yesterday',
+    savedWeekday: '{weekday}',
+    savedDate: '{date}'
+  },
+
+  duplicates: {
+    title: 'This event may already be on the calendar',
+    text: {
+      one: 'We found a similar event on the same day. If it\'s the same one, there\'s no need to submit it again.',
+      other: 'We found {count} similar events on the same day. If yours is one of them, there\'s no need to submit it again.'
+    },
+    viewEvent: 'View this event',
+    differentEvent: 'This is a different event, submit it'
+  },
+
+  admin: {
+    checking: 'Checking sign-in…',
+    signInTitle: 'Moderator sign-in',
+    signInText: 'Enter your admin access token to review submitted events.',
+    token: 'Access token',
+    signIn: 'Sign in',
+    signInError: 'Enter your access token.',
+    signOut: 'Sign out',
+    title: 'Moderation queue',
+    pendingCount: {
+      one: '{count} submission waiting for review',
+      other: '{count} submissions waiting for review'
+    },
+    refresh: 'Refresh',
+    loading: 'Loading submissions…',
+    loadError: 'We couldn\'t load the submissions. Please try again.',
+    empty: 'No submissions are waiting for review.',
+    emptyFiltered: 'No submissions match your filters.',
+    filters: {
+      label: 'Filter submissions',
+      submittedFrom: 'Submitted from',
+      submittedTo: 'Submitted to',
+      email: 'Organizer email',
+      emailPlaceholder: 'e.g. studio@example.com',
+      clear: 'Clear filters'
+    },
+    selectAll: 'Select all shown submissions',
+    select: 'Select {name}',
+    selectedCount: '{count} selected',
+    submittedOn: 'Submitted {date}',
+    submittedUnknown: 'Submission date unknown',
+    approve: 'Approve',
+    approveSelected: 'Approve selected',
+    reject: 'Reject',
+    rejectSelected: 'Reject selected',
+    edit: 'Edit',
+    preview: 'Preview',
+    hidePreview: 'Hide preview',
+    cancel: 'Cancel',
+    rejectReason: 'Reason for rejecting',
+    rejectReasonPlaceholder: 'Tell the organizer why, e.g. not a craft event',
+    rejectReasonRequired: 'Enter a reason for rejecting',
+    confirmReject: {
+      one: 'Reject submission',
+      other: 'Reject {count} submissions'
+    },
+    saveAndApprove: 'Save and approve',
+    approved: 'Approved "{name}".',
+    rejected: 'Rejected "{name}".',
+    bulkApproved: {
+      one: 'Approved {count} submission.',
+      other: 'Approved {count} submissions.'
+    },
+    bulkRejected: {
+      one: 'Rejected {count} submission.',
+      other: 'Rejected {count} submissions.'
+    },
+    bulkFailed: {
+      one: '{count} submission couldn\'t be updated. It is still selected, so you can try again.',
+      other: '{count} submissions couldn\'t be updated. They are still selected, so you can try again.'
+    },
+    actionError: 'We couldn\'t update this submission. Please try again.',
+    possibleDuplicate: 'Possible duplicate of "{name}"',
+    duplicates: {
+      title: 'Possible duplicate events',
+      loading: 'Checking published events…',
+      loadError: 'We couldn\'t load the published events.',
+      empty: 'No duplicate events found.',
+      keep: 'Keep this listing:',
+      merge: {
+        one: 'Merge {count} event',
+        other: 'Merge {count} events'
+      },
+      merged: {
+        one: 'Merged {count} duplicate into "{name}".',
+        other: 'Merged {count} duplicates into "{name}".'
+      },
+      mergeError: 'We couldn\'t merge these events. Please try again.'
+    }
+  }
+};
+
+export default en;
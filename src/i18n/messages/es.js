@@ -0,0 +1,443 @@
+/**
+ * Spanish messages. Keys mirror the English catalog (./en).
+ */
+const es = {
+  common: {
+    weekdays: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+    weekdaysShort: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'],
+    close: 'Cerrar',
+    allDay: 'Todo el día',
+    today: 'Hoy',
+    retry: 'Reintentar',
+    backToCalendar: 'Volver al calendario',
+    dayOfSpan: 'Día {day} de {length}',
+    dayOfSpanInline: 'día {day} de {length}',
+    yes: 'Sí',
+    no: 'No',
+    fields: {
+      dates: 'Fechas',
+      time: 'Hora',
+      organizer: 'Organizador',
+      craft: 'Oficio',
+      price: 'Precio',
+      location: 'Lugar',
+      kidFriendly: 'Apto para niños'
+    },
+    viewEventDetails: 'Ver detalles del evento',
+    addToCalendar: 'Añadir a mi calendario',
+    eventPage: 'Página del evento'
+  },
+
+  time: {
+    meridiems: ['a. m.', 'p. m.'],
+    hours: '{count} h',
+    minutes: '{count} min'
+  },
+
+  language: {
+    label: 'Idioma'
+  },
+
+  nav: {
+    about: 'Acerca de',
+    calendar: 'Calendario',
+    myEvents: 'Mis eventos',
+    submitEvent: 'Enviar evento',
+    goTo: 'Ir a la página {page}'
+  },
+
+  about: {
+    title: 'Acerca del Calendario de Eventos de Artesanía',
+    welcomeTitle: 'Bienvenido al Calendario Comunitario',
+    welcomeText: 'Esta aplicación de calendario es el punto de encuentro de todos los eventos y actividades comunitarias relacionados con la artesanía. Explora los próximos eventos y envía los tuyos para compartirlos con la comunidad.',
+    usageTitle: 'Cómo usar esta aplicación',
+    usageIntro: 'Usa las pestañas de arriba para acceder a las distintas funciones:',
+    usageAbout: 'Conoce el propósito y las funciones de esta aplicación',
+    usageCalendar: 'Consulta todos los próximos eventos de artesanía en formato de calendario',
+    usageSubmit: 'Añade tu propio evento de artesanía al calendario comunitario',
+    contactTitle: 'Información de contacto',
+    contactText: 'Si tienes alguna pregunta o necesitas ayuda con el calendario, escríbenos a:',
+    email: 'Correo electrónico: {email}'
+  },
+
+  calendar: {
+    craftLegend: 'Oficios',
+    views: {
+      month: 'Mes',
+      week: 'Semana',
+      day: 'Día',
+      agenda: 'Agenda'
+    },
+    viewSwitcher: 'Vista del calendario',
+    previous: {
+      month: 'Ir al mes anterior',
+      week: 'Ir a la semana anterior',
+      day: 'Ir al día anterior'
+    },
+    next: {
+      month: 'Ir al mes siguiente',
+      week: 'Ir a la semana siguiente',
+      day: 'Ir al día siguiente'
+    },
+    upcomingTitle: 'Próximos eventos',
+    exportMonth: 'Exportar mes',
+    exportName: 'Eventos de artesanía de DC – {month}',
+    slowLoad: 'Seguimos cargando los eventos… el servidor del calendario puede tardar unos segundos en activarse.',
+    offlineAsOf: 'No tienes conexión; se muestran los eventos del {date}.',
+    offline: 'No tienes conexión. Los eventos se cargarán cuando vuelva la conexión.',
+    loadError: 'No pudimos cargar los eventos en este momento.',
+    loadErrorStale: 'Es posible que los eventos de abajo no estén actualizados.',
+    loadErrorRetry: 'Inténtalo de nuevo.',
+    stale: 'Se muestran los eventos guardados el {date}. No pudimos conectar con el servidor para obtener las últimas novedades.',
+    emptyMonth: 'No hay eventos este mes.',
+    emptyMonthFiltered: 'Ningún evento de este mes coincide con tus filtros.',
+    jumpTo: 'Ir a {month}',
+    showDay: 'Ver todos los eventos del {date}',
+    dayLabel: '{date}, {events}',
+    eventCount: {
+      one: '{count} evento',
+      other: '{count} eventos'
+    },
+    noEvents: 'sin eventos',
+    dayDialogEmpty: 'No hay eventos este día.',
+    dayDialogEmptyFiltered: 'Ningún evento de este día coincide con tus filtros.',
+    openDayView: 'Abrir en la vista de día',
+    loading: 'Cargando eventos',
+    agendaEmpty: 'No hay próximos eventos.'
+  },
+
+  calendarSettings: {
+    label: 'Ajustes del calendario',
+    weekStart: 'La semana empieza el',
+    weekStartLocale: 'Según el idioma ({day})',
+    showWeekNumbers: 'Mostrar números de semana',
+    weekColumn: 'Sem.',
+    weekNumberHeader: 'Número de semana',
+    weekNumber: 'Semana {week}'
+  },
+
+  filters: {
+    label: 'Filtrar eventos',
+    craft: 'Oficio',
+    kidsOnly: 'Solo aptos para niños',
+    price: 'Precio',
+    anyPrice: 'Cualquier precio',
+    free: 'Gratis',
+    priceRange: 'Rango de precios',
+    minPrice: 'Precio mínimo',
+    maxPrice: 'Precio máximo',
+    min: 'Mín.',
+    max: 'Máx.',
+    organizer: 'Organizador',
+    allOrganizers: 'Todos los organizadores',
+    clear: 'Borrar filtros'
+  },
+
+  search: {
+    placeholder: 'Buscar eventos, organizadores, oficios, lugares…',
+    label: 'Buscar eventos',
+    results: 'Resultados de la búsqueda',
+    noResults: 'Ningún evento coincide con «{query}»'
+  },
+
+  favorites: {
+    save: 'Guardar en Mis eventos',
+    saved: 'Guardado en Mis eventos'
+  },
+
+  myEvents: {
+    title: 'Mis eventos',
+    loading: 'Cargando tus eventos…',
+    error: 'No pudimos comprobar si hubo cambios en el calendario, así que se muestran los datos de cuando guardaste cada evento.',
+    emptyBefore: 'No tienes próximos eventos guardados. Usa «Guardar en Mis eventos» en cualquier evento del ',
+    emptyLink: 'calendario',
+    emptyAfter: ' para seguirlo desde aquí.',
+    atTime: ' a las {time}',
+    allDay: ' (todo el día)',
+    removed: 'Ya no está en el calendario. Puede que se haya cancelado o cambiado a otro día.',
+    timeChanged: 'La hora cambió de {from} a {to}.',
+    allDayLower: 'todo el día',
+    remove: 'Quitar',
+    removeLabel: 'Quitar {name} de Mis eventos'
+  },
+
+  eventPage: {
+    loading: 'Cargando evento…',
+    missing: 'No encontramos este evento. Puede que se haya eliminado o reprogramado.',
+    error: 'No pudimos cargar este evento. Inténtalo de nuevo más tarde.'
+  },
+
+  eventDetails: {
+    daily: ', todos los días',
+    fromTime: 'de {time}',
+    atTime: 'a las {time}',
+    openInMaps: 'Abrir en Mapas',
+    imageAlt: 'Cartel o foto de {name}'
+  },
+
+  crafts: {
+    ceramics: 'Cerámica',
+    'fiber-arts': 'Artes textiles',
+    woodworking: 'Carpintería',
+    jewelry: 'Joyería',
+    printmaking: 'Grabado',
+    glass: 'Vidrio',
+    'paper-crafts': 'Manualidades de papel',
+    painting: 'Pintura y dibujo',
+    'mixed-media': 'Técnica mixta',
+    other: 'Otro'
+  },
+
+  recurrence: {
+    weekly: 'Se repite cada semana los {days}',
+    weeklyInterval: 'Se repite cada {interval} semanas los {days}',
+    monthly: 'Se repite cada mes el {days}',
+    monthlyInterval: 'Se repite cada {interval} meses el {days}',
+    weekdaysPlural: ['domingos', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados'],
+    nthWeekday: '{ordinal} {weekday}',
+    ordinals: {
+      1: 'primer',
+      2: 'segundo',
+      3: 'tercer',
+      4: 'cuarto',
+      5: 'quinto',
+      '-1': 'último'
+    },
+    and: ' y ',
+    until: '{description} hasta el {date}',
+    count: {
+      one: '{description}, {count} vez',
+      other: '{description}, {count} veces'
+    }
+  },
+
+  datePicker: {
+    placeholder: 'Elige una fecha',
+    dialog: 'Elegir fecha',
+    previousMonth: 'Mes anterior',
+    nextMonth: 'Mes siguiente',
+    selectMonth: 'Elegir mes, {month}',
+    previousYear: 'Año anterior',
+    nextYear: 'Año siguiente',
+    monthsOf: 'Meses de {year}',
+    weekdaysMin: ['Do', 'Lu', 'Ma', 'Mi', 'Ju', 'Vi', 'Sá']
+  },
+
+  timeSelector: {
+    placeholder: 'Elige la hora',
+    options: 'Horas',
+    invalid: 'Escribe una hora como 7:30 p. m.'
+  },
+
+  form: {
+    title: 'Nuevo evento',
+    success: '¡Evento enviado correctamente!',
+    queued: 'No tienes conexión. Guardamos tu evento y lo enviaremos automáticamente cuando vuelvas a estar en línea.',
+    offlineQueue: 'No tienes conexión. Aún puedes enviarlo y lo mandaremos cuando te vuelvas a conectar.',
+    offline: 'No tienes conexión. Vuelve a conectarte para enviar tu evento.',
+    apiError: 'No se pudo enviar el evento. Inténtalo de nuevo.',
+    characters: '{count}/{max} caracteres',
+    name: 'Nombre del evento',
+    namePlaceholder: 'Escribe el nombre del evento (máx. 140 caracteres)',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'Escribe tu correo electrónico',
+    organization: 'Nombre del negocio',
+    organizationPlaceholder: 'Escribe el nombre del negocio',
+    craft: 'Oficio',
+    craftPlaceholder: 'Elige el oficio principal',
+    craftOtherOption: 'Otro, especifica cuál',
+    craftOther: '¿Qué oficio?',
+    craftOtherPlaceholder: 'p. ej. Encuadernación',
+    craftTags: 'Otros oficios en este evento (opcional)',
+    location: 'Nombre del lugar',
+    locationPlaceholder: 'Escribe el nombre del lugar',
+    link: 'Enlace del evento',
+    date: 'Fecha',
+    time: 'Hora',
+    endTime: 'Hora de fin (opcional)',
+    endTimePlaceholder: 'Elige la hora de fin',
+    removeEndTime: 'Quitar hora de fin',
+    runs: 'Dura {duration}',
+    afterMidnight: ' y termina después de medianoche',
+    endDate: 'Fecha de fin (opcional, para eventos de varios días)',
+    removeEndDate: 'Quitar fecha de fin',
+    repeats: 'Se repite (opcional)',
+    repeatNone: 'No se repite',
+    repeatWeekly: 'Cada semana',
+    repeatMonthly: 'Cada mes, el mismo día de la semana',
+    ends: 'Termina',
+    endsOnDate: 'Termina en una fecha',
+    endsAfterCount: 'Termina tras un número de veces',
+    repeatCount: 'Número de veces',
+    repeatCountPlaceholder: 'Número de veces (2-{max})',
+    pickFirstDate: 'Elige la primera fecha arriba para ver cuándo se repite el evento.',
+    skipHint: 'Toca una fecha para omitirla, por ejemplo, por un día festivo.',
+    skipDates: 'Omitir fechas',
+    price: 'Precio (opcional)',
+    pricePlaceholder: 'Escribe el precio (p. ej., 25.00)',
+    kids: 'Apto para niños (opcional)',
+    description: 'Descripción (opcional)',
+    descriptionPlaceholder: 'Describe brevemente tu evento (máx. 500 caracteres)',
+    image: 'Cartel o foto (opcional)',
+    imageHint: 'JPEG, PNG o WebP, hasta {max} MB. Las imágenes grandes se reducen y se eliminan los datos de ubicación.',
+    imagePreparing: 'Preparando la imagen…',
+    imagePreview: 'Vista previa de tu cartel o foto',
+    removeImage: 'Quitar imagen',
+    submit: 'Enviar',
+    submitting: 'Enviando...',
+    next: 'Siguiente',
+    back: 'Atrás',
+    stepTitle: 'Paso {number} de {total}: {title}',
+    steps: {
+      basics: 'Datos básicos',
+      when: 'Cuándo',
+      where: 'Dónde',
+      details: 'Detalles',
+      review: 'Revisar'
+    },
+    reviewIntro: 'Así se verá tu evento una vez publicado. Vuelve a cualquier paso para cambiarlo.',
+    previewCalendar: 'En el calendario',
+    previewMobile: 'En el móvil',
+    errors: {
+      nameRequired: 'El nombre es obligatorio',
+      nameTooLong: 'El nombre debe tener menos de 140 caracteres',
+      emailRequired: 'El correo electrónico es obligatorio',
+      emailTooLong: 'El correo electrónico debe tener menos de 100 caracteres',
+      emailInvalid: 'Escribe un correo electrónico válido',
+      organizationRequired: 'El nombre del negocio es obligatorio',
+      craftRequired: 'Elige un oficio',
+      craftOtherRequired: 'Dinos qué oficio es',
+      craftOtherTooLong: 'El oficio debe tener menos de {max} caracteres',
+      organizationTooLong: 'El nombre del negocio debe tener menos de 200 caracteres',
+      locationRequired: 'El nombre del lugar es obligatorio',
+      locationTooLong: 'El nombre del lugar debe tener menos de 200 caracteres',
+      linkRequired: 'El enlace del evento es obligatorio',
+      linkInvalid: 'Escribe una URL válida (con http:// o https://)',
+      dateRequired: 'La fecha es obligatoria',
+      datePast: 'Esta fecha ya pasó. Elige hoy o una fecha posterior',
+      endDateBeforeStart: 'La fecha de fin debe ser posterior a la de inicio',
+      endDateTooLong: 'Los eventos pueden durar hasta {max} días',
+      endDateWeekly: 'Un evento semanal debe terminar antes de repetirse',
+      timeRequired: 'La hora del evento es obligatoria',
+      endTimeSame: 'La hora de fin debe ser posterior a la de inicio',
+      endTimeOvernight: 'La hora de fin debe ser posterior a la de inicio. Los eventos que pasan de medianoche pueden durar hasta 12 horas',
+      priceInvalid: 'El precio debe ser un número válido',
+      priceNegative: 'El precio no puede ser negativo',
+      descriptionTooLong: 'La descripción debe tener menos de 500 caracteres',
+      imageType: 'Elige una imagen JPEG, PNG o WebP',
+      imageTooLarge: 'La imagen debe ocupar {max} MB o menos',
+      imageUnreadable: 'No se pudo leer esta imagen. Prueba con otro archivo',
+      repeatCount: 'El número de veces debe estar entre 2 y {max}',
+      repeatUntilRequired: 'La fecha de fin es obligatoria para los eventos que se repiten',
+      repeatUntilBeforeStart: 'La fecha de fin debe ser posterior a la primera fecha',
+      repeatUntilTooLate: 'Los eventos que se repiten pueden durar hasta un año'
+    }
+  },
+
+  drafts: {
+    title: '¿Quieres continuar donde lo dejaste?',
+    resume: 'Reanudar «{name}», guardado {when}',
+    untitled: 'Evento sin título',
+    discard: 'Descartar',
+    discardLabel: 'Descartar el borrador «{name}»',
+    startFresh: 'Empezar de nuevo',
+    saved: 'Borrador guardado',
+    savedToday: 'hoy a las {time}',
+    savedYesterday: 'ayer',
+    savedWeekday: 'el {weekday}',
+    savedDate: 'el {date}'
+  },
+
+  duplicates: {
+    title: 'Puede que este evento ya esté en el calendario',
+    text: {
+      one: 'Encontramos un evento parecido el mismo día. Si es el mismo, no hace falta enviarlo otra vez.',
+      other: 'Encontramos {count} eventos parecidos el mismo día. Si el tuyo es uno de ellos, no hace falta enviarlo otra vez.'
+    },
+    viewEvent: 'Ver este evento',
+    differentEvent: 'Es un evento distinto, enviarlo'
+  },
+
+  admin: {
+    checking: 'Comprobando el inicio de sesión…',
+    signInTitle: 'Acceso para moderadores',
+    signInText: 'Escribe tu token de acceso de administración para revisar los eventos enviados.',
+    token: 'Token de acceso',
+    signIn: 'Iniciar sesión',
+    signInError: 'Escribe tu token de acceso.',
+    signOut: 'Cerrar sesión',
+    title: 'Cola de moderación',
+    pendingCount: {
+      one: '{count} envío pendiente de revisión',
+      other: '{count} envíos pendientes de revisión'
+    },
+    refresh: 'Actualizar',
+    loading: 'Cargando envíos…',
+    loadError: 'No pudimos cargar los envíos. Inténtalo de nuevo.',
+    empty: 'No hay envíos pendientes de revisión.',
+    emptyFiltered: 'Ningún envío coincide con tus filtros.',
+    filters: {
+      label: 'Filtrar envíos',
+      submittedFrom: 'Enviado desde',
+      submittedTo: 'Enviado hasta',
+      email: 'Correo del organizador',
+      emailPlaceholder: 'p. ej., taller@example.com',
+      clear: 'Borrar filtros'
+    },
+    selectAll: 'Seleccionar todos los envíos mostrados',
+    select: 'Seleccionar {name}',
+    selectedCount: '{count} seleccionados',
+    submittedOn: 'Enviado el {date}',
+    submittedUnknown: 'Fecha de envío desconocida',
+    approve: 'Aprobar',
+    approveSelected: 'Aprobar seleccionados',
+    reject: 'Rechazar',
+    rejectSelected: 'Rechazar seleccionados',
+    edit: 'Editar',
+    preview: 'Vista previa',
+    hidePreview: 'Ocultar vista previa',
+    cancel: 'Cancelar',
+    rejectReason: 'Motivo del rechazo',
+    rejectReasonPlaceholder: 'Explica el motivo al organizador, p. ej., no es un evento de artesanía',
+    rejectReasonRequired: 'Escribe un motivo para el rechazo',
+    confirmReject: {
+      one: 'Rechazar envío',
+      other: 'Rechazar {count} envíos'
+    },
+    saveAndApprove: 'Guardar y aprobar',
+    approved: 'Se aprobó "{name}".',
+    rejected: 'Se rechazó "{name}".',
+    bulkApproved: {
+      one: 'Se aprobó {count} envío.',
+      other: 'Se aprobaron {count} envíos.'
+    },
+    bulkRejected: {
+      one: 'Se rechazó {count} envío.',
+      other: 'Se rechazaron {count} envíos.'
+    },
+    bulkFailed: {
+      one: 'No se pudo actualizar {count} envío. Sigue seleccionado para que puedas intentarlo de nuevo.',
+      other: 'No se pudieron actualizar {count} envíos. Siguen seleccionados para que puedas intentarlo de nuevo.'
+    },
+    actionError: 'No pudimos actualizar este envío. Inténtalo de nuevo.',
+    possibleDuplicate: 'Posible duplicado de «{name}»',
+    duplicates: {
+      title: 'Posibles eventos duplicados',
+      loading: 'Revisando los eventos publicados…',
+      loadError: 'No pudimos cargar los eventos publicados.',
+      empty: 'No se encontraron eventos duplicados.',
+      keep: 'Conservar este anuncio:',
+      merge: {
+        one: 'Combinar {count} evento',
+        other: 'Combinar {count} eventos'
+      },
+      merged: {
+        one: 'Se combinó {count} duplicado en «{name}».',
+        other: 'Se combinaron {count} duplicados en «{name}».'
+      },
+      mergeError: 'No pudimos combinar estos eventos. Inténtalo de nuevo.'
+    }
+  }
+};
+
+export default es;
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 /**
  * Application Entry Point
@@ -15,8 +16,15 @@ import App from './App';
  * @requires react-dom/client - React DOM rendering (React 18+)
  * @requires ./index.css - Global application styles
  * @requires ./App - Main application component
+ * @requires ./serviceWorkerRegistration - Offline support (production builds only)
  */
 
+// Answer API requests from the built-in mock backend when asked to (see src/mocks).
+// The check is spelled out here so builds without the mock leave it out entirely.
+if (process.env.REACT_APP_USE_MOCK_API === 'true') {
+  require('./mocks/mockApi').installMockApi();
+}
+
 // Create the root element using React 18's createRoot API
 // This enables concurrent features and better performance
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -25,4 +33,7 @@ const root = ReactDOM.createRoot(document.getElementById('root'));
 // StrictMode is removed for production - add <React.StrictMode> wrapper if needed for development
 root.render(
     <App />
-);
\ No newline at end of file
+);
+
+// Cache the app shell and events feed so the calendar works offline
+serviceWorkerRegistration.register();
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { installMockApi, uninstallMockApi, resetMockApi } from '../mockApi';
+import {
+  getEvents,
+  submitEvent,
+  clearEventsCache,
+  getPendingSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  mergeEvents
+} from '../../api/eventsClient';
+import { findDuplicateGroups } from '../../utils/duplicateDetection';
+import { createStaticTokenProvider, getTokenProvider, setTokenProvider } from '../../auth/tokenProvider';
+
+const submission = {
+  name: 'Quilting Bee',
+  price: 10,
+  description: 'Bring fabric scraps.',
+  link: 'https://example.com/quilting',
+  kids: true,
+  location: 'Community Hall',
+  date: '2030-03-09',
+  end_date: null,
+  time: '14:00',
+  end_time: '16:00',
+  organization: 'Quilters Club',
+  email: 'quilt@example.com',
+  recurrence: null
+};
+
+describe('mockApi', () => {
+  const defaultProvider = getTokenProvider();
+  const realFetch = window.fetch;
+
+  beforeEach(() => {
+    process.env.REACT_APP_USE_MOCK_API = 'true';
+    window.fetch = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+    localStorage.clear();
+    clearEventsCache();
+    resetMockApi();
+    installMockApi({ latencyMs: 0, errorRate: 0, moderate: false });
+    setTokenProvider(createStaticTokenProvider('mock-token'));
+  });
+
+  afterEach(() => {
+    uninstallMockApi();
+    window.fetch = realFetch;
+    setTokenProvider(defaultProvider);
+    delete process.env.REACT_APP_USE_MOCK_API;
+    jest.restoreAllMocks();
+  });
+
+  it('serves fixture events in the feed envelope', async () => {
+    const { events } = await getEvents();
+    expect(events.length).toBeGreaterThan(0);
+    expect(events.every(event => event.id && event.start instanceof Date)).toBe(true);
+    expect(events.some(event => event.recurrence)).toBe(true);
+    expect(events.some(event => event.end_date)).toBe(true);
+  });
+
+  it('publishes submissions and keeps them across reloads', async () => {
+    await expect(submitEvent(submission)).resolves.toMatchObject({ message: 'Event created' });
+
+    // A fresh install reads the same storage, as after a page reload
+    uninstallMockApi();
+    installMockApi({ latencyMs: 0, errorRate: 0 });
+    const { events } = await getEvents();
+    const created = events.find(event => event.name === 'Quilting Bee');
+    expect(created).toMatchObject({ business: 'Quilters Club', location_name: 'Community Hall', date: '2030-03-09' });
+    expect(created.email).toBeUndefined();
+  });
+
+  it('rejects submissions without a name or date', async () => {
+    await expect(submitEvent({ ...submission, date: null })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('fails submissions it cannot store instead of reporting them created', async () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+    await expect(submitEvent(submission)).rejects.toMatchObject({ status: 507 });
+
+    jest.restoreAllMocks();
+    expect((await getEvents()).events.some(event => event.name === 'Quilting Bee')).toBe(false);
+  });
+
+  it('holds submissions for moderation when asked to', async () => {
+    installMockApi({ latencyMs: 0, errorRate: 0, moderate: true });
+    await submitEvent(submission);
+    const pending = await getPendingSubmissions();
+    const queued = pending.find(entry => entry.fields.name === 'Quilting Bee');
+    expect(queued).toBeDefined();
+    expect((await getEvents()).events.some(event => event.name === 'Quilting Bee')).toBe(false);
+
+    await approveSubmission(queued.id, { name: 'Quilting Bee (all welcome)' });
+    expect((await getEvents()).events.some(event => event.name === 'Quilting Bee (all welcome)')).toBe(true);
+    await expect(approveSubmission(queued.id)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('answers the admin API for signed-in moderators only', async () => {
+    const [first] = await getPendingSubmissions();
+    await rejectSubmission(first.id, 'Duplicate listing');
+    expect((await getPendingSubmissions()).map(entry => entry.id)).not.toContain(first.id);
+
+    const response = await window.fetch('/mock-api/admin/submissions?status=pending');
+    expect(response.status).toBe(401);
+  });
+
+  it('merges duplicate events out of the feed', async () => {
+    const [group] = findDuplicateGroups((await getEvents()).events);
+    expect(group).toHaveLength(2);
+    const [kept, duplicate] = group;
+
+    await mergeEvents(kept.id, [duplicate.id]);
+    const ids = (await getEvents()).events.map(event => event.id);
+    expect(ids).toContain(kept.id);
+    expect(ids).not.toContain(duplicate.id);
+    await expect(mergeEvents(kept.id, [duplicate.id])).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('fails requests at the configured rate', async () => {
+    installMockApi({ latencyMs: 0, errorRate: 1 });
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+      callback();
+      return 0;
+    });
+    await expect(getEvents()).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('passes other requests through', async () => {
+    await expect(window.fetch('https://example.com/other')).rejects.toThrow('Network request failed');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Fixture data for the mock API.
+ *
+ * Dates are relative to today, so the calendar always has upcoming events
+ * to show. Events are in the raw shape the backend sends, quirks included:
+ * times with seconds, prices as strings, 'NAMER' for a missing street
+ * address, and the same fair listed twice.
+ */
+import { addDays, getToday, toDateKey } from '../utils/dateTime';
+
+// iCalendar weekday codes, indexed like Date#getDay
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Builds the published events.
+ *
+ * @param {Date} [today] - Local midnight of the day to build around
+ * @returns {Object[]} Raw feed events
+ */
+export const createFixtureEvents = (today = getToday()) => {
+  const day = (offset) => toDateKey(addDays(today, offset));
+  const weeklyStart = addDays(today, 1);
+
+  return [
+    {
+      name: 'Wheel Throwing for Beginners',
+      date: day(2),
+      time: '18:30:00',
+      end_time: '20:30:00',
+      business: 'Capitol Clay Studio',
+      craft: 'Pottery',
+      description: 'Learn to center and throw a bowl. Clay, glazes and firing included.',
+      price: '45',
+      kids: false,
+      location_name: 'Capitol Clay Studio',
+      address: '1340 Florida Ave NE',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20002',
+      link: 'https://example.com/capitol-clay/wheel-throwing'
+    },
+    {
+      name: 'Stitch & Sip Knitting Circle',
+      date: toDateKey(weeklyStart),
+      time: '19:00:00',
+      end_time: '21:00:00',
+      business: 'Fiber & Fold',
+      craft: 'Knitting',
+      description: 'Bring a project and meet other knitters. All skill levels welcome.',
+      price: '0',
+      kids: null,
+      location_name: 'The Corner Cafe',
+      address: '410 8th St SE',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20003',
+      link: 'https://example.com/fiber-and-fold/stitch-and-sip',
+      recurrence: {
+        rrule: `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[weeklyStart.getDay()]};COUNT=8`,
+        exdates: []
+      }
+    },
+    {
+      name: 'Eastern Market Makers Fair',
+      date: day(5),
+      end_date: day(7),
+      time: '10:00:00',
+      end_time: '17:00:00',
+      business: 'DC Makers Guild',
+      craft: 'Mixed Media',
+      craft_tags: ['jewelry', 'ceramics', 'printmaking'],
+      description: 'Three days of local makers selling jewelry, ceramics, prints and more.',
+      price: '5',
+      kids: true,
+      location_name: 'Eastern Market',
+      address: '225 7th St SE',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20003',
+      link: 'https://example.com/dc-makers-guild/fair'
+    },
+    {
+      // The fair again, as a vendor listed it: a duplicate to merge in /admin
+      name: 'Eastern Market Makers\' Fair',
+      date: day(5),
+      end_date: day(7),
+      time: '10:00:00',
+      end_time: '17:00:00',
+      business: 'Hill Street Ceramics',
+      craft: 'Ceramics',
+      description: 'Find our mugs and planters at booth 12!',
+      price: '5',
+      kids: true,
+      location_name: 'Eastern Market',
+      address: '225 7th St SE',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20003',
+      link: 'https://example.com/hill-street-ceramics/fair'
+    },
+    {
+      name: 'Family Paper Craft Morning',
+      date: day(6),
+      time: '09:30:00',
+      end_time: '11:00:00',
+      business: 'Petworth Library Friends',
+      craft: 'Paper Crafts',
+      description: 'Origami, pop-up cards and paper lanterns for kids and their grown-ups.',
+      price: '0',
+      kids: true,
+      location_name: 'Petworth Neighborhood Library',
+      address: 'NAMER',
+      link: 'https://example.com/petworth-library/paper-crafts'
+    },
+    {
+      name: 'Intro to Stained Glass',
+      date: day(9),
+      time: '13:00:00',
+      end_time: '16:00:00',
+      business: 'Anacostia Glassworks',
+      craft: 'Glass',
+      description: 'Cut, foil and solder a small suncatcher to take home.',
+      price: '85',
+      kids: false,
+      location_name: 'Anacostia Glassworks',
+      address: '2255 Martin Luther King Jr Ave SE',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20020',
+      link: 'https://example.com/anacostia-glassworks/intro'
+    },
+    {
+      name: 'Late Night Screen Printing',
+      date: day(12),
+      time: '20:00:00',
+      end_time: '01:00:00',
+      business: 'Ink Lab DC',
+      craft: 'Printmaking',
+      description: 'Print your own tote or tee. Runs past midnight.',
+      price: '30',
+      kids: false,
+      location_name: 'Ink Lab DC',
+      address: '1501 U St NW',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20009',
+      link: 'https://example.com/ink-lab/late-night'
+    },
+    {
+      name: 'Woodcarving Demo',
+      date: day(16),
+      time: null,
+      business: 'Rock Creek Woodworkers',
+      craft: 'Woodworking',
+      description: 'Drop in any time to watch spoon carving demos.',
+      price: null,
+      kids: true,
+      location_name: 'Peirce Mill',
+      address: '2401 Tilden St NW',
+      city: 'Washington',
+      state: 'DC',
+      zip: '20008',
+      link: 'https://example.com/rock-creek-woodworkers/demo'
+    }
+  ];
+};
+
+/**
+ * Builds submissions waiting in the moderation queue, in the shape the
+ * submission form sends, plus the fields the admin API adds.
+ *
+ * @param {Date} [today] - Local midnight of the day to build around
+ * @returns {Object[]} Raw pending submissions
+ */
+export const createFixtureSubmissions = (today = getToday()) => [
+  {
+    id: 'mock-1',
+    status: 'pending',
+    submitted_at: addDays(today, -2).toISOString(),
+    name: 'Beginner Embroidery Workshop',
+    price: 20,
+    description: 'Learn six basic stitches on a hoop you keep.',
+    link: 'https://example.com/threadbare/embroidery',
+    kids: false,
+    location: 'Threadbare Studio',
+    date: toDateKey(addDays(today, 10)),
+    end_date: null,
+    time: '18:00',
+    end_time: '20:00',
+    organization: 'Threadbare Studio',
+    email: 'hello@threadbare.example.com',
+    recurrence: null
+  },
+  {
+    id: 'mock-2',
+    status: 'pending',
+    submitted_at: addDays(today, -1).toISOString(),
+    name: 'Kids Clay Animals',
+    price: 15,
+    description: 'Pinch pots and clay creatures for ages 6 to 12.',
+    link: 'https://example.com/capitol-clay/kids',
+    kids: true,
+    location: 'Capitol Clay Studio',
+    date: toDateKey(addDays(today, 13)),
+    end_date: null,
+    time: '10:00',
+    end_time: '11:30',
+    organization: 'Capitol Clay Studio',
+    email: 'classes@capitolclay.example.com',
+    recurrence: null
+  }
+];
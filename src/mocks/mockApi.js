@@ -0,0 +1,362 @@
+/**
+ * Mock API.
+ *
+ * Stand-in for the calendar backend and the admin API, so the app can run
+ * without credentials, in development and in tests. installMockApi wraps
+ * window.fetch and answers requests for the calendar and admin URLs (see
+ * api/endpoints); every other request goes to the network as usual.
+ *
+ * The mock:
+ * - serves the fixture events, plus published submissions, in the backend's
+ *   `{ body: "<json>" }` envelope with found_events
+ * - accepts submissions (POST to the calendar URL) and keeps them in
+ *   localStorage, so they survive reloads and appear on the calendar
+ * - answers the admin API (pending submissions, approve, reject, merging
+ *   duplicate events) for any non-empty bearer token
+ * - waits a little before answering, and can fail a share of requests with
+ *   503 to exercise the retry and offline paths
+ * - answers changes it cannot store (storage full or disabled) with 507, as
+ *   a backend would when its database write fails
+ *
+ * Settings come from the environment unless passed to installMockApi:
+ * REACT_APP_MOCK_LATENCY_MS, REACT_APP_MOCK_ERROR_RATE (0 to 1) and
+ * REACT_APP_MOCK_MODERATION ("true" to hold submissions for approval).
+ */
+import { getAdminUrl, getCalendarUrl } from '../api/endpoints';
+import { isValidDateKey } from '../utils/dateTime';
+import { getEventId } from '../utils/eventIdentity';
+import { MISSING_ADDRESS } from '../utils/eventLocation';
+import { createFixtureEvents, createFixtureSubmissions } from './fixtures';
+
+const STORAGE_KEY = 'dc-craft-events:mock-api';
+
+/**
+ * Reads a number from the environment.
+ *
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Value to use when it is missing or not a number
+ * @returns {number} The number
+ */
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Default settings, from the environment.
+ * - latencyMs: typical delay; each answer takes 50-150% of it
+ * - errorRate: share of requests answered with 503
+ * - moderate: whether submissions wait in the admin queue instead of being
+ *   published straight away
+ */
+export const DEFAULT_MOCK_OPTIONS = {
+  latencyMs: readNumber(process.env.REACT_APP_MOCK_LATENCY_MS, 400),
+  errorRate: readNumber(process.env.REACT_APP_MOCK_ERROR_RATE, 0),
+  moderate: process.env.REACT_APP_MOCK_MODERATION === 'true'
+};
+
+// The fetch being wrapped, while the mock is installed
+let realFetch = null;
+let settings = DEFAULT_MOCK_OPTIONS;
+let nextId = 1;
+
+/**
+ * Reads the stored state, seeding the moderation queue on first use.
+ * @returns {{submissions: Object[], mergedEventIds: string[]}} Raw submissions, in
+ *          every status, and the ids of events removed by merging
+ */
+const readState = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.submissions)) {
+      return { submissions: stored.submissions, mergedEventIds: stored.mergedEventIds || [] };
+    }
+  } catch {
+    // Fall through to the fixtures
+  }
+  return { submissions: createFixtureSubmissions(), mergedEventIds: [] };
+};
+
+/**
+ * Stores the state.
+ * @param {{submissions: Object[], mergedEventIds: string[]}} state - State to keep
+ * @returns {boolean} False when storage is full or disabled and nothing was kept
+ */
+const writeState = (state) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reads the stored submissions.
+ * @returns {Object[]} Raw submissions, in every status
+ */
+const readSubmissions = () => readState().submissions;
+
+/**
+ * Stores the submissions.
+ * @param {Object[]} submissions - Raw submissions, in every status
+ * @returns {boolean} False when nothing was kept
+ */
+const writeSubmissions = (submissions) => writeState({ ...readState(), submissions });
+
+/**
+ * Lists the events in the feed: the fixtures plus published submissions,
+ * minus the duplicates removed by merging.
+ * @returns {Object[]} Raw feed events
+ */
+const readFeedEvents = () => {
+  const { submissions, mergedEventIds } = readState();
+  const published = submissions.filter(submission => submission.status === 'approved');
+  return [...createFixtureEvents(), ...published.map(toFeedEvent)]
+    .filter(event => !mergedEventIds.includes(getEventId(event)));
+};
+
+/**
+ * Turns a published submission into a feed event. The submission form has
+ * no street address, so the feed's placeholder is used.
+ *
+ * @param {Object} submission - Raw submission
+ * @returns {Object} Raw feed event
+ */
+const toFeedEvent = (submission) => {
+  const { id, status, submitted_at: submittedAt, reason, email, organization, location, ...fields } = submission;
+  return { ...fields, business: organization, location_name: location, address: MISSING_ADDRESS };
+};
+
+/**
+ * Builds a response with a JSON body. Only the parts the events client
+ * reads are provided.
+ *
+ * @param {Object} data - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} fetch Response stand-in
+ */
+const jsonResponse = (data, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: () => Promise.resolve(data),
+  text: () => Promise.resolve(JSON.stringify(data))
+});
+
+/**
+ * Wraps a body in the Lambda-style envelope the backend uses.
+ * @param {Object} body - Inner body
+ * @returns {Object} `{ body: "<json>" }`
+ */
+const envelope = (body) => ({ body: JSON.stringify(body) });
+
+// Answer for a change that could not be stored
+const storageFailedResponse = () => jsonResponse({ message: 'Mock API: could not store the change' }, 507);
+
+/**
+ * Reads a request header from a Headers object or a plain object.
+ *
+ * @param {Headers|Object|undefined} headers - Request headers
+ * @param {string} name - Header name, any case
+ * @returns {string|null} The header value
+ */
+const getHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+};
+
+/**
+ * Resolves a URL against the page, so configured and requested URLs compare
+ * the same whether they are relative or absolute.
+ *
+ * @param {string} url - URL or path
+ * @returns {URL|null} The URL, or null when it cannot be parsed
+ */
+const toUrl = (url) => {
+  try {
+    return new URL(url, window.location.origin);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parses a JSON request body.
+ * @param {string|undefined} body - Request body
+ * @returns {Object} The parsed body, or an empty object
+ */
+const parseBody = (body) => {
+  try {
+    return JSON.parse(body) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Answers requests for the events feed.
+ *
+ * @param {string} method - HTTP method
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Response
+ */
+const handleCalendar = (method, body) => {
+  if (method === 'GET') {
+    return jsonResponse(envelope({ found_events: readFeedEvents() }));
+  }
+
+  if (method === 'POST') {
+    if (!body.name || !isValidDateKey(body.date)) {
+      return jsonResponse({ message: 'An event needs a name and a date' }, 400);
+    }
+    const submission = {
+      ...body,
+      id: `mock-${Date.now().toString(36)}-${nextId++}`,
+      status: settings.moderate ? 'pending' : 'approved',
+      submitted_at: new Date().toISOString()
+    };
+    if (!writeSubmissions([...readSubmissions(), submission])) return storageFailedResponse();
+    return jsonResponse(envelope({ message: 'Event created', id: submission.id }), 201);
+  }
+
+  return jsonResponse({ message: 'Method not allowed' }, 405);
+};
+
+/**
+ * Merges duplicate feed events by hiding the duplicates.
+ *
+ * @param {{keep: string, duplicates: string[]}} body - Parsed request body
+ * @returns {Object} Response
+ */
+const mergeFeedEvents = ({ keep, duplicates }) => {
+  if (!keep || !Array.isArray(duplicates) || duplicates.length === 0 || duplicates.includes(keep)) {
+    return jsonResponse({ message: 'Name one event to keep and at least one other to merge into it' }, 400);
+  }
+  const feedIds = readFeedEvents().map(getEventId);
+  if (![keep, ...duplicates].every(id => feedIds.includes(id))) {
+    return jsonResponse({ message: 'Event not found' }, 404);
+  }
+  const state = readState();
+  if (!writeState({ ...state, mergedEventIds: [...state.mergedEventIds, ...duplicates] })) {
+    return storageFailedResponse();
+  }
+  return jsonResponse(envelope({ message: 'Events merged', merged: duplicates.length }));
+};
+
+/**
+ * Answers requests for the admin API.
+ *
+ * @param {string} path - Path below the admin URL, e.g. "/submissions/mock-1/approve"
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} method - HTTP method
+ * @param {Object} body - Parsed request body
+ * @param {string|null} authorization - Authorization header
+ * @returns {Object} Response
+ */
+const handleAdmin = (path, query, method, body, authorization) => {
+  if (!/^Bearer \S+/.test(authorization || '')) {
+    return jsonResponse({ message: 'Invalid token' }, 401);
+  }
+
+  if (method === 'POST' && path === '/events/merge') {
+    return mergeFeedEvents(body);
+  }
+
+  const submissions = readSubmissions();
+  if (method === 'GET' && path === '/submissions') {
+    const status = query.get('status');
+    return jsonResponse(envelope({
+      found_submissions: submissions.filter(submission => !status || submission.status === status)
+    }));
+  }
+
+  const match = /^\/submissions\/([^/]+)\/(approve|reject)$/.exec(path);
+  if (method !== 'POST' || !match) {
+    return jsonResponse({ message: 'Not found' }, 404);
+  }
+
+  const id = decodeURIComponent(match[1]);
+  const submission = submissions.find(candidate => candidate.id === id);
+  if (!submission) return jsonResponse({ message: 'Submission not found' }, 404);
+  if (submission.status !== 'pending') return jsonResponse({ message: 'Submission was already moderated' }, 409);
+
+  if (match[2] === 'approve') {
+    Object.assign(submission, body.changes || {}, { status: 'approved' });
+  } else {
+    if (!body.reason || !String(body.reason).trim()) {
+      return jsonResponse({ message: 'A reason is required' }, 400);
+    }
+    Object.assign(submission, { status: 'rejected', reason: String(body.reason).trim() });
+  }
+  if (!writeSubmissions(submissions)) return storageFailedResponse();
+  return jsonResponse(envelope({ message: `Submission ${submission.status}` }));
+};
+
+/**
+ * Starts answering API requests from the mock. Installing again only
+ * updates the settings.
+ *
+ * @param {Object} [options] - Settings overriding DEFAULT_MOCK_OPTIONS
+ * @param {number} [options.latencyMs] - Typical delay before answering; 0 answers at once
+ * @param {number} [options.errorRate] - Share of requests to fail with 503, from 0 to 1
+ * @param {boolean} [options.moderate] - Hold submissions for approval
+ */
+export const installMockApi = (options = {}) => {
+  settings = { ...DEFAULT_MOCK_OPTIONS, ...options };
+  if (realFetch) return;
+
+  realFetch = window.fetch;
+  window.fetch = async (input, init = {}) => {
+    const url = toUrl(typeof input === 'string' ? input : input.url);
+    const calendarUrl = toUrl(getCalendarUrl());
+    const adminUrl = toUrl(getAdminUrl());
+    const isCalendar = url && calendarUrl && url.origin === calendarUrl.origin && url.pathname === calendarUrl.pathname;
+    const isAdmin = url && adminUrl && url.origin === adminUrl.origin &&
+      url.pathname.startsWith(adminUrl.pathname.replace(/\/$/, ''));
+    if (!isCalendar && !isAdmin) {
+      return realFetch.call(window, input, init);
+    }
+
+    if (settings.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, settings.latencyMs * (0.5 + Math.random())));
+    }
+    if (Math.random() < settings.errorRate) {
+      return jsonResponse({ message: 'Mock API: simulated outage' }, 503);
+    }
+
+    const method = (init.method || input.method || 'GET').toUpperCase();
+    const body = parseBody(init.body);
+    return isCalendar
+      ? handleCalendar(method, body)
+      : handleAdmin(
+        url.pathname.slice(adminUrl.pathname.replace(/\/$/, '').length),
+        url.searchParams,
+        method,
+        body,
+        getHeader(init.headers || input.headers, 'Authorization')
+      );
+  };
+};
+
+/**
+ * Stops the mock and restores the wrapped fetch.
+ */
+export const uninstallMockApi = () => {
+  if (!realFetch) return;
+  window.fetch = realFetch;
+  realFetch = null;
+};
+
+/**
+ * Forgets every submission and merge made to the mock, restoring the fixtures.
+ */
+export const resetMockApi = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to forget
+  }
+};
@@ -0,0 +1,100 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service Worker
+ *
+ * Keeps the calendar usable on spotty connections at markets and fairs:
+ * - precaches the production build so the app shell loads offline
+ * - serves the events feed stale-while-revalidate, stamping each cached copy
+ *   with the time it was fetched so the page can say how old it is
+ * - queues event submissions made while offline and replays them through
+ *   background sync once the connection returns
+ *
+ * Create React App compiles this file with Workbox and injects the list of
+ * build assets into self.__WB_MANIFEST.
+ */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, NetworkOnly } from 'workbox-strategies';
+import { BackgroundSyncPlugin } from 'workbox-background-sync';
+
+// Header added to cached feed responses; read by the events client
+const CACHED_AT_HEADER = 'X-Cached-At';
+const EVENTS_URL = process.env.REACT_APP_CALENDAR_URL;
+
+clientsClaim();
+
+// Precache every asset produced by the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for all navigations so client-side routes work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+/**
+ * Checks whether a request targets the events endpoint.
+ *
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for the events feed / submission URL
+ */
+const isEventsRequest = (url) =>
+  Boolean(EVENTS_URL) && `${url.origin}${url.pathname}` === new URL(EVENTS_URL, self.location.origin).href.split('?')[0];
+
+/**
+ * Workbox plugin that stamps cached responses with the time they were
+ * stored, and refuses to cache failed responses.
+ */
+const timestampPlugin = {
+  cacheWillUpdate: async ({ response }) => {
+    if (!response || response.status !== 200) return null;
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  }
+};
+
+// Events feed: answer from the cache right away and refresh it in the background
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && isEventsRequest(url),
+  new StaleWhileRevalidate({
+    cacheName: 'events-feed',
+    plugins: [
+      timestampPlugin,
+      new ExpirationPlugin({ maxEntries: 5, maxAgeSeconds: 7 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// Event submissions: queue while offline, replay for up to a day
+registerRoute(
+  ({ url, request }) => request.method === 'POST' && isEventsRequest(url),
+  new NetworkOnly({
+    plugins: [
+      new BackgroundSyncPlugin('event-submissions', {
+        maxRetentionTime: 24 * 60
+      })
+    ]
+  }),
+  'POST'
+);
+
+// Let the page activate a waiting service worker immediately
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
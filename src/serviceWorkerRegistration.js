@@ -0,0 +1,66 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers the Workbox service worker built from src/service-worker.js.
+ * Only runs in production builds: in development the worker would cache
+ * stale bundles and get in the way of hot reloading.
+ *
+ * @file Service worker registration helpers
+ */
+
+/**
+ * Registers the service worker once the page has loaded.
+ *
+ * @param {Object} [config] - Optional callbacks
+ * @param {Function} [config.onUpdate] - Called with the registration when new content is waiting
+ * @param {Function} [config.onSuccess] - Called with the registration once content is cached for offline use
+ */
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker cannot control pages on a different origin than PUBLIC_URL
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installingWorker = registration.installing;
+          if (!installingWorker) return;
+
+          installingWorker.onstatechange = () => {
+            if (installingWorker.state !== 'installed') return;
+
+            if (navigator.serviceWorker.controller) {
+              // New content will be used once all tabs for this page are closed
+              if (config.onUpdate) config.onUpdate(registration);
+            } else if (config.onSuccess) {
+              config.onSuccess(registration);
+            }
+          };
+        };
+      })
+      .catch((error) => {
+        console.error('Error during service worker registration:', error);
+      });
+  });
+}
+
+/**
+ * Removes the service worker, e.g. when offline support needs to be turned off.
+ */
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  normalizeCraft,
+  normalizeCraftTags,
+  getCraftCategory,
+  getEventCraftIds,
+  getCraftLabel,
+  getCraftStyle,
+  getCraftLegend
+} from '../craftTaxonomy';
+
+describe('craftTaxonomy', () => {
+  it('resolves category names to ids and "other" to the given craft', () => {
+    expect(normalizeCraft('ceramics')).toBe('ceramics');
+    expect(normalizeCraft('Paper Crafts')).toBe('paper-crafts');
+    expect(normalizeCraft(' Pottery ')).toBe('Pottery');
+    expect(normalizeCraft('other', 'Bookbinding')).toBe('Bookbinding');
+    expect(normalizeCraft('other', '  ')).toBe('other');
+    expect(normalizeCraft('')).toBeNull();
+    expect(normalizeCraft(undefined)).toBeNull();
+  });
+
+  it('keeps known secondary tags in taxonomy order', () => {
+    expect(normalizeCraftTags(['jewelry', 'ceramics', 'jewelry', 'other', 'lace'], 'woodworking'))
+      .toEqual(['ceramics', 'jewelry']);
+    expect(normalizeCraftTags(['ceramics'], 'ceramics')).toEqual([]);
+    expect(normalizeCraftTags('ceramics')).toEqual([]);
+  });
+
+  it('places free-text crafts in a category', () => {
+    expect(getCraftCategory('Pottery').id).toBe('ceramics');
+    expect(getCraftCategory('Stained Glass').id).toBe('glass');
+    expect(getCraftCategory('fiber-arts').id).toBe('fiber-arts');
+    expect(getCraftCategory('Candle Making').id).toBe('other');
+    expect(getCraftCategory(null)).toBeNull();
+  });
+
+  it('lists an event\'s categories, its craft\'s first', () => {
+    expect(getEventCraftIds({ craft: 'Knitting', craft_tags: ['ceramics', 'fiber-arts'] }))
+      .toEqual(['fiber-arts', 'ceramics']);
+    expect(getEventCraftIds({ craft: null, craft_tags: ['glass'] })).toEqual(['glass']);
+    expect(getEventCraftIds({})).toEqual([]);
+  });
+
+  it('names categories through the catalog and free text as is', () => {
+    const t = (key) => `<${key}>`;
+    expect(getCraftLabel('fiber-arts', t)).toBe('<crafts.fiber-arts>');
+    expect(getCraftLabel('Pottery', t)).toBe('Pottery');
+    expect(getCraftLabel(null, t)).toBe('');
+  });
+
+  it('colors events by category', () => {
+    expect(getCraftStyle('Knitting')).toEqual(getCraftStyle('fiber-arts'));
+    expect(getCraftStyle('Knitting')['--craft-color']).toBeDefined();
+    expect(getCraftStyle(null)).toEqual({});
+  });
+
+  it('lists the categories present, for the legend', () => {
+    const legend = getCraftLegend([
+      { craft: 'Woodworking' },
+      { craft: 'Pottery' },
+      { craft: 'ceramics' },
+      { craft: null }
+    ]);
+    expect(legend.map(category => category.id)).toEqual(['ceramics', 'woodworking']);
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  toDateKey,
+  parseDateKey,
+  isValidDateKey,
+  toLocalDateTime,
+  addMonths,
+  startOfWeek,
+  orderWeekdays,
+  getISOWeek,
+  getTodayKey,
+  parseTime,
+  getHour,
+  formatTime,
+  formatTimeRange,
+  getDurationMinutes,
+  formatDuration
+} from '../dateTime';
+
+describe('dateTime', () => {
+  it('converts between dates and date keys without shifting days', () => {
+    expect(toDateKey(new Date(2025, 0, 5))).toBe('2025-01-05');
+    expect(parseDateKey('2025-01-05')).toEqual(new Date(2025, 0, 5));
+  });
+
+  it('rejects malformed and impossible date keys', () => {
+    expect(isValidDateKey('2025-06-14')).toBe(true);
+    expect(isValidDateKey('2025-02-30')).toBe(false);
+    expect(isValidDateKey('2025-6-14')).toBe(false);
+    expect(isValidDateKey(null)).toBe(false);
+  });
+
+  it('builds local dates at a wall-clock time', () => {
+    expect(toLocalDateTime('2025-06-14', '18:30')).toEqual(new Date(2025, 5, 14, 18, 30));
+    expect(toLocalDateTime('2025-06-14', null)).toEqual(new Date(2025, 5, 14));
+  });
+
+  it('moves by months, keeping the day where the month allows', () => {
+    expect(addMonths(new Date(2025, 5, 14), 1)).toEqual(new Date(2025, 6, 14));
+    expect(addMonths(new Date(2025, 0, 31), 1)).toEqual(new Date(2025, 1, 28));
+    expect(addMonths(new Date(2025, 0, 15), -12)).toEqual(new Date(2024, 0, 15));
+  });
+
+  it('starts weeks on Sunday or Monday', () => {
+    // Wednesday, June 18, 2025
+    expect(startOfWeek(new Date(2025, 5, 18))).toEqual(new Date(2025, 5, 15));
+    expect(startOfWeek(new Date(2025, 5, 18), 1)).toEqual(new Date(2025, 5, 16));
+    expect(startOfWeek(new Date(2025, 5, 15), 1)).toEqual(new Date(2025, 5, 9));
+    expect(orderWeekdays(['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'], 1))
+      .toEqual(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']);
+  });
+
+  it('numbers weeks the ISO way', () => {
+    expect(getISOWeek(new Date(2025, 5, 18))).toBe(25);
+    // The first Thursday of 2025 is January 2, so December 30, 2024 is in week 1
+    expect(getISOWeek(new Date(2024, 11, 30))).toBe(1);
+    expect(getISOWeek(new Date(2021, 0, 3))).toBe(53);
+  });
+
+  it('takes today from New York, not UTC or the viewer', () => {
+    // 10:30 PM on June 14 in New York
+    expect(getTodayKey(new Date('2025-06-15T02:30:00Z'))).toBe('2025-06-14');
+    expect(getTodayKey(new Date('2025-06-15T04:30:00Z'))).toBe('2025-06-15');
+  });
+
+  it('parses 12- and 24-hour times', () => {
+    expect(parseTime('6:30 PM')).toBe('18:30');
+    expect(parseTime('12:00 AM')).toBe('00:00');
+    expect(parseTime('12:15 pm')).toBe('12:15');
+    expect(parseTime('7p')).toBe('19:00');
+    expect(parseTime('7:30 a.m.')).toBe('07:30');
+    expect(parseTime('18:30:00')).toBe('18:30');
+    expect(parseTime('9:05')).toBe('09:05');
+  });
+
+  it('rejects invalid times', () => {
+    ['', null, '7', '13:00 PM', '24:00', '6:75 PM', 'soon'].forEach((text) => {
+      expect(parseTime(text)).toBeNull();
+    });
+    expect(getHour('18:30')).toBe(18);
+    expect(getHour(null)).toBeNull();
+  });
+
+  it('formats 24-hour times in 12-hour format', () => {
+    expect(formatTime('18:30')).toBe('6:30 PM');
+    expect(formatTime('00:15:00')).toBe('12:15 AM');
+    expect(formatTime('12:00')).toBe('12:00 PM');
+    expect(formatTime(null)).toBe('');
+  });
+
+  it('shares AM/PM in ranges within the same half of the day', () => {
+    expect(formatTimeRange('18:00', '20:30')).toBe('6:00–8:30 PM');
+    expect(formatTimeRange('11:00', '13:00')).toBe('11:00 AM–1:00 PM');
+    expect(formatTimeRange('22:00', '01:00')).toBe('10:00 PM–1:00 AM');
+    expect(formatTimeRange('18:00', null)).toBe('6:00 PM');
+  });
+
+  it('measures durations, including past midnight', () => {
+    expect(getDurationMinutes('18:00', '20:30')).toBe(150);
+    expect(getDurationMinutes('22:00', '01:00')).toBe(180);
+    expect(getDurationMinutes('18:00', null)).toBeNull();
+    expect(formatDuration(150)).toBe('2 hr 30 min');
+    expect(formatDuration(120)).toBe('2 hr');
+    expect(formatDuration(45)).toBe('45 min');
+  });
+});
@@ -0,0 +1,42 @@
+import { MAX_DRAFTS, createDraftId, isEmptyDraft, selectRecentDrafts, describeDraftTime } from '../drafts';
+import { DEFAULT_RECURRENCE } from '../recurrence';
+import { createI18n } from '../../i18n/i18n';
+
+const blank = { name: '', price: '', kids: null, date: '' };
+
+describe('drafts', () => {
+  it('creates distinct ids', () => {
+    expect(createDraftId()).toMatch(/^draft-/);
+    expect(createDraftId()).not.toBe(createDraftId());
+  });
+
+  it('treats an untouched form as empty', () => {
+    expect(isEmptyDraft(blank, DEFAULT_RECURRENCE)).toBe(true);
+    expect(isEmptyDraft({ ...blank, name: '  ' }, DEFAULT_RECURRENCE)).toBe(true);
+    expect(isEmptyDraft({ ...blank, name: 'Pottery night' }, DEFAULT_RECURRENCE)).toBe(false);
+    expect(isEmptyDraft({ ...blank, kids: false }, DEFAULT_RECURRENCE)).toBe(false);
+    expect(isEmptyDraft(blank, { ...DEFAULT_RECURRENCE, frequency: 'weekly' })).toBe(false);
+  });
+
+  it('keeps the newest drafts first', () => {
+    const drafts = Array.from({ length: MAX_DRAFTS + 2 }, (_, index) => ({
+      id: `draft-${index}`,
+      savedAt: new Date(2025, 5, 1 + index).toISOString()
+    }));
+    const recent = selectRecentDrafts(drafts);
+    expect(recent).toHaveLength(MAX_DRAFTS);
+    expect(recent[0].id).toBe(`draft-${MAX_DRAFTS + 1}`);
+    expect(recent.map(draft => draft.id)).not.toContain('draft-0');
+  });
+
+  it('describes when a draft was saved', () => {
+    const en = createI18n('en');
+    // Thursday
+    const now = new Date(2025, 5, 12, 9, 0);
+    expect(describeDraftTime(new Date(2025, 5, 12, 8, 5).toISOString(), en, now)).toBe('today at 8:05 AM');
+    expect(describeDraftTime(new Date(2025, 5, 11, 23, 59).toISOString(), en, now)).toBe('yesterday');
+    expect(describeDraftTime(new Date(2025, 5, 10, 12, 0).toISOString(), en, now)).toBe('Tuesday');
+    expect(describeDraftTime(new Date(2025, 5, 1, 12, 0).toISOString(), en, now)).toBe('Jun 1');
+    expect(describeDraftTime(new Date(2025, 5, 10, 12, 0).toISOString(), createI18n('es'), now)).toBe('el martes');
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  DUPLICATE_THRESHOLD,
+  textSimilarity,
+  timeSimilarity,
+  scoreDuplicate,
+  findDuplicates,
+  findDuplicateGroups
+} from '../duplicateDetection';
+
+const fair = {
+  id: 'fair',
+  name: 'Eastern Market Makers Fair',
+  date: '2025-06-14',
+  end_date: null,
+  time: '10:00',
+  location_name: 'Eastern Market',
+  recurrence: null
+};
+
+describe('duplicateDetection', () => {
+  it('compares text ignoring case, accents, punctuation and filler words', () => {
+    expect(textSimilarity("The Eastern Market Makers' Fair!", 'eastern market makers fair')).toBe(1);
+    expect(textSimilarity('Cerámica Night', 'ceramica night')).toBe(1);
+    expect(textSimilarity('Eastern Market Makers Fair', 'Eastern Mkt Makers Fair')).toBeGreaterThan(0.8);
+    expect(textSimilarity('Pottery Night', 'Knitting Circle')).toBeLessThan(0.3);
+    expect(textSimilarity('', 'Pottery Night')).toBeNull();
+  });
+
+  it('compares start times within two hours', () => {
+    expect(timeSimilarity('10:00', '10:00')).toBe(1);
+    expect(timeSimilarity('10:00', '11:00')).toBe(0.5);
+    expect(timeSimilarity('10:00', '14:00')).toBe(0);
+    expect(timeSimilarity(null, '10:00')).toBeNull();
+  });
+
+  it('flags reworded events at the same venue and time', () => {
+    expect(scoreDuplicate(fair, { ...fair, name: 'The Eastern Market Maker Fair' })).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(scoreDuplicate(fair, { ...fair, location_name: 'Eastern Market North Hall', time: '10:30' }))
+      .toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(scoreDuplicate(fair, { ...fair, name: 'Block Printing Workshop' })).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  it('finds duplicates on the same day only', () => {
+    const copy = { ...fair, id: 'copy', name: 'Eastern Market Makers Fair 2025' };
+    const otherDay = { ...fair, id: 'other-day', date: '2025-06-21' };
+    const unrelated = { ...fair, id: 'unrelated', name: 'Stitch and Sip', location_name: 'The Corner Cafe', time: '19:00' };
+    const matches = findDuplicates(fair, [unrelated, otherDay, copy]);
+    expect(matches.map(match => match.event.id)).toEqual(['copy']);
+    expect(findDuplicates({ ...fair, date: '' }, [copy])).toEqual([]);
+  });
+
+  it('matches multi-day and recurring events on any of their days', () => {
+    const multiDay = { ...fair, id: 'multi', date: '2025-06-13', end_date: '2025-06-15' };
+    const weekly = { ...fair, id: 'weekly', date: '2025-05-31', recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SA', exdates: [] } };
+    const matches = findDuplicates(fair, [multiDay, weekly]);
+    expect(matches).toHaveLength(2);
+    expect(matches.some(match => match.event.id === 'multi')).toBe(true);
+    // Recurring events match on the occurrence that shares the day
+    expect(matches.find(match => match.event.recurrence).event.date).toBe('2025-06-14');
+  });
+
+  it('groups duplicates already in the feed', () => {
+    const events = [
+      fair,
+      { ...fair, id: 'b', name: 'Eastern Market Makers Fair (vendors)' },
+      { ...fair, id: 'c', name: 'Pottery Night', location_name: 'Capitol Clay', time: '18:00' },
+      { ...fair, id: 'd', date: '2025-06-20' },
+      { ...fair, id: 'e', date: '2025-06-20', name: 'Eastern Market Makers Fair' }
+    ];
+    const groups = findDuplicateGroups(events);
+    expect(groups.map(group => group.map(event => event.id))).toEqual([['fair', 'b'], ['d', 'e']]);
+    expect(findDuplicateGroups([fair])).toEqual([]);
+  });
+});
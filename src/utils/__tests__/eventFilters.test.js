@@ -0,0 +1,73 @@
+import { DEFAULT_FILTERS, matchesFilters, hasActiveFilters, getFilterOptions } from '../eventFilters';
+
+const pottery = { name: 'Wheel Throwing', craft: 'Pottery', business: 'Clay Studio', price: 0, kids: true };
+const knitting = { name: 'Knit Night', craft: 'Knitting', business: 'Yarn Shop', price: 25, kids: false };
+const unpriced = { name: 'Open Studio', craft: 'Pottery', business: 'Clay Studio', price: null, kids: null };
+const glazing = { name: 'Glaze Day', craft: 'mixed-media', craft_tags: ['ceramics'], business: 'Clay Studio', price: 10, kids: false };
+
+describe('eventFilters', () => {
+  describe('matchesFilters', () => {
+    it('lets every event through with the default filters', () => {
+      [pottery, knitting, unpriced].forEach(event => {
+        expect(matchesFilters(event, DEFAULT_FILTERS)).toBe(true);
+      });
+    });
+
+    it('filters by any of the selected craft categories', () => {
+      const filters = { ...DEFAULT_FILTERS, crafts: ['ceramics'] };
+      expect(matchesFilters(pottery, filters)).toBe(true);
+      expect(matchesFilters(knitting, filters)).toBe(false);
+      expect(matchesFilters(knitting, { ...filters, crafts: ['ceramics', 'fiber-arts'] })).toBe(true);
+    });
+
+    it('matches a category through the secondary craft tags', () => {
+      expect(matchesFilters(glazing, { ...DEFAULT_FILTERS, crafts: ['ceramics'] })).toBe(true);
+      expect(matchesFilters(glazing, { ...DEFAULT_FILTERS, crafts: ['mixed-media'] })).toBe(true);
+      expect(matchesFilters(glazing, { ...DEFAULT_FILTERS, crafts: ['fiber-arts'] })).toBe(false);
+    });
+
+    it('only keeps kid-friendly events when kidsOnly is set', () => {
+      const filters = { ...DEFAULT_FILTERS, kidsOnly: true };
+      expect(matchesFilters(pottery, filters)).toBe(true);
+      expect(matchesFilters(knitting, filters)).toBe(false);
+      expect(matchesFilters(unpriced, filters)).toBe(false);
+    });
+
+    it('keeps only free events and drops events without a price', () => {
+      const filters = { ...DEFAULT_FILTERS, price: 'free' };
+      expect(matchesFilters(pottery, filters)).toBe(true);
+      expect(matchesFilters(knitting, filters)).toBe(false);
+      expect(matchesFilters(unpriced, filters)).toBe(false);
+    });
+
+    it('applies open-ended price ranges', () => {
+      expect(matchesFilters(knitting, { ...DEFAULT_FILTERS, price: 'range', minPrice: '20' })).toBe(true);
+      expect(matchesFilters(knitting, { ...DEFAULT_FILTERS, price: 'range', maxPrice: '20' })).toBe(false);
+      expect(matchesFilters(pottery, { ...DEFAULT_FILTERS, price: 'range', minPrice: '', maxPrice: '' })).toBe(true);
+    });
+
+    it('filters by organizer', () => {
+      const filters = { ...DEFAULT_FILTERS, organizer: 'Yarn Shop' };
+      expect(matchesFilters(knitting, filters)).toBe(true);
+      expect(matchesFilters(pottery, filters)).toBe(false);
+    });
+  });
+
+  describe('hasActiveFilters', () => {
+    it('is false for the defaults and true once anything is set', () => {
+      expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+      expect(hasActiveFilters({ ...DEFAULT_FILTERS, kidsOnly: true })).toBe(true);
+    });
+  });
+
+  describe('getFilterOptions', () => {
+    it('returns de-duplicated craft categories and sorted organizers', () => {
+      const options = getFilterOptions({
+        '2025-06-01': [pottery, knitting],
+        '2025-06-02': [unpriced, glazing, { name: 'No details' }]
+      });
+      expect(options.crafts).toEqual(['ceramics', 'fiber-arts', 'mixed-media']);
+      expect(options.organizers).toEqual(['Clay Studio', 'Yarn Shop']);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { MAX_IMAGE_BYTES, validateImageFile, fitWithin, isImageUrl } from '../eventImage';
+
+describe('eventImage', () => {
+  it('accepts photos and flyers within the size limit', () => {
+    expect(validateImageFile({ type: 'image/jpeg', size: 2048 })).toBeNull();
+    expect(validateImageFile({ type: 'image/png', size: MAX_IMAGE_BYTES })).toBeNull();
+    expect(validateImageFile({ type: 'image/gif', size: 2048 })).toBe('type');
+    expect(validateImageFile({ type: 'application/pdf', size: 2048 })).toBe('type');
+    expect(validateImageFile({ type: 'image/webp', size: MAX_IMAGE_BYTES + 1 })).toBe('size');
+  });
+
+  it('scales large images down, keeping the aspect ratio', () => {
+    expect(fitWithin(4000, 3000, 1200)).toEqual({ width: 1200, height: 900 });
+    expect(fitWithin(1080, 1350, 1200)).toEqual({ width: 960, height: 1200 });
+    expect(fitWithin(640, 480, 1200)).toEqual({ width: 640, height: 480 });
+    expect(fitWithin(5000, 2, 1200)).toEqual({ width: 1200, height: 1 });
+  });
+
+  it('only shows web and inline image URLs', () => {
+    expect(isImageUrl('https://example.com/flyer.jpg')).toBe(true);
+    expect(isImageUrl('data:image/jpeg;base64,/9j/4AAQ')).toBe(true);
+    expect(isImageUrl('ftp://example.com/flyer.jpg')).toBe(false);
+    expect(isImageUrl('data:text/html;base64,PHA+')).toBe(false);
+    expect(isImageUrl(null)).toBe(false);
+    expect(isImageUrl('')).toBe(false);
+  });
+});
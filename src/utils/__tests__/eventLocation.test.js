@@ -0,0 +1,36 @@
+import { hasStreetAddress, formatCityLine, getAddressLines, getMapsUrl } from '../eventLocation';
+
+const studio = {
+  location_name: 'Clay Studio',
+  address: '123 Main St NW',
+  city: 'Washington',
+  state: 'DC',
+  zip: '20001'
+};
+
+describe('eventLocation', () => {
+  it('treats the feed placeholder as a missing address', () => {
+    expect(hasStreetAddress(studio)).toBe(true);
+    expect(hasStreetAddress({ ...studio, address: 'NAMER' })).toBe(false);
+    expect(hasStreetAddress({ ...studio, address: '' })).toBe(false);
+    expect(hasStreetAddress({ location_name: 'Clay Studio' })).toBe(false);
+  });
+
+  it('formats the street and city lines', () => {
+    expect(formatCityLine(studio)).toBe('Washington, DC 20001');
+    expect(formatCityLine({ city: 'Washington' })).toBe('Washington');
+    expect(getAddressLines(studio)).toEqual(['123 Main St NW', 'Washington, DC 20001']);
+    expect(getAddressLines({ address: '123 Main St NW' })).toEqual(['123 Main St NW']);
+    expect(getAddressLines({ ...studio, address: 'NAMER' })).toEqual([]);
+  });
+
+  it('builds a map search for the venue and address', () => {
+    expect(getMapsUrl(studio)).toBe(
+      'https://www.google.com/maps/search/?api=1&query=Clay%20Studio%2C%20123%20Main%20St%20NW%2C%20Washington%2C%20DC%2020001'
+    );
+    expect(getMapsUrl({ ...studio, address: 'NAMER' })).toBe(
+      'https://www.google.com/maps/search/?api=1&query=Clay%20Studio'
+    );
+    expect(getMapsUrl({ address: 'NAMER' })).toBeNull();
+  });
+});
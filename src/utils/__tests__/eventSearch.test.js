@@ -0,0 +1,43 @@
+import { searchEvents } from '../eventSearch';
+
+const events = {
+  '2025-06-14': [
+    { name: 'Pottery Night', date: '2025-06-14', time: '18:00:00', business: 'Clay Studio', craft: 'Ceramics' },
+    { name: 'Knit Along', date: '2025-06-14', time: '10:00:00', business: 'Yarn Shop', description: 'Bring your pottery-themed yarn' }
+  ],
+  '2025-05-02': [
+    { name: 'Cerámica para niños', date: '2025-05-02', business: 'Centro Cultural', location_name: 'Columbia Heights' }
+  ],
+  '2025-07-20': [
+    { name: 'Wheel Throwing', date: '2025-07-20', business: 'Clay Studio', location_name: 'Pottery House' }
+  ]
+};
+
+describe('searchEvents', () => {
+  it('returns nothing for an empty query', () => {
+    expect(searchEvents(events, '   ')).toEqual([]);
+  });
+
+  it('searches every fetched month, not just one', () => {
+    const names = searchEvents(events, 'clay').map(event => event.name);
+    expect(names).toEqual(['Pottery Night', 'Wheel Throwing']);
+  });
+
+  it('ranks name matches above location and description matches', () => {
+    const names = searchEvents(events, 'pottery').map(event => event.name);
+    expect(names).toEqual(['Pottery Night', 'Wheel Throwing', 'Knit Along']);
+  });
+
+  it('requires every word of the query to match', () => {
+    const names = searchEvents(events, 'clay wheel').map(event => event.name);
+    expect(names).toEqual(['Wheel Throwing']);
+  });
+
+  it('ignores case and accents', () => {
+    expect(searchEvents(events, 'CERAMICA')[0].name).toBe('Cerámica para niños');
+  });
+
+  it('limits the number of results', () => {
+    expect(searchEvents(events, 'a', 2)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,42 @@
+import { getFavoriteEntries } from '../favorites';
+
+const pottery = { id: 'pottery', name: 'Pottery Night', date: '2025-06-14', time: '18:30' };
+const fair = { id: 'fair', name: 'Craft Fair', date: '2025-06-10', time: null };
+const past = { id: 'past', name: 'Old Workshop', date: '2025-05-01', time: '10:00' };
+
+const favoritesOf = (...events) =>
+  Object.fromEntries(events.map(event => [event.id, { event, starredAt: '2025-05-01T00:00:00Z' }]));
+
+describe('getFavoriteEntries', () => {
+  it('lists upcoming favorites in date order and hides past ones', () => {
+    const entries = getFavoriteEntries(favoritesOf(pottery, fair, past), [pottery, fair, past], '2025-06-01');
+    expect(entries.map(entry => entry.id)).toEqual(['fair', 'pottery']);
+    expect(entries.every(entry => entry.status === 'current')).toBe(true);
+  });
+
+  it('keeps a multi-day favorite until its last day has passed', () => {
+    const market = { id: 'market', name: 'Makers Market', date: '2025-05-30', end_date: '2025-06-02', time: '10:00' };
+    expect(getFavoriteEntries(favoritesOf(market), [market], '2025-06-01').map(entry => entry.id)).toEqual(['market']);
+    expect(getFavoriteEntries(favoritesOf(market), [market], '2025-06-02')).toHaveLength(1);
+    expect(getFavoriteEntries(favoritesOf(market), [market], '2025-06-03')).toEqual([]);
+  });
+
+  it('flags favorites that are no longer in the feed', () => {
+    const [entry] = getFavoriteEntries(favoritesOf(pottery), [fair], '2025-06-01');
+    expect(entry.status).toBe('removed');
+    expect(entry.event).toEqual(pottery);
+  });
+
+  it('flags time changes and shows the current time', () => {
+    const moved = { ...pottery, time: '19:00' };
+    const [entry] = getFavoriteEntries(favoritesOf(pottery), [moved], '2025-06-01');
+    expect(entry.status).toBe('time-changed');
+    expect(entry.event.time).toBe('19:00');
+    expect(entry.previousTime).toBe('18:30');
+  });
+
+  it('marks everything unknown when the feed could not be loaded', () => {
+    const entries = getFavoriteEntries(favoritesOf(pottery, fair), null, '2025-06-01');
+    expect(entries.map(entry => entry.status)).toEqual(['unknown', 'unknown']);
+  });
+});
@@ -0,0 +1,40 @@
+import { trapFocus } from '../focus';
+
+describe('trapFocus', () => {
+  let dialog;
+  let first;
+  let last;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="dialog" tabindex="-1"><button>First</button><a href="#x">Last</a></div>';
+    dialog = document.getElementById('dialog');
+    [first, last] = dialog.children;
+  });
+
+  const pressTab = (shiftKey = false) => {
+    const event = { key: 'Tab', shiftKey, currentTarget: dialog, preventDefault: jest.fn() };
+    trapFocus(event);
+    return event;
+  };
+
+  it('wraps Tab from the last element to the first', () => {
+    last.focus();
+    expect(pressTab().preventDefault).toHaveBeenCalled();
+    expect(document.activeElement).toBe(first);
+  });
+
+  it('wraps Shift+Tab from the first element or the dialog itself to the last', () => {
+    first.focus();
+    pressTab(true);
+    expect(document.activeElement).toBe(last);
+
+    dialog.focus();
+    pressTab(true);
+    expect(document.activeElement).toBe(last);
+  });
+
+  it('leaves Tab alone between elements', () => {
+    first.focus();
+    expect(pressTab().preventDefault).not.toHaveBeenCalled();
+  });
+});
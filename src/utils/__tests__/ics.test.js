@@ -0,0 +1,113 @@
+import { buildCalendar, escapeText, foldLine } from '../ics';
+
+const now = new Date(Date.UTC(2025, 5, 1, 12, 0, 0));
+
+const timedEvent = {
+  name: 'Pottery Night',
+  date: '2025-06-14',
+  time: '18:30:00',
+  business: 'Clay Studio',
+  description: 'Wheel throwing; all levels, all ages',
+  location_name: 'Clay Studio',
+  address: '123 Main St',
+  city: 'Washington',
+  state: 'DC',
+  zip: '20001',
+  price: 25,
+  link: 'https://example.com/pottery'
+};
+
+const untimedEvent = {
+  name: 'Craft Fair',
+  date: '2025-06-30',
+  time: null,
+  address: 'NAMER',
+  location_name: 'Union Market'
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('ics', () => {
+  describe('escapeText', () => {
+    it('escapes backslashes, semicolons, commas and newlines', () => {
+      expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('leaves short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+      const line = `DESCRIPTION:${'é'.repeat(60)}`;
+      const folded = foldLine(line);
+      const encoder = new TextEncoder();
+      folded.split('\r\n').forEach(part => {
+        expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+      });
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('wraps events in a VCALENDAR with CRLF line endings', () => {
+      const ics = buildCalendar([timedEvent], { now });
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    });
+
+    it('writes timed events in America/New_York with a VTIMEZONE block', () => {
+      const ics = unfold(buildCalendar([timedEvent], { now }));
+      expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York');
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20250614T183000');
+      expect(ics).toContain('DTEND;TZID=America/New_York:20250614T193000');
+      expect(ics).toContain('DTSTAMP:20250601T120000Z');
+    });
+
+    it('ends at the end time, including past midnight', () => {
+      const ics = unfold(buildCalendar([{ ...timedEvent, end_time: '01:00' }], { now }));
+      expect(ics).toContain('DTEND;TZID=America/New_York:20250615T010000');
+    });
+
+    it('writes events without a time as all-day events', () => {
+      const ics = unfold(buildCalendar([untimedEvent], { now }));
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250630');
+      expect(ics).toContain('DTEND;VALUE=DATE:20250701');
+      expect(ics).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    it('spans all the days of a multi-day event', () => {
+      const allDay = unfold(buildCalendar([{ ...untimedEvent, end_date: '2025-07-02' }], { now }));
+      expect(allDay).toContain('DTSTART;VALUE=DATE:20250630');
+      expect(allDay).toContain('DTEND;VALUE=DATE:20250703');
+
+      const timed = unfold(buildCalendar([{ ...timedEvent, end_date: '2025-06-15' }], { now }));
+      expect(timed).toContain('DTEND;TZID=America/New_York:20250614T193000');
+      expect(timed).toContain('RRULE:FREQ=DAILY;COUNT=2');
+    });
+
+    it('includes the escaped details, full address and link', () => {
+      const ics = unfold(buildCalendar([timedEvent], { now }));
+      expect(ics).toContain('SUMMARY:Pottery Night');
+      expect(ics).toContain('DESCRIPTION:Wheel throwing\\; all levels\\, all ages\\nOrganizer: Clay Studio');
+      expect(ics).toContain('LOCATION:Clay Studio\\, 123 Main St\\, Washington\\, DC 20001');
+      expect(ics).toContain('URL:https://example.com/pottery');
+    });
+
+    it('skips the NAMER address placeholder', () => {
+      const ics = unfold(buildCalendar([untimedEvent], { now }));
+      expect(ics).toContain('LOCATION:Union Market\r\n');
+    });
+
+    it('gives each event a stable, unique UID', () => {
+      const first = buildCalendar([timedEvent, untimedEvent], { now });
+      const second = buildCalendar([timedEvent, untimedEvent], { now: new Date() });
+      const uids = (ics) => ics.match(/^UID:.*$/gm);
+      expect(uids(first)).toHaveLength(2);
+      expect(new Set(uids(first)).size).toBe(2);
+      expect(uids(first)).toEqual(uids(second));
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  getSpanLength,
+  getCoveredDates,
+  formatDateRange,
+  spreadMultiDayEvents,
+  layoutSpanningEvents
+} from '../multiDay';
+
+const fair = { name: 'Craft Fair', date: '2025-06-13', end_date: '2025-06-15' };
+const market = { name: 'Night Market', date: '2025-06-14', end_date: '2025-06-16' };
+const pottery = { name: 'Pottery Night', date: '2025-06-14', end_date: null };
+
+// June 2025 starts on a Sunday
+const juneKeys = Array.from({ length: 30 }, (_, index) => `2025-06-${String(index + 1).padStart(2, '0')}`);
+
+describe('multiDay', () => {
+  it('counts and lists the covered days', () => {
+    expect(getSpanLength(fair)).toBe(3);
+    expect(getSpanLength(pottery)).toBe(1);
+    expect(getSpanLength({ date: '2025-03-08', end_date: '2025-03-10' })).toBe(3);
+    expect(getCoveredDates(fair)).toEqual(['2025-06-13', '2025-06-14', '2025-06-15']);
+  });
+
+  it('formats date ranges within and across months', () => {
+    expect(formatDateRange(fair)).toBe('Jun 13 – 15');
+    expect(formatDateRange({ date: '2025-06-30', end_date: '2025-07-02' })).toBe('Jun 30 – Jul 2');
+  });
+
+  it('places multi-day events on each day with their position', () => {
+    const spread = spreadMultiDayEvents({ '2025-06-13': [fair], '2025-06-14': [pottery] });
+    expect(Object.keys(spread).sort()).toEqual(['2025-06-13', '2025-06-14', '2025-06-15']);
+    expect(spread['2025-06-14']).toEqual([
+      expect.objectContaining({ name: 'Craft Fair', spanDay: 2, spanLength: 3 }),
+      pottery
+    ]);
+  });
+
+  it('gives overlapping events separate lanes and aligns rows', () => {
+    const layout = layoutSpanningEvents([market, fair], juneKeys);
+    expect(layout['2025-06-13'].map(segment => segment && segment.event.name)).toEqual(['Craft Fair', null]);
+    expect(layout['2025-06-14'].map(segment => segment.event.name)).toEqual(['Craft Fair', 'Night Market']);
+    // Empty slots keep later days in the same week row aligned
+    expect(layout['2025-06-12']).toEqual([null, null]);
+    expect(layout['2025-06-01']).toEqual([]);
+  });
+
+  it('breaks bars at week rows and shows the name again', () => {
+    const layout = layoutSpanningEvents([market], juneKeys);
+    const saturday = layout['2025-06-14'][0];
+    const sunday = layout['2025-06-15'][0];
+    expect(saturday).toMatchObject({ showLabel: true, joinsNext: false, continuesAfter: true });
+    expect(sunday).toMatchObject({ showLabel: true, joinsPrevious: false, continuesBefore: true, joinsNext: true });
+    expect(layout['2025-06-16'][0]).toMatchObject({ spanDay: 3, showLabel: false, joinsPrevious: true });
+  });
+
+  it('breaks bars on Mondays in Monday-first grids', () => {
+    const layout = layoutSpanningEvents([market], juneKeys, 1);
+    expect(layout['2025-06-15'][0]).toMatchObject({ joinsNext: false, continuesAfter: true });
+    expect(layout['2025-06-16'][0]).toMatchObject({ showLabel: true, joinsPrevious: false });
+  });
+
+  it('continues events that start before the month', () => {
+    const layout = layoutSpanningEvents([{ name: 'Fair', date: '2025-05-30', end_date: '2025-06-02' }], juneKeys);
+    expect(layout['2025-06-01'][0]).toMatchObject({ spanDay: 3, continuesBefore: true, joinsPrevious: false, showLabel: true });
+  });
+});
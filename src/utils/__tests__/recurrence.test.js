@@ -0,0 +1,109 @@
+import {
+  buildRRule,
+  parseRRule,
+  normalizeRecurrence,
+  getOccurrenceDates,
+  expandRecurringEvents,
+  describeRecurrence
+} from '../recurrence';
+import { normalizeEvent } from '../../api/eventsClient';
+
+describe('buildRRule', () => {
+  it('builds weekly rules on the start weekday', () => {
+    // 2025-06-03 is a Tuesday
+    expect(buildRRule({ frequency: 'weekly', endType: 'until', until: '2025-09-02' }, '2025-06-03'))
+      .toBe('FREQ=WEEKLY;BYDAY=TU;UNTIL=20250902');
+  });
+
+  it('builds monthly rules on the nth weekday, using -1 for a fifth weekday', () => {
+    expect(buildRRule({ frequency: 'monthly', endType: 'count', count: '6' }, '2025-06-10'))
+      .toBe('FREQ=MONTHLY;BYDAY=2TU;COUNT=6');
+    expect(buildRRule({ frequency: 'monthly', endType: 'count', count: '6' }, '2025-09-30'))
+      .toBe('FREQ=MONTHLY;BYDAY=-1TU;COUNT=6');
+  });
+
+  it('returns null for one-off events', () => {
+    expect(buildRRule({ frequency: 'none' }, '2025-06-03')).toBeNull();
+  });
+});
+
+describe('parseRRule', () => {
+  it('rejects unsupported rules', () => {
+    expect(parseRRule('FREQ=DAILY;COUNT=3')).toBeNull();
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=TU')).toBeNull();
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=0TU')).toBeNull();
+    expect(parseRRule(undefined)).toBeNull();
+  });
+});
+
+describe('normalizeRecurrence', () => {
+  it('accepts objects, JSON strings and bare rules', () => {
+    const expected = { rrule: 'FREQ=WEEKLY;BYDAY=TU;COUNT=3', exdates: [] };
+    expect(normalizeRecurrence({ rrule: expected.rrule })).toEqual(expected);
+    expect(normalizeRecurrence(JSON.stringify(expected))).toEqual(expected);
+    expect(normalizeRecurrence(expected.rrule)).toEqual(expected);
+    expect(normalizeRecurrence(null)).toBeNull();
+  });
+});
+
+describe('getOccurrenceDates', () => {
+  it('repeats weekly until the end date', () => {
+    expect(getOccurrenceDates('2025-06-03', { rrule: 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20250624' }))
+      .toEqual(['2025-06-03', '2025-06-10', '2025-06-17', '2025-06-24']);
+  });
+
+  it('counts skipped dates towards COUNT', () => {
+    expect(getOccurrenceDates('2025-06-03', { rrule: 'FREQ=WEEKLY;BYDAY=TU;COUNT=3', exdates: ['2025-06-10'] }))
+      .toEqual(['2025-06-03', '2025-06-17']);
+  });
+
+  it('repeats monthly on the nth weekday across years', () => {
+    expect(getOccurrenceDates('2025-11-11', { rrule: 'FREQ=MONTHLY;BYDAY=2TU;COUNT=3' }))
+      .toEqual(['2025-11-11', '2025-12-09', '2026-01-13']);
+  });
+
+  it('repeats monthly on the last weekday', () => {
+    expect(getOccurrenceDates('2025-09-30', { rrule: 'FREQ=MONTHLY;BYDAY=-1TU;COUNT=3' }))
+      .toEqual(['2025-09-30', '2025-10-28', '2025-11-25']);
+  });
+
+  it('stops at the last date of interest for open-ended rules', () => {
+    expect(getOccurrenceDates('2025-06-03', { rrule: 'FREQ=WEEKLY;BYDAY=TU' }, '2025-06-15'))
+      .toEqual(['2025-06-03', '2025-06-10']);
+  });
+});
+
+describe('expandRecurringEvents', () => {
+  const weekly = normalizeEvent({
+    name: 'Open Studio',
+    date: '2025-06-03',
+    time: '18:00:00',
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=TU;COUNT=8' }
+  });
+  const oneOff = normalizeEvent({ name: 'Craft Fair', date: '2025-05-01' });
+
+  it('replaces recurring events with their occurrences in range', () => {
+    const events = expandRecurringEvents([weekly, oneOff], '2025-07-01', '2025-07-31');
+    expect(events.map(event => event.date))
+      .toEqual(['2025-07-01', '2025-07-08', '2025-07-15', '2025-07-22', '2025-05-01']);
+    const [occurrence] = events;
+    expect(occurrence.start).toEqual(new Date(2025, 6, 1, 18, 0));
+    expect(occurrence.id).toMatch(/^2025-07-01-open-studio-/);
+    expect(events[4]).toBe(oneOff);
+  });
+
+  it('keeps the id of the first occurrence', () => {
+    const [first] = expandRecurringEvents([weekly], '2025-06-01', '2025-06-30');
+    expect(first.id).toBe(weekly.id);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes weekly and monthly rules', () => {
+    expect(describeRecurrence({ rrule: 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20250902' }))
+      .toBe('Repeats weekly on Tuesdays until Sep 2, 2025');
+    expect(describeRecurrence({ rrule: 'FREQ=MONTHLY;BYDAY=-1SA;COUNT=6' }))
+      .toBe('Repeats monthly on the last Saturday, 6 times');
+    expect(describeRecurrence(null)).toBe('');
+  });
+});
@@ -0,0 +1,31 @@
+import { DEFAULT_SUBMISSION_FILTERS, matchesSubmissionFilters, hasActiveSubmissionFilters } from '../submissionFilters';
+
+const early = { submittedAt: new Date(2025, 5, 1, 9, 0), fields: { email: 'Clay@Example.com' } };
+const late = { submittedAt: new Date(2025, 5, 2, 23, 30), fields: { email: 'yarn@example.com' } };
+const undated = { submittedAt: null, fields: {} };
+
+describe('submissionFilters', () => {
+  it('lets every submission through with the default filters', () => {
+    [early, late, undated].forEach(submission => {
+      expect(matchesSubmissionFilters(submission, DEFAULT_SUBMISSION_FILTERS)).toBe(true);
+    });
+    expect(hasActiveSubmissionFilters(DEFAULT_SUBMISSION_FILTERS)).toBe(false);
+  });
+
+  it('filters by submission day, including both ends', () => {
+    const filters = { ...DEFAULT_SUBMISSION_FILTERS, submittedFrom: '2025-06-02', submittedTo: '2025-06-02' };
+    expect(matchesSubmissionFilters(early, filters)).toBe(false);
+    expect(matchesSubmissionFilters(late, filters)).toBe(true);
+    expect(matchesSubmissionFilters(undated, filters)).toBe(false);
+    expect(matchesSubmissionFilters(early, { ...DEFAULT_SUBMISSION_FILTERS, submittedTo: '2025-06-01' })).toBe(true);
+  });
+
+  it('matches part of the organizer email, ignoring case', () => {
+    const filters = { ...DEFAULT_SUBMISSION_FILTERS, email: ' clay@ ' };
+    expect(matchesSubmissionFilters(early, filters)).toBe(true);
+    expect(matchesSubmissionFilters(late, filters)).toBe(false);
+    expect(matchesSubmissionFilters(undated, filters)).toBe(false);
+    expect(hasActiveSubmissionFilters(filters)).toBe(true);
+    expect(hasActiveSubmissionFilters({ ...DEFAULT_SUBMISSION_FILTERS, email: '  ' })).toBe(false);
+  });
+});
@@ -0,0 +1,38 @@
+import {
+  SUBMISSION_STEPS,
+  FIRST_STEP,
+  getStepIndex,
+  getAdjacentStep,
+  getStepErrors,
+  findIncompleteStepBefore
+} from '../submissionSteps';
+
+describe('submissionSteps', () => {
+  it('orders the steps from basics to review', () => {
+    expect(SUBMISSION_STEPS.map(step => step.id)).toEqual(['basics', 'when', 'where', 'details', 'review']);
+    expect(FIRST_STEP).toBe('basics');
+    expect(getStepIndex('where')).toBe(2);
+    expect(getStepIndex('payment')).toBe(-1);
+  });
+
+  it('finds the previous and next steps', () => {
+    expect(getAdjacentStep('when', -1)).toBe('basics');
+    expect(getAdjacentStep('when', 1)).toBe('where');
+    expect(getAdjacentStep('basics', -1)).toBeNull();
+    expect(getAdjacentStep('review', 1)).toBeNull();
+    expect(getAdjacentStep('payment', 1)).toBeNull();
+  });
+
+  it('picks out the errors of one step', () => {
+    const errors = { name: 'Event name is required', date: 'Date is required', email: '' };
+    expect(getStepErrors(errors, 'basics')).toEqual({ name: 'Event name is required', email: '', organization: '', craft: '', craftOther: '' });
+    expect(getStepErrors(errors, 'review')).toEqual({});
+  });
+
+  it('finds the first earlier step that is incomplete', () => {
+    const errors = { date: 'Date is required', link: 'Invalid URL' };
+    expect(findIncompleteStepBefore(errors, 'review')).toBe('when');
+    expect(findIncompleteStepBefore(errors, 'when')).toBeNull();
+    expect(findIncompleteStepBefore({}, 'review')).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Craft taxonomy.
+ *
+ * Submitted events name their craft with one of the managed categories
+ * below, by id, or with the organizer's own words when none fits ("other").
+ * Events entered some other way carry free text such as "Pottery"; those
+ * are placed in a category through its aliases, so every event gets its
+ * category's color on the calendar. Category names are in the message
+ * catalogs under crafts.<id>.
+ *
+ * @typedef {Object} CraftCategory
+ * @property {string} id - Category id, the slug of its English name
+ * @property {string} color - Text color of the category's events
+ * @property {string} background - Background color of the category's events
+ * @property {string[]} aliases - Free-text crafts that belong to the category, lowercase
+ */
+
+export const OTHER_CRAFT = 'other';
+
+// Longest craft an organizer may type in for "other"
+export const MAX_OTHER_CRAFT_LENGTH = 60;
+
+/** @type {CraftCategory[]} */
+export const CRAFT_CATEGORIES = [
+  {
+    id: 'ceramics',
+    color: '#9a3412',
+    background: '#ffedd5',
+    aliases: ['ceramic', 'pottery', 'clay', 'wheel throwing', 'hand building']
+  },
+  {
+    id: 'fiber-arts',
+    color: '#9d174d',
+    background: '#fce7f3',
+    aliases: ['fiber', 'fibre arts', 'knitting', 'crochet', 'weaving', 'sewing', 'quilting', 'embroidery', 'felting', 'textiles', 'yarn']
+  },
+  {
+    id: 'woodworking',
+    color: '#78350f',
+    background: '#fef3c7',
+    aliases: ['wood', 'woodcarving', 'wood carving', 'woodturning', 'carpentry']
+  },
+  {
+    id: 'jewelry',
+    color: '#6b21a8',
+    background: '#f3e8ff',
+    aliases: ['jewellery', 'beading', 'beadwork', 'metalsmithing', 'silversmithing']
+  },
+  {
+    id: 'printmaking',
+    color: '#3730a3',
+    background: '#e0e7ff',
+    aliases: ['printing', 'screen printing', 'letterpress', 'block printing', 'linocut']
+  },
+  {
+    id: 'glass',
+    color: '#155e75',
+    background: '#cffafe',
+    aliases: ['stained glass', 'glassblowing', 'glass blowing', 'fused glass']
+  },
+  {
+    id: 'paper-crafts',
+    color: '#166534',
+    background: '#dcfce7',
+    aliases: ['paper', 'papercraft', 'origami', 'bookbinding', 'calligraphy', 'scrapbooking']
+  },
+  {
+    id: 'painting',
+    color: '#9f1239',
+    background: '#ffe4e6',
+    aliases: ['drawing', 'watercolor', 'watercolour', 'illustration', 'painting and drawing']
+  },
+  {
+    id: 'mixed-media',
+    color: '#115e59',
+    background: '#ccfbf1',
+    aliases: ['collage', 'assemblage']
+  },
+  {
+    id: OTHER_CRAFT,
+    color: '#374151',
+    background: '#e5e7eb',
+    aliases: []
+  }
+];
+
+/**
+ * Turns text into a category-style slug, e.g. "Fiber Arts" into "fiber-arts".
+ *
+ * @param {string} text - Craft text
+ * @returns {string} Lowercase words joined by hyphens
+ */
+const toSlug = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join('-');
+
+/**
+ * Checks whether a value is the id of a managed category.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a category id, "other" included
+ */
+export const isCraftId = (value) => CRAFT_CATEGORIES.some(category => category.id === value);
+
+/**
+ * Reads an event's craft, resolving the "other" path to the organizer's own
+ * words and a category's English name (e.g. "Ceramics") to its id.
+ *
+ * @param {*} craft - Raw craft: a category id, free text or nothing
+ * @param {*} [otherCraft] - The organizer's own words, when craft is "other"
+ * @returns {string|null} A category id, free text, or null when there is no craft
+ */
+export const normalizeCraft = (craft, otherCraft) => {
+  if (craft === OTHER_CRAFT && typeof otherCraft === 'string' && otherCraft.trim()) {
+    return otherCraft.trim();
+  }
+  if (typeof craft !== 'string' || !craft.trim()) return null;
+  const slug = toSlug(craft);
+  return isCraftId(slug) ? slug : craft.trim();
+};
+
+/**
+ * Keeps the valid secondary craft tags: category ids, without duplicates,
+ * the primary craft or "other".
+ *
+ * @param {*} tags - Raw tags
+ * @param {string|null} [primary] - The event's primary craft
+ * @returns {string[]} Category ids, in taxonomy order
+ */
+export const normalizeCraftTags = (tags, primary = null) => {
+  if (!Array.isArray(tags)) return [];
+  return CRAFT_CATEGORIES
+    .map(category => category.id)
+    .filter(id => id !== OTHER_CRAFT && id !== primary && tags.includes(id));
+};
+
+/**
+ * Places a craft in its category.
+ *
+ * @param {string|null} craft - Category id or free text
+ * @returns {CraftCategory|null} The category ("other" for unknown crafts), or null when there is no craft
+ */
+export const getCraftCategory = (craft) => {
+  if (!craft) return null;
+  const slug = toSlug(craft);
+  const words = slug.replace(/-/g, ' ');
+  return CRAFT_CATEGORIES.find(category => category.id === slug || category.aliases.includes(words)) ||
+    CRAFT_CATEGORIES.find(category => category.id === OTHER_CRAFT);
+};
+
+/**
+ * Lists every category an event belongs to: its craft's, then its
+ * secondary craft tags.
+ *
+ * @param {Object} event - Event with craft and craft_tags
+ * @returns {string[]} Category ids, without duplicates
+ */
+export const getEventCraftIds = (event) => {
+  const category = getCraftCategory(event.craft);
+  const primary = category ? category.id : null;
+  return [...(primary ? [primary] : []), ...normalizeCraftTags(event.craft_tags, primary)];
+};
+
+/**
+ * Names a craft for display.
+ *
+ * @param {string|null} craft - Category id or free text
+ * @param {Function} t - Translation function from useI18n
+ * @returns {string} The category's translated name, or the free text as is
+ */
+export const getCraftLabel = (craft, t) => (isCraftId(craft) ? t(`crafts.${craft}`) : craft || '');
+
+/**
+ * Colors an event by its craft, through CSS custom properties that the
+ * calendar's event styles fall back from.
+ *
+ * @param {string|null} craft - Category id or free text
+ * @returns {Object} Inline style; empty when there is no craft
+ */
+export const getCraftStyle = (craft) => {
+  const category = getCraftCategory(craft);
+  return category ? { '--craft-color': category.color, '--craft-background': category.background } : {};
+};
+
+/**
+ * Lists the categories of the given events, for the calendar's legend.
+ *
+ * @param {Object[]} events - Events with a craft
+ * @returns {CraftCategory[]} Categories present, in taxonomy order
+ */
+export const getCraftLegend = (events) => {
+  const present = new Set(events.map(event => getCraftCategory(event.craft)).filter(Boolean));
+  return CRAFT_CATEGORIES.filter(category => present.has(category));
+};
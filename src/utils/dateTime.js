@@ -0,0 +1,275 @@
+/**
+ * Date and time helpers shared by the calendar, the submission form and the
+ * date/time pickers.
+ *
+ * Events are dated with plain "YYYY-MM-DD" keys and timed with 24-hour
+ * "HH:MM" strings, both meaning wall-clock time in Washington, DC
+ * (America/New_York). They are never converted through UTC:
+ * - date keys convert to and from local Date objects field by field, so a
+ *   date never shifts by a day depending on the viewer's timezone
+ *   (Date#toISOString and new Date("YYYY-MM-DD") both read as UTC, which
+ *   turns evenings in Eastern time into the next day)
+ * - "today" is today in New York, wherever the viewer is
+ * - times are parsed from 12- or 24-hour input and formatted in 12-hour
+ *   format for people
+ */
+
+// Timezone of every event date and time
+export const EVENT_TIME_ZONE = 'America/New_York';
+
+// Labels for the two halves of a 12-hour day; the i18n layer passes others
+export const MERIDIEMS = ['AM', 'PM'];
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a YYYY-MM-DD key from a local Date.
+ *
+ * @param {Date} date - Local date
+ * @returns {string} Date key, e.g. "2025-06-14"
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a YYYY-MM-DD key into a local Date at midnight.
+ *
+ * @param {string} dateKey - Date key, e.g. "2025-06-14"
+ * @returns {Date} Local date at 00:00
+ */
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Checks that a string is a YYYY-MM-DD key for a real calendar day.
+ *
+ * @param {*} dateKey - Value to check
+ * @returns {boolean} True for keys such as "2025-06-14"; false for "2025-02-30"
+ */
+export const isValidDateKey = (dateKey) =>
+  typeof dateKey === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(dateKey) &&
+  toDateKey(parseDateKey(dateKey)) === dateKey;
+
+/**
+ * Returns a local Date at the given wall-clock time on a day.
+ *
+ * @param {string} dateKey - Date key
+ * @param {string|null} [time] - 24-hour time; midnight when missing
+ * @returns {Date} Local date and time
+ */
+export const toLocalDateTime = (dateKey, time) => {
+  const date = parseDateKey(dateKey);
+  const minutes = toMinutes(time);
+  if (minutes !== null) date.setHours(Math.floor(minutes / 60), minutes % 60);
+  return date;
+};
+
+/**
+ * Returns a new Date offset by a number of days.
+ *
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} The offset date
+ */
+export const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Returns the same day of another month, moved back to that month's last day
+ * when it has fewer days (Jan 31 + 1 month -> Feb 28).
+ *
+ * @param {Date} date - Starting date
+ * @param {number} months - Months to add (negative to subtract)
+ * @returns {Date} The offset date, at local midnight
+ */
+export const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+};
+
+/**
+ * Returns the first day of the week containing the given date.
+ *
+ * @param {Date} date - Any date in the week
+ * @param {number} [weekStartsOn=0] - First day of the week: 0 for Sunday, 1 for Monday
+ * @returns {Date} Local midnight of the first day of that week
+ */
+export const startOfWeek = (date, weekStartsOn = 0) =>
+  addDays(date, -((date.getDay() - weekStartsOn + 7) % 7));
+
+/**
+ * Reorders a Sunday-first list of weekday names (or anything indexed by
+ * Date#getDay) to start on the given first day of the week.
+ *
+ * @param {Array} weekdays - Seven items, Sunday first
+ * @param {number} weekStartsOn - First day of the week: 0 for Sunday, 1 for Monday
+ * @returns {Array} The same items, starting at weekStartsOn
+ */
+export const orderWeekdays = (weekdays, weekStartsOn) =>
+  [...weekdays.slice(weekStartsOn), ...weekdays.slice(0, weekStartsOn)];
+
+/**
+ * Returns the ISO 8601 week number: weeks start on Monday, and week 1 is the
+ * one containing the year's first Thursday.
+ *
+ * @param {Date} date - Any date in the week
+ * @returns {number} Week number, 1-53
+ */
+export const getISOWeek = (date) => {
+  const thursday = addDays(startOfWeek(date, 1), 3);
+  const firstOfYear = new Date(thursday.getFullYear(), 0, 1);
+  const dayOfYear = Math.round((thursday - firstOfYear) / 86400000);
+  return Math.floor(dayOfYear / 7) + 1;
+};
+
+/**
+ * Returns today's date key in New York.
+ *
+ * @param {Date} [now=new Date()] - Current instant
+ * @returns {string} Date key of the current day in America/New_York
+ */
+export const getTodayKey = (now = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Returns today in New York as a local Date at midnight, for date math and
+ * comparisons with other local dates.
+ *
+ * @param {Date} [now=new Date()] - Current instant
+ * @returns {Date} Local midnight of the current New York day
+ */
+export const getToday = (now = new Date()) => parseDateKey(getTodayKey(now));
+
+// ---------------------------------------------------------------------------
+// Times
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a time typed or picked by a person, or sent by the backend, into a
+ * 24-hour "HH:MM" string. Accepts 24-hour times ("18:30", "18:30:00") and
+ * 12-hour times with a full or shortened AM/PM ("6:30 PM", "6:30pm", "7p",
+ * "7:30 a.m.").
+ *
+ * @param {string|null|undefined} text - Time to parse
+ * @returns {string|null} 24-hour time, or null when the input is not a valid time
+ */
+export const parseTime = (text) => {
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(?:([ap])\.?\s*(?:m\.?)?)?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] === undefined ? 0 : Number(match[2]);
+  const meridiem = match[3] && match[3].toLowerCase();
+  // A bare number is too ambiguous to be a time
+  if (match[2] === undefined && !meridiem) return null;
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'p') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Converts an "HH:MM" or "HH:MM:SS" time string to minutes after midnight.
+ *
+ * @param {string|null|undefined} time - 24-hour time string
+ * @returns {number|null} Minutes after midnight, or null when no time is set
+ */
+export const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Returns the hour (0-23) of an "HH:MM" or "HH:MM:SS" time string.
+ *
+ * @param {string|null|undefined} time - 24-hour time string
+ * @returns {number|null} The hour, or null when no time is set
+ */
+export const getHour = (time) => {
+  const minutes = toMinutes(time);
+  return minutes === null ? null : Math.floor(minutes / 60);
+};
+
+/**
+ * Formats a 24-hour time for people, e.g. "18:30" -> "6:30 PM".
+ *
+ * @param {string} time - 24-hour time string
+ * @param {boolean} [withMeridiem=true] - Whether to append AM/PM
+ * @param {string[]} [meridiems=MERIDIEMS] - Labels for before and after noon
+ * @returns {string} 12-hour time, or an empty string when no time is set
+ */
+export const formatTime = (time, withMeridiem = true, meridiems = MERIDIEMS) => {
+  const minutes = toMinutes(time);
+  if (minutes === null) return '';
+  const hours = Math.floor(minutes / 60) % 24;
+  const label = `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')}`;
+  return withMeridiem ? `${label} ${meridiems[hours < 12 ? 0 : 1]}` : label;
+};
+
+/**
+ * Returns how long an event runs. An end time at or before the start time
+ * means the event runs past midnight.
+ *
+ * @param {string} start - 24-hour start time
+ * @param {string} end - 24-hour end time
+ * @returns {number|null} Duration in minutes, or null unless both times are set
+ */
+export const getDurationMinutes = (start, end) => {
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  if (startMinutes === null || endMinutes === null) return null;
+  const duration = endMinutes - startMinutes;
+  return duration > 0 ? duration : duration + 24 * 60;
+};
+
+/**
+ * Formats a start and optional end time, sharing AM/PM when both fall in the
+ * same half of the day, e.g. "6:00–8:30 PM" or "11:00 AM–1:00 PM".
+ *
+ * @param {string} start - 24-hour start time
+ * @param {string|null} [end] - 24-hour end time
+ * @param {string[]} [meridiems=MERIDIEMS] - Labels for before and after noon
+ * @returns {string} The time range, or just the start time when there is no end
+ */
+export const formatTimeRange = (start, end, meridiems = MERIDIEMS) => {
+  if (toMinutes(end) === null) return formatTime(start, true, meridiems);
+  const sameHalf = (toMinutes(start) < 720) === (toMinutes(end) < 720) && getDurationMinutes(start, end) < 720;
+  return `${formatTime(start, !sameHalf, meridiems)}–${formatTime(end, true, meridiems)}`;
+};
+
+/**
+ * Formats a duration, e.g. 150 -> "2 hr 30 min".
+ *
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} The duration
+ */
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours && `${hours} hr`, rest && `${rest} min`].filter(Boolean).join(' ');
+};
@@ -0,0 +1,62 @@
+/**
+ * Submission drafts.
+ *
+ * The submission form saves what the organizer has typed as a draft, so it
+ * survives leaving the page or a crashed tab. A browser keeps a few drafts
+ * at once, named after their event.
+ */
+import { parseDateKey, toDateKey } from './dateTime';
+
+// Drafts kept per browser; saving another drops the oldest
+export const MAX_DRAFTS = 5;
+
+/**
+ * Creates an id for a new draft.
+ * @returns {string} e.g. "draft-lx2k9c-4f1a"
+ */
+export const createDraftId = () =>
+  `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Checks whether the form holds nothing worth saving.
+ *
+ * @param {Object} formData - Form values; strings, except kids (true, false or null)
+ * @param {Object} recurrence - Recurrence settings, see DEFAULT_RECURRENCE
+ * @returns {boolean} True when every field is untouched
+ */
+export const isEmptyDraft = (formData, recurrence) =>
+  Object.entries(formData).every(([name, value]) => (name === 'kids' ? value === null : !String(value).trim())) &&
+  (!recurrence || recurrence.frequency === 'none');
+
+/**
+ * Sorts drafts with the most recently saved first, and keeps at most
+ * MAX_DRAFTS of them.
+ *
+ * @param {Object[]} drafts - Drafts with an ISO savedAt
+ * @returns {Object[]} The drafts to keep, newest first
+ */
+export const selectRecentDrafts = (drafts) =>
+  [...drafts]
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+    .slice(0, MAX_DRAFTS);
+
+/**
+ * Says when a draft was saved, relative to now: "today at 3:40 PM",
+ * "yesterday", a weekday within the last week, or else a date.
+ *
+ * @param {string} savedAt - ISO timestamp of the save
+ * @param {Object} i18n - Language helpers from useI18n
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} The description
+ */
+export const describeDraftTime = (savedAt, { t, formatDate, formatTime }, now = new Date()) => {
+  const saved = new Date(savedAt);
+  // Whole days between the two calendar dates, ignoring daylight-saving hours
+  const days = Math.round((parseDateKey(toDateKey(now)) - parseDateKey(toDateKey(saved))) / (24 * 60 * 60 * 1000));
+  const time = `${String(saved.getHours()).padStart(2, '0')}:${String(saved.getMinutes()).padStart(2, '0')}`;
+
+  if (days <= 0) return t('drafts.savedToday', { time: formatTime(time) });
+  if (days === 1) return t('drafts.savedYesterday');
+  if (days < 7) return t('drafts.savedWeekday', { weekday: t('common.weekdays')[saved.getDay()] });
+  return t('drafts.savedDate', { date: formatDate(saved, { month: 'short', day: 'numeric' }) });
+};
@@ -0,0 +1,203 @@
+/**
+ * Duplicate event detection.
+ *
+ * The same event often reaches the calendar twice: an organizer submits a
+ * market again, or the venue and a vendor both submit it, each wording it
+ * a little differently. Two events are likely duplicates when they fall on
+ * the same day and their names, venues and start times are close.
+ *
+ * Names and venues are compared with the Sørensen–Dice coefficient over
+ * character pairs, after lowercasing, stripping accents and punctuation and
+ * dropping filler words, so "The Eastern Market Makers' Fair" still matches
+ * "Eastern Market Makers Fair".
+ */
+import { toMinutes } from './dateTime';
+import { getCoveredDates } from './multiDay';
+import { expandRecurringEvents } from './recurrence';
+
+// Lowest score at which two events are flagged as likely duplicates
+export const DUPLICATE_THRESHOLD = 0.75;
+
+// How much each field counts towards the score; they add up to 1
+const WEIGHTS = { name: 0.6, location: 0.25, time: 0.15 };
+
+// Similarity used when a field is missing from either event
+const UNKNOWN_SIMILARITY = 0.5;
+
+// Start times this far apart, in minutes, no longer count as close
+const TIME_TOLERANCE_MINUTES = 120;
+
+// Words that tell events apart too little to compare
+const FILLER_WORDS = new Set(['a', 'an', 'and', 'at', 'the', 'of', 'in', 'on', 'with', 'y', 'el', 'la', 'de', 'en']);
+
+/**
+ * Reduces text to its meaningful words, e.g. "The Makers' Fair!" to "makers fair".
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase words separated by single spaces
+ */
+const normalizeText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .join(' ');
+
+/**
+ * Lists the adjacent character pairs of a string.
+ *
+ * @param {string} text - Normalized text
+ * @returns {string[]} Pairs, with repeats
+ */
+const getPairs = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Compares two pieces of text.
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number|null} From 0 (nothing in common) to 1 (the same after
+ *                        normalizing), or null when either is empty
+ */
+export const textSimilarity = (a, b) => {
+  const first = normalizeText(a);
+  const second = normalizeText(b);
+  if (!first || !second) return null;
+  if (first === second) return 1;
+
+  const firstPairs = getPairs(first);
+  const secondPairs = getPairs(second);
+  if (firstPairs.length === 0 || secondPairs.length === 0) return 0;
+
+  const remaining = [...secondPairs];
+  let shared = 0;
+  firstPairs.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (firstPairs.length + secondPairs.length);
+};
+
+/**
+ * Compares two start times.
+ *
+ * @param {string|null} a - First time, 24-hour HH:MM
+ * @param {string|null} b - Second time, 24-hour HH:MM
+ * @returns {number|null} 1 for the same time, falling to 0 at two hours
+ *                        apart, or null when either is unknown
+ */
+export const timeSimilarity = (a, b) => {
+  if (!a || !b) return null;
+  const difference = Math.abs(toMinutes(a) - toMinutes(b));
+  return Math.max(0, 1 - difference / TIME_TOLERANCE_MINUTES);
+};
+
+/**
+ * Scores how alike two events are, ignoring their dates.
+ *
+ * @param {Object} a - Event with name, location_name and time
+ * @param {Object} b - Event with name, location_name and time
+ * @returns {number} From 0 to 1; DUPLICATE_THRESHOLD and above is a likely duplicate
+ */
+export const scoreDuplicate = (a, b) => {
+  const similarity = (value) => (value === null ? UNKNOWN_SIMILARITY : value);
+  return WEIGHTS.name * similarity(textSimilarity(a.name, b.name)) +
+    WEIGHTS.location * similarity(textSimilarity(a.location_name, b.location_name)) +
+    WEIGHTS.time * similarity(timeSimilarity(a.time, b.time));
+};
+
+/**
+ * Checks whether two events share at least one day. Multi-day events
+ * cover every day from date to end_date.
+ *
+ * @param {Object} a - Event with date and end_date
+ * @param {Object} b - Event with date and end_date
+ * @returns {boolean} True when their days overlap
+ */
+const sharesDay = (a, b) =>
+  a.date <= (b.end_date || b.date) && b.date <= (a.end_date || a.date);
+
+/**
+ * Finds published events that a new event likely duplicates. Recurring
+ * events are compared on each of their occurrences; a recurring new event
+ * is compared on its first date only.
+ *
+ * @param {Object} candidate - The new event: name, date, end_date, time and location_name
+ * @param {Object[]} events - Normalized events, as getEvents returns them
+ * @returns {{event: Object, score: number}[]} Likely duplicates, closest first
+ */
+export const findDuplicates = (candidate, events) => {
+  if (!candidate.date) return [];
+  const lastDate = candidate.end_date || candidate.date;
+
+  return expandRecurringEvents(events, candidate.date, lastDate)
+    .filter(event => sharesDay(candidate, event))
+    .map(event => ({ event, score: scoreDuplicate(candidate, event) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Groups published events that look like the same event. Events are
+ * compared when their days overlap; recurring events are compared by their
+ * first date. Likeness is transitive: if A matches B and B matches C, all
+ * three form one group.
+ *
+ * @param {Object[]} events - Normalized events, as getEvents returns them
+ * @returns {Object[][]} Groups of two or more events, each in feed order,
+ *                       ordered by their first event's date
+ */
+export const findDuplicateGroups = (events) => {
+  // Union-find over event indexes
+  const parents = events.map((_, index) => index);
+  const findRoot = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  // Only events sharing a day are compared
+  const byDate = {};
+  events.forEach((event, index) => {
+    getCoveredDates(event).forEach((dateKey) => {
+      (byDate[dateKey] = byDate[dateKey] || []).push(index);
+    });
+  });
+
+  const compared = new Set();
+  Object.values(byDate).forEach((indexes) => {
+    indexes.forEach((first, position) => {
+      indexes.slice(position + 1).forEach((second) => {
+        const pair = `${first}:${second}`;
+        if (compared.has(pair)) return;
+        compared.add(pair);
+        if (scoreDuplicate(events[first], events[second]) >= DUPLICATE_THRESHOLD) {
+          parents[findRoot(second)] = findRoot(first);
+        }
+      });
+    });
+  });
+
+  const groups = {};
+  events.forEach((event, index) => {
+    const root = findRoot(index);
+    (groups[root] = groups[root] || []).push(event);
+  });
+  return Object.values(groups)
+    .filter(group => group.length > 1)
+    .sort((a, b) => a[0].date.localeCompare(b[0].date));
+};
@@ -0,0 +1,118 @@
+/**
+ * Event filtering helpers shared by the calendar views.
+ *
+ * Filters are plain objects so they can live in component state and be
+ * compared or reset without any extra bookkeeping.
+ *
+ * @typedef {Object} EventFilters
+ * @property {string[]} crafts - Craft categories to include, by id (empty = all
+ *                             crafts); an event matches through its craft or its
+ *                             craft tags (see utils/craftTaxonomy)
+ * @property {boolean} kidsOnly - Only include events flagged as kid-friendly
+ * @property {string} price - 'any', 'free' or 'range'
+ * @property {string} minPrice - Lower bound used when price is 'range' (may be empty)
+ * @property {string} maxPrice - Upper bound used when price is 'range' (may be empty)
+ * @property {string} organizer - Organizer (event.business) to include, empty = all
+ */
+
+import { CRAFT_CATEGORIES, getEventCraftIds } from './craftTaxonomy';
+
+/** @type {EventFilters} */
+export const DEFAULT_FILTERS = {
+  crafts: [],
+  kidsOnly: false,
+  price: 'any',
+  minPrice: '',
+  maxPrice: '',
+  organizer: ''
+};
+
+/**
+ * Parses an optional numeric bound from a text input value.
+ *
+ * @param {string|number} value - Raw input value
+ * @returns {number|null} The parsed number, or null when empty/invalid
+ */
+const parseBound = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Checks whether a single event satisfies every active filter.
+ * Events with no price are treated as "price unknown" and are excluded
+ * whenever a price filter is active.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @param {EventFilters} filters - Active filters
+ * @returns {boolean} True if the event should be shown
+ */
+export const matchesFilters = (event, filters = DEFAULT_FILTERS) => {
+  if (filters.crafts.length > 0 && !getEventCraftIds(event).some(id => filters.crafts.includes(id))) {
+    return false;
+  }
+
+  if (filters.kidsOnly && event.kids !== true) {
+    return false;
+  }
+
+  if (filters.organizer && event.business !== filters.organizer) {
+    return false;
+  }
+
+  if (filters.price !== 'any') {
+    const hasPrice = event.price !== null && event.price !== undefined;
+    if (!hasPrice) return false;
+
+    if (filters.price === 'free' && event.price !== 0) {
+      return false;
+    }
+
+    if (filters.price === 'range') {
+      const min = parseBound(filters.minPrice);
+      const max = parseBound(filters.maxPrice);
+      if (min !== null && event.price < min) return false;
+      if (max !== null && event.price > max) return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Reports whether any filter differs from its default value.
+ *
+ * @param {EventFilters} filters - Active filters
+ * @returns {boolean} True if at least one filter narrows the results
+ */
+export const hasActiveFilters = (filters) =>
+  filters.crafts.length > 0 ||
+  filters.kidsOnly ||
+  filters.price !== 'any' ||
+  filters.organizer !== '';
+
+/**
+ * Collects the distinct craft categories and organizers present in the
+ * fetched events, used to populate the filter panel's choices.
+ *
+ * @param {Object<string, Object[]>} eventsByDate - Events grouped by date key
+ * @returns {{crafts: string[], organizers: string[]}} Category ids in taxonomy
+ *                                                    order, and sorted organizers
+ */
+export const getFilterOptions = (eventsByDate) => {
+  const crafts = new Set();
+  const organizers = new Set();
+
+  Object.values(eventsByDate).forEach((events) => {
+    events.forEach((event) => {
+      getEventCraftIds(event).forEach(id => crafts.add(id));
+      if (event.business) organizers.add(event.business);
+    });
+  });
+
+  return {
+    crafts: CRAFT_CATEGORIES.map(category => category.id).filter(id => crafts.has(id)),
+    organizers: [...organizers].sort((a, b) => a.localeCompare(b))
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * Stable identifiers for calendar events.
+ *
+ * The events feed has no id field, so an identity is derived from the
+ * fields that name an event: its date, name and organizer. The result is
+ * readable enough to use in URLs, e.g. "2025-06-14-pottery-night-1x9f3k".
+ * The start time is deliberately left out so a rescheduled event keeps
+ * its identity.
+ */
+
+/**
+ * Turns free text into a lowercase, hyphen-separated URL fragment.
+ *
+ * @param {string} text - Text to slugify
+ * @param {number} [maxLength=40] - Maximum slug length
+ * @returns {string} The slug (may be empty)
+ */
+export const slugify = (text, maxLength = 40) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+
+/**
+ * 32-bit FNV-1a hash, rendered in base 36.
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Short hash string
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Returns a stable identifier for an event. Uses the backend id when the
+ * feed provides one.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} Identifier that is safe to use in URLs and storage keys
+ */
+export const getEventId = (event) => {
+  if (event.id !== undefined && event.id !== null && event.id !== '') {
+    return String(event.id);
+  }
+
+  const fingerprint = [event.date, event.name, event.business]
+    .map(value => String(value || '').trim().toLowerCase())
+    .join('|');
+  const slug = slugify(event.name);
+
+  return [event.date, slug, hashString(fingerprint)].filter(Boolean).join('-');
+};
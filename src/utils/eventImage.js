@@ -0,0 +1,107 @@
+/**
+ * Event images.
+ *
+ * Organizers can attach a flyer or photo to a submission. The browser
+ * shrinks it before sending: the image is drawn onto a canvas no larger
+ * than IMAGE_MAX_SIZE and re-encoded as JPEG. Re-encoding keeps only the
+ * pixels, so camera metadata such as the EXIF GPS location is dropped.
+ * The result is sent as a data URL in the submission's `image` field.
+ */
+
+// File types organizers can upload
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Largest file accepted before resizing, in bytes
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Longest side of the uploaded image, in pixels
+export const IMAGE_MAX_SIZE = 1200;
+
+// JPEG quality of the uploaded image, from 0 to 1
+export const IMAGE_QUALITY = 0.8;
+
+/**
+ * Checks a chosen file before it is read.
+ *
+ * @param {File} file - File from an <input type="file">
+ * @returns {string|null} 'type' or 'size' when the file cannot be used, else null
+ */
+export const validateImageFile = (file) => {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) return 'type';
+  if (file.size > MAX_IMAGE_BYTES) return 'size';
+  return null;
+};
+
+/**
+ * Scales dimensions down to fit a square box, keeping the aspect ratio.
+ * Smaller images keep their size.
+ *
+ * @param {number} width - Original width in pixels
+ * @param {number} height - Original height in pixels
+ * @param {number} [maxSize=IMAGE_MAX_SIZE] - Longest side allowed
+ * @returns {{width: number, height: number}} The new dimensions, in whole pixels
+ */
+export const fitWithin = (width, height, maxSize = IMAGE_MAX_SIZE) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+/**
+ * Checks whether an image URL from the feed is safe to show: an http(s)
+ * URL, or a data URL of an image.
+ *
+ * @param {*} url - Value of an event's image field
+ * @returns {boolean} True when it can be used as an <img> source
+ */
+export const isImageUrl = (url) =>
+  typeof url === 'string' && /^(https?:\/\/|data:image\/(jpeg|png|webp);base64,)/i.test(url.trim());
+
+/**
+ * Loads an image file into an <img> element.
+ *
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} The decoded image
+ */
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The image could not be read'));
+  };
+  image.src = url;
+});
+
+/**
+ * Shrinks an image file and re-encodes it as JPEG, dropping its metadata.
+ * Browsers apply the EXIF orientation when decoding, so photos stay upright.
+ *
+ * @param {File} file - Image file, already checked with validateImageFile
+ * @param {Object} [options] - Output settings
+ * @param {number} [options.maxSize=IMAGE_MAX_SIZE] - Longest side, in pixels
+ * @param {number} [options.quality=IMAGE_QUALITY] - JPEG quality, from 0 to 1
+ * @returns {Promise<{dataUrl: string, width: number, height: number}>} The resized image
+ * @throws {Error} When the file cannot be decoded
+ */
+export const resizeImage = async (file, { maxSize = IMAGE_MAX_SIZE, quality = IMAGE_QUALITY } = {}) => {
+  const image = await loadImage(file);
+  const { width, height } = fitWithin(image.naturalWidth, image.naturalHeight, maxSize);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; give transparent PNGs a white background
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+
+  return { dataUrl: canvas.toDataURL('image/jpeg', quality), width, height };
+};
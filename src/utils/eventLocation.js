@@ -0,0 +1,52 @@
+/**
+ * Event locations.
+ *
+ * The feed gives a venue name plus a street address split over address,
+ * city, state and zip. A missing street address comes through as the
+ * placeholder 'NAMER', in which case the rest of the address is not shown.
+ */
+
+// Placeholder the feed uses for a missing street address
+export const MISSING_ADDRESS = 'NAMER';
+
+const MAPS_SEARCH_URL = 'https://www.google.com/maps/search/?api=1&query=';
+
+/**
+ * Checks whether an event has a real street address.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {boolean} True unless the address is empty or the placeholder
+ */
+export const hasStreetAddress = (event) =>
+  Boolean(event.address && event.address.trim() && event.address !== MISSING_ADDRESS);
+
+/**
+ * Formats the city, state and ZIP code, e.g. "Washington, DC 20001".
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} The city line (may be empty)
+ */
+export const formatCityLine = (event) =>
+  [event.city, [event.state, event.zip].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Lists the lines of an event's postal address.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string[]} Street and city lines, or an empty array without a street address
+ */
+export const getAddressLines = (event) =>
+  hasStreetAddress(event) ? [event.address, formatCityLine(event)].filter(Boolean) : [];
+
+/**
+ * Builds a map search link for an event's venue and address.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string|null} Google Maps URL, or null when there is nothing to search for
+ */
+export const getMapsUrl = (event) => {
+  const query = [event.location_name, ...getAddressLines(event)].filter(Boolean).join(', ');
+  return query ? `${MAPS_SEARCH_URL}${encodeURIComponent(query)}` : null;
+};
@@ -0,0 +1,121 @@
+/**
+ * Full-text search over the fetched calendar events.
+ *
+ * Every word of the query must appear in at least one searchable field.
+ * Matches are scored by which field they hit and how cleanly they hit it,
+ * so an event named "Pottery Night" outranks one that only mentions
+ * pottery somewhere in its description.
+ */
+
+/**
+ * Searchable event fields and the weight a match in each is worth.
+ */
+const SEARCH_FIELDS = [
+  { key: 'name', weight: 5 },
+  { key: 'craft', weight: 3 },
+  { key: 'business', weight: 3 },
+  { key: 'location_name', weight: 2 },
+  { key: 'description', weight: 1 }
+];
+
+/**
+ * Lowercases text and strips accents so "Cerámica" matches "ceramica".
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) =>
+  String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Splits a query into normalized search terms.
+ *
+ * @param {string} query - Raw search box value
+ * @returns {string[]} Non-empty search terms
+ */
+const tokenize = (query) => normalize(query).split(/\s+/).filter(Boolean);
+
+/**
+ * Scores one term against one field value. Whole-word and word-prefix
+ * matches count for more than a match in the middle of a word.
+ *
+ * @param {string} value - Normalized field value
+ * @param {string} term - Normalized search term
+ * @returns {number} 0 when the term does not occur, otherwise 1-3
+ */
+const scoreTerm = (value, term) => {
+  const index = value.indexOf(term);
+  if (index === -1) return 0;
+
+  const startsWord = index === 0 || /\W/.test(value[index - 1]);
+  if (!startsWord) return 1;
+
+  const end = index + term.length;
+  const endsWord = end === value.length || /\W/.test(value[end]);
+  return endsWord ? 3 : 2;
+};
+
+/**
+ * Scores an event against the search terms.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @param {string[]} terms - Normalized search terms
+ * @param {string} phrase - The full normalized query
+ * @returns {number} 0 if any term is missing, otherwise the event's relevance
+ */
+const scoreEvent = (event, terms, phrase) => {
+  const values = SEARCH_FIELDS
+    .filter(({ key }) => event[key])
+    .map(({ key, weight }) => ({ value: normalize(event[key]), weight }));
+
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    values.forEach(({ value, weight }) => {
+      best = Math.max(best, scoreTerm(value, term) * weight);
+    });
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  // Reward names that contain the whole query as typed
+  if (terms.length > 1 && event.name && normalize(event.name).includes(phrase)) {
+    total += 10;
+  }
+
+  return total;
+};
+
+/**
+ * Searches every fetched event and returns the best matches, highest score
+ * first. Events with equal scores are listed chronologically.
+ *
+ * @param {Object<string, Object[]>} eventsByDate - Events grouped by date key
+ * @param {string} query - Raw search box value
+ * @param {number} [limit=10] - Maximum number of results
+ * @returns {Object[]} Matching events
+ */
+export const searchEvents = (eventsByDate, query, limit = 10) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  const phrase = terms.join(' ');
+
+  const results = [];
+  Object.values(eventsByDate).forEach((events) => {
+    events.forEach((event) => {
+      const score = scoreEvent(event, terms, phrase);
+      if (score > 0) results.push({ event, score });
+    });
+  });
+
+  return results
+    .sort((a, b) =>
+      b.score - a.score ||
+      `${a.event.date} ${a.event.time || ''}`.localeCompare(`${b.event.date} ${b.event.time || ''}`)
+    )
+    .slice(0, limit)
+    .map(({ event }) => event);
+};
@@ -0,0 +1,50 @@
+/**
+ * Helpers for the "My events" list.
+ *
+ * Starred events are stored as snapshots, so they can be compared against
+ * the current feed to spot events that were cancelled, moved to another
+ * day (which changes their id) or rescheduled to a different time.
+ */
+
+/**
+ * Builds the "My events" list: upcoming and ongoing starred events in date
+ * order, each checked against the current feed. A multi-day event stays
+ * listed until its last day has passed.
+ *
+ * Status is one of:
+ * - 'current' - still in the feed, unchanged
+ * - 'time-changed' - still in the feed, at a different time; previousTime holds the starred time
+ * - 'removed' - no longer in the feed
+ * - 'unknown' - the feed could not be loaded, so nothing could be checked
+ *
+ * @param {Object<string, {event: Object}>} favorites - Starred events keyed by event id
+ * @param {Object[]|null} feedEvents - Current feed events, or null if it failed to load
+ * @param {string} todayKey - Today's YYYY-MM-DD key; events that ended earlier are left out
+ * @returns {{id: string, event: Object, status: string, previousTime: (string|null)}[]} The list entries
+ */
+export const getFavoriteEntries = (favorites, feedEvents, todayKey) => {
+  const feedById = new Map((feedEvents || []).map(event => [event.id, event]));
+
+  return Object.entries(favorites)
+    .map(([id, { event: snapshot }]) => {
+      if (!feedEvents) {
+        return { id, event: snapshot, status: 'unknown', previousTime: null };
+      }
+      const current = feedById.get(id);
+      if (!current) {
+        return { id, event: snapshot, status: 'removed', previousTime: null };
+      }
+      const timeChanged = (current.time || null) !== (snapshot.time || null);
+      return {
+        id,
+        event: current,
+        status: timeChanged ? 'time-changed' : 'current',
+        previousTime: timeChanged ? snapshot.time || null : null
+      };
+    })
+    .filter(entry => (entry.event.end_date || entry.event.date) >= todayKey)
+    .sort((a, b) =>
+      a.event.date.localeCompare(b.event.date) ||
+      (a.event.time || '').localeCompare(b.event.time || '')
+    );
+};
@@ -0,0 +1,27 @@
+/**
+ * Focus helpers for dialogs and popups, so keyboard users stay inside the
+ * control they opened.
+ */
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex="0"]';
+
+/**
+ * Keydown handler that keeps Tab and Shift+Tab inside an open dialog.
+ * Attach it to the dialog element itself.
+ *
+ * @param {KeyboardEvent} e - Keydown event from the dialog
+ */
+export const trapFocus = (e) => {
+  if (e.key !== 'Tab') return;
+  const focusable = e.currentTarget.querySelectorAll(FOCUSABLE_SELECTOR);
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && (document.activeElement === first || document.activeElement === e.currentTarget)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+};
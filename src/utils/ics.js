@@ -0,0 +1,241 @@
+import { getEventId, slugify } from './eventIdentity';
+import { getSpanLength } from './multiDay';
+import { getDurationMinutes, toMinutes } from './dateTime';
+import { getAddressLines } from './eventLocation';
+
+/**
+ * iCalendar (RFC 5545) export for calendar events.
+ *
+ * Event times in the feed are wall-clock times in Washington, DC, so they
+ * are written with TZID=America/New_York and the calendar carries the
+ * matching VTIMEZONE definition. Events without a time become all-day
+ * events.
+ */
+
+const TIMEZONE_ID = 'America/New_York';
+
+// Length of an event when the feed gives no end time
+const DEFAULT_DURATION_MINUTES = 60;
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE_ID}`,
+  `X-LIC-LOCATION:${TIMEZONE_ID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11).
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line so no line exceeds 75 octets (RFC 5545 section 3.1).
+ * Continuation lines start with a single space. Multi-byte characters are
+ * never split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line using CRLF line breaks
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // The first line may hold 75 octets, continuations 74 plus the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Formats a wall-clock date and time as an iCalendar local DATE-TIME.
+ * Works on UTC fields so the viewer's own timezone never shifts the value.
+ *
+ * @param {Date} wallClock - Date whose UTC fields hold the wall-clock time
+ * @returns {string} e.g. "20250614T180000"
+ */
+const formatLocalDateTime = (wallClock) =>
+  `${wallClock.getUTCFullYear()}${pad(wallClock.getUTCMonth() + 1)}${pad(wallClock.getUTCDate())}` +
+  `T${pad(wallClock.getUTCHours())}${pad(wallClock.getUTCMinutes())}00`;
+
+/**
+ * Formats a wall-clock date as an iCalendar DATE.
+ *
+ * @param {Date} wallClock - Date whose UTC fields hold the wall-clock date
+ * @returns {string} e.g. "20250614"
+ */
+const formatDate = (wallClock) =>
+  `${wallClock.getUTCFullYear()}${pad(wallClock.getUTCMonth() + 1)}${pad(wallClock.getUTCDate())}`;
+
+/**
+ * Formats an instant as a UTC DATE-TIME, used for DTSTAMP.
+ *
+ * @param {Date} date - Instant to format
+ * @returns {string} e.g. "20250614T220000Z"
+ */
+const formatUtcDateTime = (date) => `${formatLocalDateTime(date)}Z`;
+
+/**
+ * Joins the location name and street address into one LOCATION value.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} Location text (may be empty)
+ */
+const formatLocation = (event) =>
+  [event.location_name, ...getAddressLines(event)].filter(Boolean).join(', ');
+
+/**
+ * Builds the DESCRIPTION value from the event's details.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} Multi-line description text
+ */
+const formatDescription = (event) => {
+  const lines = [];
+  if (event.description) lines.push(event.description);
+  if (event.business) lines.push(`Organizer: ${event.business}`);
+  if (event.price !== null && event.price !== undefined) {
+    lines.push(`Price: $${Number(event.price).toFixed(2)}`);
+  }
+  if (event.kids) lines.push('Kid-friendly');
+  if (event.link) lines.push(event.link);
+  return lines.join('\n');
+};
+
+/**
+ * Builds the content lines of one VEVENT.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @param {Date} now - Timestamp used for DTSTAMP
+ * @returns {string[]} Unfolded content lines
+ */
+const buildEventLines = (event, now) => {
+  const [year, month, day] = event.date.split('-').map(Number);
+  const spanLength = getSpanLength(event);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventId(event)}@dc-craft-events`,
+    `DTSTAMP:${formatUtcDateTime(now)}`
+  ];
+
+  if (event.time) {
+    const start = new Date(Date.UTC(year, month - 1, day, 0, toMinutes(event.time)));
+    const duration = getDurationMinutes(event.time, event.end_time) || DEFAULT_DURATION_MINUTES;
+    const end = new Date(start.getTime() + duration * 60000);
+    lines.push(`DTSTART;TZID=${TIMEZONE_ID}:${formatLocalDateTime(start)}`);
+    lines.push(`DTEND;TZID=${TIMEZONE_ID}:${formatLocalDateTime(end)}`);
+    // A timed multi-day event runs at the same time on each of its days
+    if (spanLength > 1) lines.push(`RRULE:FREQ=DAILY;COUNT=${spanLength}`);
+  } else {
+    const start = new Date(Date.UTC(year, month - 1, day));
+    const end = new Date(Date.UTC(year, month - 1, day + spanLength));
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.name || 'Craft event')}`);
+
+  const description = formatDescription(event);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  const location = formatLocation(event);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  if (event.link) lines.push(`URL:${event.link}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds a complete VCALENDAR containing the given events.
+ *
+ * @param {Object[]} events - Events from the calendar feed
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {Date} [options.now=new Date()] - Timestamp used for DTSTAMP
+ * @returns {string} The .ics file content
+ */
+export const buildCalendar = (events, { name, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DC Craft Events//Community Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  lines.push(`X-WR-TIMEZONE:${TIMEZONE_ID}`);
+
+  if (events.some(event => event.time)) {
+    lines.push(...VTIMEZONE);
+  }
+  events.forEach(event => lines.push(...buildEventLines(event, now)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Suggests a file name for a single exported event.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} e.g. "2025-06-14-pottery-night.ics"
+ */
+export const getEventFileName = (event) =>
+  `${[event.date, slugify(event.name)].filter(Boolean).join('-')}.ics`;
+
+/**
+ * Triggers a browser download of iCalendar content.
+ *
+ * @param {string} content - The .ics file content
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadCalendar = (content, fileName) => {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,155 @@
+/**
+ * Multi-day events.
+ *
+ * Fairs and markets can run across several days. Such events have an
+ * end_date after their date, and are still keyed by their first day in the
+ * feed. These helpers place them on every day they cover, and lay them out
+ * as bars across the month grid.
+ */
+import { addDays, parseDateKey, startOfWeek, toDateKey } from './dateTime';
+
+/**
+ * Returns the number of days an event covers, counting both ends.
+ *
+ * @param {Object} event - Normalized event
+ * @returns {number} 1 for single-day events
+ */
+export const getSpanLength = (event) => {
+  if (!event.end_date || event.end_date <= event.date) return 1;
+  const days = (parseDateKey(event.end_date) - parseDateKey(event.date)) / (24 * 60 * 60 * 1000);
+  // Round away daylight-saving hour differences
+  return Math.round(days) + 1;
+};
+
+/**
+ * Checks whether an event covers more than one day.
+ *
+ * @param {Object} event - Normalized event
+ * @returns {boolean} True for multi-day events
+ */
+export const isMultiDay = (event) => getSpanLength(event) > 1;
+
+/**
+ * Lists the days an event covers.
+ *
+ * @param {Object} event - Normalized event
+ * @returns {string[]} YYYY-MM-DD keys from the first to the last day
+ */
+export const getCoveredDates = (event) => {
+  const first = parseDateKey(event.date);
+  return Array.from({ length: getSpanLength(event) }, (_, index) => toDateKey(addDays(first, index)));
+};
+
+/**
+ * Formats the dates of a multi-day event, e.g. "Jun 14 – 16" or
+ * "Jun 30 – Jul 2" ("14–16 de jun" in Spanish).
+ *
+ * @param {Object} event - Normalized event
+ * @param {string} [intlLocale='en-US'] - Locale to format in, see useI18n
+ * @returns {string} The date range
+ */
+export const formatDateRange = (event, intlLocale = 'en-US') => {
+  const first = parseDateKey(event.date);
+  const last = parseDateKey(event.end_date || event.date);
+  return new Intl.DateTimeFormat(intlLocale, { month: 'short', day: 'numeric' })
+    .formatRange(first, last)
+    // Intl spaces the dash with thin spaces, which some fonts render unevenly
+    .replace(/\s/g, ' ');
+};
+
+/**
+ * Places multi-day events on every day they cover. Each copy carries
+ * spanDay and spanLength so views can say "day 2 of 3". Single-day events
+ * are left as they are.
+ *
+ * @param {Object<string, Object[]>} eventsByDate - Events keyed by their first day
+ * @returns {Object<string, Object[]>} Events keyed by every day they cover
+ */
+export const spreadMultiDayEvents = (eventsByDate) => {
+  const spread = {};
+  Object.values(eventsByDate).flat().forEach((event) => {
+    const dates = getCoveredDates(event);
+    dates.forEach((dateKey, index) => {
+      if (!spread[dateKey]) spread[dateKey] = [];
+      spread[dateKey].push(dates.length > 1
+        ? { ...event, spanDay: index + 1, spanLength: dates.length }
+        : event);
+    });
+  });
+  return spread;
+};
+
+/**
+ * Lays out multi-day events as bars across the days of a month grid.
+ *
+ * Each event gets a lane (its row within the day cells) that is free on all
+ * the days it covers, so its segments line up across cells. Every day gets
+ * one slot per lane used in its week row, with null for empty slots, so
+ * bars in the same row stay aligned.
+ *
+ * Segment flags:
+ * - continuesBefore / continuesAfter - the event runs past this day
+ * - joinsPrevious / joinsNext - the neighbouring cell in the same row has the next segment
+ * - showLabel - the name should be shown: first day, first day of a row or of the month
+ *
+ * @param {Object[]} events - Multi-day events overlapping the month
+ * @param {string[]} dayKeys - The month's days, in order, as YYYY-MM-DD keys
+ * @param {number} [weekStartsOn=0] - First day of each grid row: 0 for Sunday, 1 for Monday
+ * @returns {Object<string, (Object|null)[]>} Segments per day, by lane
+ */
+export const layoutSpanningEvents = (events, dayKeys, weekStartsOn = 0) => {
+  const firstKey = dayKeys[0];
+  const lastKey = dayKeys[dayKeys.length - 1];
+  const getRowKey = (dateKey) => toDateKey(startOfWeek(parseDateKey(dateKey), weekStartsOn));
+
+  // Earlier and longer events take the top lanes
+  const sorted = [...events].sort((a, b) =>
+    a.date.localeCompare(b.date) || getSpanLength(b) - getSpanLength(a)
+  );
+
+  const laneEnds = [];
+  const placed = sorted.map((event) => {
+    const dates = getCoveredDates(event).filter(dateKey => dateKey >= firstKey && dateKey <= lastKey);
+    let lane = laneEnds.findIndex(end => end < dates[0]);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = dates[dates.length - 1];
+    return { event, lane, dates };
+  });
+
+  const rowLanes = {};
+  placed.forEach(({ lane, dates }) => {
+    dates.forEach((dateKey) => {
+      const rowKey = getRowKey(dateKey);
+      rowLanes[rowKey] = Math.max(rowLanes[rowKey] || 0, lane + 1);
+    });
+  });
+
+  const layout = {};
+  dayKeys.forEach((dateKey) => {
+    layout[dateKey] = new Array(rowLanes[getRowKey(dateKey)] || 0).fill(null);
+  });
+
+  placed.forEach(({ event, lane }) => {
+    const allDates = getCoveredDates(event);
+    allDates.forEach((dateKey, index) => {
+      if (!layout[dateKey]) return;
+      const date = parseDateKey(dateKey);
+      const atRowStart = date.getDay() === weekStartsOn || dateKey === firstKey;
+      const atRowEnd = date.getDay() === (weekStartsOn + 6) % 7 || dateKey === lastKey;
+      const continuesBefore = index > 0;
+      const continuesAfter = index < allDates.length - 1;
+      layout[dateKey][lane] = {
+        event,
+        spanDay: index + 1,
+        spanLength: allDates.length,
+        continuesBefore,
+        continuesAfter,
+        joinsPrevious: continuesBefore && !atRowStart,
+        joinsNext: continuesAfter && !atRowEnd,
+        showLabel: !continuesBefore || atRowStart
+      };
+    });
+  });
+
+  return layout;
+};
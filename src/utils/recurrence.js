@@ -0,0 +1,280 @@
+/**
+ * Recurring events.
+ *
+ * A recurring event is submitted and stored once, with a recurrence of the
+ * form { rrule, exdates }:
+ * - rrule is a subset of an iCalendar RRULE: FREQ=WEEKLY or FREQ=MONTHLY,
+ *   BYDAY, an optional INTERVAL, and either UNTIL or COUNT,
+ *   e.g. "FREQ=WEEKLY;BYDAY=TU;UNTIL=20250902" or "FREQ=MONTHLY;BYDAY=2TU;COUNT=6"
+ * - exdates lists skipped dates as YYYY-MM-DD keys. As in iCalendar, skipped
+ *   dates still count towards COUNT.
+ *
+ * The calendar expands each recurring event into one event per occurrence
+ * for the period it shows.
+ */
+import { addDays, parseDateKey, startOfWeek, toDateKey, toLocalDateTime, isValidDateKey } from './dateTime';
+import { getEventId } from './eventIdentity';
+import { getSpanLength } from './multiDay';
+import { defaultI18n } from '../i18n/i18n';
+
+// iCalendar weekday codes, indexed like Date#getDay
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on generated occurrences, in case a rule has no usable end
+export const MAX_OCCURRENCES = 500;
+
+/**
+ * Recurrence settings edited in the submission form.
+ * frequency: 'none' | 'weekly' | 'monthly'; endType: 'until' | 'count'
+ */
+export const DEFAULT_RECURRENCE = {
+  frequency: 'none',
+  endType: 'until',
+  until: '',
+  count: '',
+  exdates: []
+};
+
+/**
+ * Returns which occurrence of its weekday a date is within its month, using
+ * -1 for a fifth occurrence, which is always the last one.
+ *
+ * @param {Date} date - Local date
+ * @returns {number} 1-4, or -1 for the last
+ */
+export const getWeekdayOrdinal = (date) => {
+  const ordinal = Math.ceil(date.getDate() / 7);
+  return ordinal === 5 ? -1 : ordinal;
+};
+
+/**
+ * Returns the nth given weekday of a month.
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month; may run past December into later years
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {number} ordinal - 1-5, or -1 for the last
+ * @returns {Date|null} The date, or null if the month has no such day
+ */
+const getNthWeekdayOfMonth = (year, month, weekday, ordinal) => {
+  if (ordinal === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    return addDays(lastDay, -((lastDay.getDay() - weekday + 7) % 7));
+  }
+  const firstDay = new Date(year, month, 1);
+  const date = addDays(firstDay, (weekday - firstDay.getDay() + 7) % 7 + (ordinal - 1) * 7);
+  return date.getMonth() === firstDay.getMonth() ? date : null;
+};
+
+/**
+ * Builds the RRULE for the recurrence chosen in the submission form.
+ *
+ * @param {Object} recurrence - Form settings, see DEFAULT_RECURRENCE
+ * @param {string} dateKey - First date, YYYY-MM-DD
+ * @returns {string|null} The RRULE, or null for a one-off event
+ */
+export const buildRRule = (recurrence, dateKey) => {
+  if (!recurrence || recurrence.frequency === 'none' || !dateKey) return null;
+
+  const date = parseDateKey(dateKey);
+  const weekday = WEEKDAY_CODES[date.getDay()];
+  const parts = recurrence.frequency === 'monthly'
+    ? ['FREQ=MONTHLY', `BYDAY=${getWeekdayOrdinal(date)}${weekday}`]
+    : ['FREQ=WEEKLY', `BYDAY=${weekday}`];
+
+  if (recurrence.endType === 'count') {
+    parts.push(`COUNT=${parseInt(recurrence.count, 10)}`);
+  } else {
+    parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Parses the supported subset of an RRULE.
+ *
+ * @param {string} rrule - Rule such as "FREQ=WEEKLY;BYDAY=TU;COUNT=8"
+ * @returns {{frequency: string, interval: number, byDay: {ordinal: (number|null), weekday: number}[],
+ *   until: (string|null), count: (number|null)}|null} The rule, or null if unsupported
+ */
+export const parseRRule = (rrule) => {
+  if (typeof rrule !== 'string') return null;
+
+  const fields = {};
+  rrule.replace(/^RRULE:/i, '').split(';').forEach((part) => {
+    const [key, value] = part.split('=');
+    if (key && value) fields[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  const frequency = { WEEKLY: 'weekly', MONTHLY: 'monthly' }[fields.FREQ];
+  if (!frequency) return null;
+
+  const byDay = (fields.BYDAY || '').split(',').filter(Boolean).map((value) => {
+    const match = /^([+-]?\d)?([A-Z]{2})$/.exec(value);
+    const weekday = match ? WEEKDAY_CODES.indexOf(match[2]) : -1;
+    const ordinal = match && match[1] ? Number(match[1]) : null;
+    if (weekday === -1 || (ordinal !== null && (ordinal === 0 || ordinal < -1 || ordinal > 5))) return null;
+    return { ordinal, weekday };
+  });
+  if (byDay.length === 0 || byDay.includes(null)) return null;
+  if (frequency === 'monthly' && byDay.some(day => day.ordinal === null)) return null;
+
+  const until = /^(\d{4})(\d{2})(\d{2})/.exec(fields.UNTIL || '');
+  const count = parseInt(fields.COUNT, 10);
+  const interval = parseInt(fields.INTERVAL, 10);
+
+  return {
+    frequency,
+    interval: interval > 0 ? interval : 1,
+    byDay,
+    until: until ? `${until[1]}-${until[2]}-${until[3]}` : null,
+    count: count > 0 ? count : null
+  };
+};
+
+/**
+ * Reads the recurrence of a feed event. Accepts { rrule, exdates } objects,
+ * the same as a JSON string, or a bare RRULE string.
+ *
+ * @param {Object|string|null|undefined} value - Recurrence from the feed
+ * @returns {{rrule: string, exdates: string[]}|null} The recurrence, or null if the event is a one-off
+ */
+export const normalizeRecurrence = (value) => {
+  let recurrence = value;
+  if (typeof recurrence === 'string') {
+    try {
+      recurrence = JSON.parse(recurrence);
+    } catch {
+      recurrence = { rrule: recurrence };
+    }
+  }
+  if (!recurrence || !parseRRule(recurrence.rrule)) return null;
+
+  const exdates = Array.isArray(recurrence.exdates)
+    ? recurrence.exdates.filter(isValidDateKey)
+    : [];
+  return { rrule: recurrence.rrule, exdates };
+};
+
+/**
+ * Lists the occurrence dates of a recurring event, in order.
+ *
+ * @param {string} startKey - Date of the first occurrence, YYYY-MM-DD
+ * @param {{rrule: string, exdates: string[]}} recurrence - The event's recurrence
+ * @param {string} [toKey] - Last date of interest; later occurrences are not generated
+ * @returns {string[]} Occurrence dates as YYYY-MM-DD keys, without skipped dates
+ */
+export const getOccurrenceDates = (startKey, recurrence, toKey) => {
+  const rule = parseRRule(recurrence && recurrence.rrule);
+  if (!rule) return [startKey];
+
+  const exdates = new Set(recurrence.exdates || []);
+  const dates = [];
+  let generated = 0;
+  // Returns false once the rule has ended
+  const add = (dateKey) => {
+    if (rule.until && dateKey > rule.until) return false;
+    if (toKey && dateKey > toKey) return false;
+    if (rule.count && generated >= rule.count) return false;
+    generated++;
+    if (!exdates.has(dateKey)) dates.push(dateKey);
+    return generated < MAX_OCCURRENCES;
+  };
+
+  const start = parseDateKey(startKey);
+  for (let period = 0; period < MAX_OCCURRENCES * rule.interval; period += rule.interval) {
+    let candidates;
+    if (rule.frequency === 'weekly') {
+      const weekStart = addDays(startOfWeek(start), period * 7);
+      candidates = rule.byDay.map(({ weekday }) => addDays(weekStart, weekday));
+    } else {
+      const year = start.getFullYear();
+      const month = start.getMonth() + period;
+      candidates = rule.byDay.map(({ weekday, ordinal }) => getNthWeekdayOfMonth(year, month, weekday, ordinal));
+    }
+
+    const keys = candidates
+      .filter(Boolean)
+      .map(toDateKey)
+      .filter(dateKey => dateKey >= startKey)
+      .sort();
+    for (const dateKey of keys) {
+      if (!add(dateKey)) return dates;
+    }
+  }
+  return dates;
+};
+
+/**
+ * Copies a recurring event onto one of its dates, with its own id and start.
+ * Multi-day events keep their length.
+ *
+ * @param {Object} event - Normalized recurring event
+ * @param {string} dateKey - Occurrence date, YYYY-MM-DD
+ * @returns {Object} The occurrence
+ */
+const toOccurrence = (event, dateKey) => {
+  const { id, ...fields } = event;
+  const start = toLocalDateTime(dateKey, event.time);
+  const occurrence = { ...fields, id: getEventId({ ...fields, date: dateKey }), date: dateKey, start };
+  if (event.end_date) {
+    occurrence.end_date = toDateKey(addDays(start, getSpanLength(event) - 1));
+  }
+  return occurrence;
+};
+
+/**
+ * Replaces each recurring event with its occurrences between two dates.
+ * One-off events are passed through untouched.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {string} fromKey - First date to include, YYYY-MM-DD
+ * @param {string} toKey - Last date to include, YYYY-MM-DD
+ * @returns {Object[]} One-off events plus the occurrences in range
+ */
+export const expandRecurringEvents = (events, fromKey, toKey) =>
+  events.flatMap((event) => {
+    if (!event.recurrence) return [event];
+    return getOccurrenceDates(event.date, event.recurrence, toKey)
+      .filter(dateKey => dateKey >= fromKey)
+      .map(dateKey => toOccurrence(event, dateKey));
+  });
+
+/**
+ * Describes a recurrence for people, e.g. "Repeats weekly on Tuesdays
+ * until Sep 2, 2025".
+ *
+ * @param {{rrule: string}|null} recurrence - The event's recurrence
+ * @param {Object} [i18n=defaultI18n] - Language helpers from useI18n
+ * @returns {string} The description, or an empty string for one-off events
+ */
+export const describeRecurrence = (recurrence, i18n = defaultI18n) => {
+  const rule = parseRRule(recurrence && recurrence.rrule);
+  if (!rule) return '';
+  const { t } = i18n;
+
+  const days = rule.byDay.map(({ weekday, ordinal }) =>
+    rule.frequency === 'monthly'
+      ? t('recurrence.nthWeekday', {
+        ordinal: t(`recurrence.ordinals.${ordinal}`),
+        weekday: t('common.weekdays')[weekday]
+      })
+      : t('recurrence.weekdaysPlural')[weekday]
+  ).join(t('recurrence.and'));
+
+  const key = rule.frequency === 'monthly' ? 'monthly' : 'weekly';
+  const description = rule.interval === 1
+    ? t(`recurrence.${key}`, { days })
+    : t(`recurrence.${key}Interval`, { days, interval: rule.interval });
+
+  if (rule.until) {
+    return t('recurrence.until', {
+      description,
+      date: i18n.formatDate(parseDateKey(rule.until), { month: 'short', day: 'numeric', year: 'numeric' })
+    });
+  }
+  if (rule.count) {
+    return t('recurrence.count', { description, count: rule.count });
+  }
+  return description;
+};
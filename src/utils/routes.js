@@ -0,0 +1,31 @@
+import { getEventId } from './eventIdentity';
+
+/**
+ * Builders for the app's deep-linkable paths, so every page links to the
+ * calendar and to event pages the same way.
+ */
+
+/**
+ * Path of the calendar month containing the given date.
+ *
+ * @param {Date} date - Any date in the month
+ * @returns {string} e.g. "/calendar/2025/06"
+ */
+export const getCalendarPath = (date) =>
+  `/calendar/${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Path of an event's detail page.
+ *
+ * @param {Object} event - Event from the calendar feed
+ * @returns {string} e.g. "/events/2025-06-14-pottery-night-1x9f3k"
+ */
+export const getEventPath = (event) => `/events/${encodeURIComponent(getEventId(event))}`;
+
+/**
+ * Path of a step of the event submission form.
+ *
+ * @param {string} step - Step id (see utils/submissionSteps)
+ * @returns {string} e.g. "/submit-event/when"
+ */
+export const getSubmitEventPath = (step) => `/submit-event/${step}`;
@@ -0,0 +1,53 @@
+/**
+ * Filters for the admin moderation queue.
+ *
+ * @typedef {Object} SubmissionFilters
+ * @property {string} submittedFrom - First submission day to include, YYYY-MM-DD (empty = no limit)
+ * @property {string} submittedTo - Last submission day to include, YYYY-MM-DD (empty = no limit)
+ * @property {string} email - Text the organizer's email must contain, ignoring case (empty = all)
+ */
+import { addDays, parseDateKey } from './dateTime';
+
+/** @type {SubmissionFilters} */
+export const DEFAULT_SUBMISSION_FILTERS = {
+  submittedFrom: '',
+  submittedTo: '',
+  email: ''
+};
+
+/**
+ * Checks whether a submission satisfies every active filter. Submissions
+ * without a known submission time are excluded by the date filters.
+ *
+ * @param {Object} submission - Submission from getPendingSubmissions
+ * @param {SubmissionFilters} filters - Active filters
+ * @returns {boolean} True if the submission should be shown
+ */
+export const matchesSubmissionFilters = (submission, filters = DEFAULT_SUBMISSION_FILTERS) => {
+  const { submittedAt } = submission;
+
+  if (filters.submittedFrom && (!submittedAt || submittedAt < parseDateKey(filters.submittedFrom))) {
+    return false;
+  }
+
+  // The "to" day is inclusive, so compare against the start of the next day
+  if (filters.submittedTo && (!submittedAt || submittedAt >= addDays(parseDateKey(filters.submittedTo), 1))) {
+    return false;
+  }
+
+  const email = filters.email.trim().toLowerCase();
+  if (email && !(submission.fields.email || '').toLowerCase().includes(email)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Checks whether any filter differs from the defaults.
+ *
+ * @param {SubmissionFilters} filters - Active filters
+ * @returns {boolean} True if at least one filter is active
+ */
+export const hasActiveSubmissionFilters = (filters) =>
+  Boolean(filters.submittedFrom || filters.submittedTo || filters.email.trim());
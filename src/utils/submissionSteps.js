@@ -0,0 +1,67 @@
+/**
+ * Steps of the event submission wizard.
+ *
+ * The submission form is split into steps, each with its own URL (see
+ * getSubmitEventPath), so the browser's back button moves between them.
+ * Each step lists the form fields it validates: a step can only be left
+ * forwards once its own fields pass validateForm.
+ */
+
+/**
+ * The steps in order, with the fields (validateForm error keys) each one asks for.
+ */
+export const SUBMISSION_STEPS = [
+  { id: 'basics', fields: ['name', 'email', 'organization', 'craft', 'craftOther'] },
+  { id: 'when', fields: ['date', 'time', 'endTime', 'endDate', 'recurrence'] },
+  { id: 'where', fields: ['location', 'link'] },
+  { id: 'details', fields: ['price', 'kids', 'description', 'image'] },
+  { id: 'review', fields: [] }
+];
+
+export const FIRST_STEP = SUBMISSION_STEPS[0].id;
+
+/**
+ * Finds a step's position.
+ *
+ * @param {string} stepId - Step id, e.g. "when"
+ * @returns {number} Index in SUBMISSION_STEPS, or -1 for an unknown step
+ */
+export const getStepIndex = (stepId) => SUBMISSION_STEPS.findIndex(step => step.id === stepId);
+
+/**
+ * Finds the step before or after another.
+ *
+ * @param {string} stepId - Step id
+ * @param {number} offset - -1 for the previous step, 1 for the next
+ * @returns {string|null} The step id, or null past either end
+ */
+export const getAdjacentStep = (stepId, offset) => {
+  const step = SUBMISSION_STEPS[getStepIndex(stepId) + offset];
+  return getStepIndex(stepId) === -1 || !step ? null : step.id;
+};
+
+/**
+ * Picks out the validation errors for one step's fields.
+ *
+ * @param {Object<string, string>} errors - Errors from validateForm, by field
+ * @param {string} stepId - Step id
+ * @returns {Object<string, string>} The step's fields and their errors ('' when valid)
+ */
+export const getStepErrors = (errors, stepId) => {
+  const step = SUBMISSION_STEPS[getStepIndex(stepId)];
+  return Object.fromEntries((step ? step.fields : []).map(field => [field, errors[field] || '']));
+};
+
+/**
+ * Finds the first step before another that still has errors, e.g. when a
+ * later step is opened from a link before the earlier ones are filled in.
+ *
+ * @param {Object<string, string>} errors - Errors from validateForm, by field
+ * @param {string} stepId - Step being opened
+ * @returns {string|null} The earliest step with errors, or null when every earlier step is valid
+ */
+export const findIncompleteStepBefore = (errors, stepId) => {
+  const earlier = SUBMISSION_STEPS.slice(0, Math.max(0, getStepIndex(stepId)));
+  const incomplete = earlier.find(step => step.fields.some(field => errors[field]));
+  return incomplete ? incomplete.id : null;
+};